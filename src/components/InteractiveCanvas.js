@@ -15,8 +15,45 @@ class InteractiveCanvas {
         this.isPlaying = false;
         this.mousePosition = { x: 0, y: 0 };
         this.hoveredPixel = null;
+        this.highlightedPixels = new Map(); // Pixels held by external input (e.g. MIDI notes)
+        this.eventBus = null; // Optional EventBus that publishes pixel:hover
+        this.crossfade = null; // {previous, startedAt, duration} while one image fades into the next
+        this.crossfadeTimer = null; // Re-sends a held scan column while a crossfade runs
+        this.crossfadeResendInterval = 200; // ms
+        this.onPass = null; // Called when a sweep or sequencer pass completes
         this.scanColumn = -1;
         this.visualFeedback = true;
+        this.resizeObserver = null;
+        
+        // Layout: the image is fitted into whatever size the canvas has
+        this.layoutPadding = 10; // px around the image
+        this.infoHeight = 30; // px kept free below the image for the colour info line
+        
+        // Sweep mode playhead (image sequencer)
+        this.onSweepEnd = null;
+        this.sweepPlayer = new SweepPlayer({
+            getColumnCount: () => this.imageProcessor.getGridSize().columns,
+            onStep: (column, time) => this.handleSweepStep(column, time),
+            onPass: () => {
+                if (this.onPass) this.onPass();
+            },
+            onEnd: () => {
+                this.audioEngine.stopAllScanSounds();
+                if (this.onSweepEnd) this.onSweepEnd();
+            }
+        });
+        
+        // Grid mode step sequencer (columns = steps, rows = pitches)
+        this.gridThreshold = 50; // Minimum brightness (0-100) for a cell to trigger
+        this.gridGate = 0.9; // Note length as a fraction of the step
+        this.gridSequencer = new SweepPlayer({
+            getColumnCount: () => this.imageProcessor.getGridSize().columns,
+            onStep: (column, time) => this.handleGridStep(column, time),
+            onPass: () => {
+                if (this.onPass) this.onPass();
+            },
+            stepLength: '16n'
+        });
         
         this.init();
     }
@@ -57,18 +94,21 @@ class InteractiveCanvas {
                 return;
             }
             
-            // 使用容器尺寸，但設定最大尺寸
-            const maxWidth = 600;
-            const maxHeight = 500;
-            
-            const canvas = p.createCanvas(maxWidth, maxHeight);
+            // 畫布跟隨容器尺寸（圖片在繪製時等比例縮放置中）
+            const size = this.getContainerSize();
+            const canvas = p.createCanvas(size.width, size.height);
             canvas.parent(this.containerId);
             
             // Set canvas styles
             canvas.style('border-radius', '10px');
             canvas.style('cursor', 'crosshair');
-            canvas.style('max-width', '100%');
-            canvas.style('height', 'auto');
+            canvas.style('display', 'block');
+            
+            // Follow layout changes that do not resize the window (e.g. panels opening)
+            if (window.ResizeObserver) {
+                this.resizeObserver = new ResizeObserver(() => this.resizeCanvas());
+                this.resizeObserver.observe(container);
+            }
             
             // Set background to white (no gray frame)
             p.background(255);
@@ -90,8 +130,14 @@ class InteractiveCanvas {
             // 清除背景為白色
             p.background(255);
             
-            // 繪製像素化圖像
-            this.drawPixelatedImage(p);
+            // 繪製像素化圖像（切換圖片時新舊兩張交叉淡化）
+            const fadeOut = this.getCrossfadeAmount();
+            if (fadeOut > 0) {
+                this.drawPixelatedImage(p, this.crossfade.previous, 255 * fadeOut);
+                this.drawPixelatedImage(p, null, 255 * (1 - fadeOut));
+            } else {
+                this.drawPixelatedImage(p);
+            }
             
             // 繪製視覺回饋
             if (this.visualFeedback) {
@@ -103,21 +149,9 @@ class InteractiveCanvas {
             if (!this.imageProcessor.hasImage() || !this.isPlaying) return;
             
             if (this.currentMode === 'single') {
-                // 計算圖片在畫布中的居中位置
-                const dimensions = this.imageProcessor.getDimensions();
-                const imageWidth = dimensions.width;
-                const imageHeight = dimensions.height;
-                const canvasWidth = p.width;
-                const canvasHeight = p.height;
-                
-                const offsetX = (canvasWidth - imageWidth) / 2;
-                const offsetY = (canvasHeight - imageHeight) / 2;
-                
-                // 調整滑鼠位置以對應實際圖片位置
-                const adjustedMouseX = p.mouseX - offsetX;
-                const adjustedMouseY = p.mouseY - offsetY;
-                
-                this.handleSingleClick(p, adjustedMouseX, adjustedMouseY);
+                // 將滑鼠位置換算為圖片座標
+                const point = this.toImageCoordinates(p, p.mouseX, p.mouseY);
+                this.handleSingleClick(p, point.x, point.y);
             }
         };
         
@@ -127,25 +161,18 @@ class InteractiveCanvas {
             this.mousePosition.x = p.mouseX;
             this.mousePosition.y = p.mouseY;
             
-            // 計算圖片在畫布中的居中位置
-            const dimensions = this.imageProcessor.getDimensions();
-            const imageWidth = dimensions.width;
-            const imageHeight = dimensions.height;
-            const canvasWidth = p.width;
-            const canvasHeight = p.height;
-            
-            const offsetX = (canvasWidth - imageWidth) / 2;
-            const offsetY = (canvasHeight - imageHeight) / 2;
-            
-            // 調整滑鼠位置以對應實際圖片位置
-            const adjustedMouseX = p.mouseX - offsetX;
-            const adjustedMouseY = p.mouseY - offsetY;
+            // 將滑鼠位置換算為圖片座標
+            const point = this.toImageCoordinates(p, p.mouseX, p.mouseY);
             
             // Update hovered pixel
-            this.hoveredPixel = this.imageProcessor.getPixelAt(adjustedMouseX, adjustedMouseY);
+            const previousPixel = this.hoveredPixel;
+            this.hoveredPixel = this.imageProcessor.getPixelAt(point.x, point.y);
+            if (this.hoveredPixel && this.hoveredPixel !== previousPixel) {
+                this.emitHover(this.hoveredPixel);
+            }
             
             if (this.currentMode === 'scan' && this.isPlaying) {
-                this.handleScanMove(p);
+                this.handleScanMove(p, point.x);
             }
         };
         
@@ -180,25 +207,22 @@ class InteractiveCanvas {
     /**
      * Draw the pixelated image from image processor
      * @param {p5} p - p5 instance
+     * @param {Object} layer - Snapshot to draw instead of the current image (optional)
+     * @param {number} alpha - Opacity (0-255)
      */
-    drawPixelatedImage(p) {
-        const pixelData = this.imageProcessor.getPixelData();
-        const pixelSize = this.imageProcessor.getPixelSize();
-        const dimensions = this.imageProcessor.getDimensions();
+    drawPixelatedImage(p, layer = null, alpha = 255) {
+        const source = layer || this.imageProcessor.getSnapshot();
+        const pixelData = source.pixelData;
+        const cellSize = source.cellSize;
+        const dimensions = source.dimensions;
         
         if (!pixelData || pixelData.length === 0) {
             console.log('No pixel data available');
             return;
         }
         
-        // 計算圖片在畫布中的居中位置
-        const imageWidth = dimensions.width;
-        const imageHeight = dimensions.height;
-        const canvasWidth = p.width;
-        const canvasHeight = p.height;
-        
-        const offsetX = (canvasWidth - imageWidth) / 2;
-        const offsetY = (canvasHeight - imageHeight) / 2;
+        // 計算圖片在畫布中的縮放與居中位置
+        const layout = this.getImageLayout(p, dimensions);
         
         for (let y = 0; y < pixelData.length; y++) {
             for (let x = 0; x < pixelData[y].length; x++) {
@@ -206,27 +230,18 @@ class InteractiveCanvas {
                 if (!pixel || !pixel.rgb) continue;
                 
                 const rgb = pixel.rgb;
+                const cell = this.getCellShape(pixel, cellSize, layout);
                 
                 // 繪製圓形像素（緊密排列，無間距）
-                p.fill(rgb.r, rgb.g, rgb.b);
+                p.fill(rgb.r, rgb.g, rgb.b, alpha);
                 p.noStroke();
-                p.ellipse(
-                    pixel.pixelX + offsetX + pixelSize/2, 
-                    pixel.pixelY + offsetY + pixelSize/2, 
-                    pixelSize, // 恢復原始大小，緊密排列
-                    pixelSize
-                );
+                p.ellipse(cell.x, cell.y, cell.width, cell.height);
                 
                 // 繪製細微邊框
-                p.stroke(0, 0, 0, 20);
+                p.stroke(0, 0, 0, 20 * alpha / 255);
                 p.strokeWeight(0.5);
                 p.noFill();
-                p.ellipse(
-                    pixel.pixelX + offsetX + pixelSize/2, 
-                    pixel.pixelY + offsetY + pixelSize/2, 
-                    pixelSize,
-                    pixelSize
-                );
+                p.ellipse(cell.x, cell.y, cell.width, cell.height);
             }
         }
     }
@@ -238,37 +253,37 @@ class InteractiveCanvas {
     drawVisualFeedback(p) {
         // Draw hover effect
         if (this.hoveredPixel) {
-            const pixelSize = this.imageProcessor.getPixelSize();
-            const dimensions = this.imageProcessor.getDimensions();
-            
-            // 計算圖片在畫布中的居中位置
-            const imageWidth = dimensions.width;
-            const imageHeight = dimensions.height;
-            const canvasWidth = p.width;
-            const canvasHeight = p.height;
+            const cell = this.getCellShape(this.hoveredPixel, this.imageProcessor.getCellSize(), this.getImageLayout(p));
             
-            const offsetX = (canvasWidth - imageWidth) / 2;
-            const offsetY = (canvasHeight - imageHeight) / 2;
-            
-            // Highlight hovered pixel (加上偏移量，只顯示邊框)
+            // Highlight hovered pixel (只顯示邊框)
             p.stroke(255, 255, 0, 200);
             p.strokeWeight(2);
             p.noFill(); // 移除填充，只顯示邊框
-            p.ellipse(
-                this.hoveredPixel.pixelX + offsetX + pixelSize/2,
-                this.hoveredPixel.pixelY + offsetY + pixelSize/2,
-                pixelSize,
-                pixelSize
-            );
+            p.ellipse(cell.x, cell.y, cell.width, cell.height);
             
             // Draw HSV info
             this.drawHsvInfo(p, this.hoveredPixel);
         }
         
+        // Draw pixels held by MIDI notes
+        if (this.highlightedPixels.size > 0) {
+            this.drawHighlightedPixels(p);
+        }
+        
         // Draw scan mode indicator
         if (this.currentMode === 'scan' && this.isPlaying) {
             this.drawScanIndicator(p);
         }
+        
+        // Draw sweep playhead
+        if (this.currentMode === 'sweep' && this.isPlaying) {
+            this.drawPlayhead(p);
+        }
+        
+        // Draw current sequencer step
+        if (this.currentMode === 'grid' && this.isPlaying) {
+            this.drawGridStep(p);
+        }
     }
     
     /**
@@ -281,28 +296,11 @@ class InteractiveCanvas {
         const rgb = this.hsvMapper.hsvToRgb(hsv.h, hsv.s, hsv.v);
         
         // 計算圖片在畫布中的位置
-        const dimensions = this.imageProcessor.getDimensions();
-        const imageWidth = dimensions.width;
-        const imageHeight = dimensions.height;
-        const canvasWidth = p.width;
-        const canvasHeight = p.height;
-        
-        const offsetX = (canvasWidth - imageWidth) / 2;
-        const offsetY = (canvasHeight - imageHeight) / 2;
-        
-        // 在圖片下緣顯示一行文字，確保在畫布範圍內
-        const textY = offsetY + imageHeight + 25;
-        const textX = offsetX + imageWidth / 2;
-        
-        // 對於直式圖片，如果文字會超出畫布，則顯示在畫布底部
-        let finalTextY = textY;
-        if (textY > p.height - 20) {
-            finalTextY = p.height - 10;
-        }
+        const layout = this.getImageLayout(p);
         
-        // 確保文字不會超出畫布範圍
-        const safeTextY = Math.min(finalTextY, p.height - 10);
-        const safeTextX = Math.max(10, Math.min(textX, p.width - 10));
+        // 在圖片下緣預留的區域顯示一行文字，確保在畫布範圍內
+        const safeTextY = Math.min(layout.y + layout.height + 20, p.height - 10);
+        const safeTextX = Math.max(10, Math.min(layout.x + layout.width / 2, p.width - 10));
         
         // Draw text with precise values (一行顯示，使用選取顏色，無背景)
         p.fill(rgb.r, rgb.g, rgb.b);
@@ -337,8 +335,9 @@ class InteractiveCanvas {
      */
     drawScanIndicator(p) {
         if (this.scanColumn >= 0) {
-            const pixelSize = this.imageProcessor.getPixelSize();
-            const x = this.scanColumn * pixelSize;
+            const layout = this.getImageLayout(p);
+            const columnWidth = this.imageProcessor.getCellSize().width * layout.scale;
+            const x = layout.x + this.scanColumn * columnWidth;
             
             // Draw scan line
             p.stroke(255, 0, 0, 200);
@@ -348,15 +347,180 @@ class InteractiveCanvas {
             // Draw scan area highlight
             p.fill(255, 0, 0, 30);
             p.noStroke();
-            p.rect(x, 0, pixelSize, p.height);
+            p.rect(x, 0, columnWidth, p.height);
         }
     }
     
+    /**
+     * Draw the sweep mode playhead
+     * @param {p5} p - p5 instance
+     */
+    drawPlayhead(p) {
+        const position = this.sweepPlayer.getPlayheadPosition();
+        if (position < 0) return;
+        
+        const layout = this.getImageLayout(p);
+        const columnWidth = this.imageProcessor.getCellSize().width * layout.scale;
+        const column = Math.min(Math.floor(position), this.imageProcessor.getGridSize().columns - 1);
+        
+        // Highlight the sounding column
+        p.fill(0, 120, 255, 30);
+        p.noStroke();
+        p.rect(layout.x + column * columnWidth, layout.y, columnWidth, layout.height);
+        
+        // Draw the moving playhead line
+        const x = layout.x + position * columnWidth;
+        p.stroke(0, 120, 255, 220);
+        p.strokeWeight(2);
+        p.line(x, layout.y, x, layout.y + layout.height);
+    }
+    
+    /**
+     * Draw the current grid sequencer step and its triggered cells
+     * @param {p5} p - p5 instance
+     */
+    drawGridStep(p) {
+        const column = this.gridSequencer.displayColumn;
+        if (!this.gridSequencer.isRunning || column < 0) return;
+        
+        const cellSize = this.imageProcessor.getCellSize();
+        const layout = this.getImageLayout(p);
+        const columnWidth = cellSize.width * layout.scale;
+        
+        // Highlight the step column
+        p.fill(0, 200, 120, 40);
+        p.noStroke();
+        p.rect(layout.x + column * columnWidth, layout.y, columnWidth, layout.height);
+        
+        // Outline the cells that passed the threshold
+        p.stroke(0, 200, 120, 230);
+        p.strokeWeight(2);
+        p.noFill();
+        this.imageProcessor.getGridColumn(column).forEach(pixel => {
+            if (pixel && this.hsvMapper.getPerceptualColor(pixel.hsv, pixel.rgb).l >= this.gridThreshold) {
+                const cell = this.getCellShape(pixel, cellSize, layout);
+                p.ellipse(cell.x, cell.y, cell.width, cell.height);
+            }
+        });
+    }
+    
+    /**
+     * Draw pixels highlighted by external input
+     * @param {p5} p - p5 instance
+     */
+    drawHighlightedPixels(p) {
+        const cellSize = this.imageProcessor.getCellSize();
+        const layout = this.getImageLayout(p);
+        
+        p.stroke(255, 0, 200, 230);
+        p.strokeWeight(3);
+        p.noFill();
+        this.highlightedPixels.forEach(pixel => {
+            const cell = this.getCellShape(pixel, cellSize, layout);
+            p.ellipse(cell.x, cell.y, cell.width, cell.height);
+        });
+    }
+    
+    /**
+     * Highlight a pixel until clearHighlight is called with the same key
+     * @param {string|number} key - Highlight key (e.g. MIDI note number)
+     * @param {Object} pixel - Pixel to highlight
+     */
+    highlightPixel(key, pixel) {
+        this.highlightedPixels.set(key, pixel);
+        this.hoveredPixel = pixel;
+    }
+    
+    /**
+     * Remove a highlight
+     * @param {string|number} key - Highlight key
+     */
+    clearHighlight(key) {
+        this.highlightedPixels.delete(key);
+    }
+    
+    /**
+     * Publish the hovered pixel and the sound it maps to
+     * @param {Object} pixel - Hovered pixel
+     */
+    emitHover(pixel) {
+        if (!this.eventBus || !this.eventBus.hasSubscribers()) return;
+        
+        this.eventBus.emit('pixel:hover', {
+            pixel: EventBus.serializePixel(pixel),
+            audio: EventBus.serializeAudio(this.hsvMapper.mapHsvToAudio(pixel.hsv, pixel))
+        });
+    }
+    
+    /**
+     * Publish hover events on an event bus
+     * @param {EventBus|null} eventBus - Bus, or null to stop publishing
+     */
+    setEventBus(eventBus) {
+        this.eventBus = eventBus;
+    }
+    
+    /**
+     * Get where the image is drawn: scaled to fit the canvas and centred above the info line
+     * @param {p5} p - p5 instance
+     * @param {Object} dimensions - Image dimensions (defaults to the current image)
+     * @returns {Object} {x, y, width, height} in canvas pixels and the image-to-canvas scale
+     */
+    getImageLayout(p, dimensions = this.imageProcessor.getDimensions()) {
+        const availableWidth = Math.max(1, p.width - this.layoutPadding * 2);
+        const availableHeight = Math.max(1, p.height - this.layoutPadding * 2 - this.infoHeight);
+        const scale = dimensions.width && dimensions.height
+            ? Math.min(availableWidth / dimensions.width, availableHeight / dimensions.height)
+            : 1;
+        const width = dimensions.width * scale;
+        const height = dimensions.height * scale;
+        
+        return {
+            x: (p.width - width) / 2,
+            y: (p.height - this.infoHeight - height) / 2,
+            width: width,
+            height: height,
+            scale: scale
+        };
+    }
+    
+    /**
+     * Convert canvas coordinates (e.g. p.mouseX/mouseY) to image coordinates
+     * p5 already reports the mouse in CSS pixels, so devicePixelRatio needs no extra handling.
+     * @param {p5} p - p5 instance
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {Object} {x, y} in processing pixels (as used by getPixelAt)
+     */
+    toImageCoordinates(p, x, y) {
+        const layout = this.getImageLayout(p);
+        return {
+            x: (x - layout.x) / layout.scale,
+            y: (y - layout.y) / layout.scale
+        };
+    }
+    
+    /**
+     * Get the on-screen ellipse of a grid cell (a circle when cells are square)
+     * @param {Object} pixel - Pixel data
+     * @param {Object} cellSize - Cell {width, height} in processing pixels (ImageProcessor.getCellSize)
+     * @param {Object} layout - Image layout (getImageLayout)
+     * @returns {Object} Centre {x, y} and diameters {width, height} in canvas pixels
+     */
+    getCellShape(pixel, cellSize, layout) {
+        return {
+            x: layout.x + (pixel.pixelX + cellSize.width / 2) * layout.scale,
+            y: layout.y + (pixel.pixelY + cellSize.height / 2) * layout.scale,
+            width: cellSize.width * layout.scale,
+            height: cellSize.height * layout.scale
+        };
+    }
+    
     /**
      * Handle single click in single mode
      * @param {p5} p - p5 instance
-     * @param {number} mouseX - Adjusted mouse X position
-     * @param {number} mouseY - Adjusted mouse Y position
+     * @param {number} mouseX - Mouse X in image coordinates
+     * @param {number} mouseY - Mouse Y in image coordinates
      */
     handleSingleClick(p, mouseX, mouseY) {
         const pixel = this.imageProcessor.getPixelAt(mouseX, mouseY);
@@ -364,8 +528,9 @@ class InteractiveCanvas {
             // 設定 hoveredPixel 以便顯示色彩資訊
             this.hoveredPixel = pixel;
             
-            // Play sound for this pixel (使用動態持續時間)
-            this.audioEngine.playNote(pixel.hsv);
+            // Play sound for this pixel (使用動態持續時間), placed by its grid position
+            const position = this.imageProcessor.getNormalizedPosition(pixel);
+            this.audioEngine.playNote(pixel.hsv, null, position, 1, pixel);
             
             // Visual feedback
             this.showClickFeedback(p, pixel);
@@ -375,41 +540,168 @@ class InteractiveCanvas {
     /**
      * Handle mouse movement in scan mode
      * @param {p5} p - p5 instance
+     * @param {number} mouseX - Mouse X in image coordinates
      */
-    handleScanMove(p) {
-        const newColumn = Math.floor(p.mouseX / this.imageProcessor.getPixelSize());
+    handleScanMove(p, mouseX) {
+        const columnPixels = this.imageProcessor.getColumnPixels(mouseX);
+        if (columnPixels.length === 0) {
+            // 滑鼠離開圖片範圍時淡出
+            this.handleScanRelease();
+            return;
+        }
+        
+        const newColumn = columnPixels[0].gridX;
         
         if (newColumn !== this.scanColumn) {
-            // Stop previous column sounds
-            if (this.scanColumn >= 0) {
-                this.audioEngine.stopScanSound(this.scanColumn);
-            }
-            
-            // Start new column sounds (限制同時播放的聲音數量)
+            // 整列作為一個頻譜播放，切換欄位時交叉淡化（不重新觸發）
             this.scanColumn = newColumn;
-            const columnPixels = this.imageProcessor.getColumnPixels(p.mouseX);
-            
-            // 限制同時播放的聲音數量，避免當機
-            const maxSimultaneousSounds = 5;
-            const step = Math.max(1, Math.floor(columnPixels.length / maxSimultaneousSounds));
-            
-            columnPixels.forEach((pixel, index) => {
-                if (pixel && index % step === 0) {
-                    // Stagger the sounds slightly for chord effect
-                    setTimeout(() => {
-                        this.audioEngine.startScanSound(pixel.hsv, `${this.scanColumn}_${index}`);
-                    }, (index / step) * 50);
-                }
-            });
+            const position = this.imageProcessor.getNormalizedPosition(columnPixels[0]);
+            this.audioEngine.scanColumn(columnPixels, position, null, this.getOutgoingColumn(newColumn));
         }
     }
     
+    /**
+     * Play one sweep step (called by the sweep player at audio time)
+     * @param {number} column - Column index
+     * @param {number} time - Audio context time of the step
+     */
+    handleSweepStep(column, time) {
+        const columnPixels = this.imageProcessor.getGridColumn(column);
+        if (columnPixels.length === 0) return;
+        
+        const position = this.imageProcessor.getNormalizedPosition(columnPixels[0]);
+        this.audioEngine.scanColumn(columnPixels, position, time, this.getOutgoingColumn(column));
+    }
+    
+    /**
+     * Play one grid sequencer step (called by the sequencer at audio time)
+     * Every cell brighter than the threshold triggers a note.
+     * @param {number} column - Step (column) index
+     * @param {number} time - Audio context time of the step
+     */
+    handleGridStep(column, time) {
+        const columnPixels = this.imageProcessor.getGridColumn(column);
+        const duration = this.gridSequencer.getStepDuration() * this.gridGate;
+        
+        this.audioEngine.playGridColumn(
+            columnPixels,
+            duration,
+            this.gridThreshold,
+            (pixel) => this.imageProcessor.getNormalizedPosition(pixel),
+            time,
+            this.getOutgoingColumn(column)
+        );
+    }
+    
+    /**
+     * Crossfade from a previous image to the current one (visuals and audio)
+     * @param {Object} previous - Snapshot of the previous image (ImageProcessor.getSnapshot)
+     * @param {number} duration - Crossfade time in seconds (0 = cut)
+     */
+    startCrossfade(previous, duration) {
+        clearInterval(this.crossfadeTimer);
+        this.crossfadeTimer = null;
+        
+        if (!previous || !previous.pixelData.length || duration <= 0) {
+            this.crossfade = null;
+            this.resendScanColumn();
+            return;
+        }
+        
+        this.crossfade = { previous: previous, startedAt: performance.now(), duration: duration * 1000 };
+        
+        // A held scan column only changes sound when the mouse moves, so step it through the fade
+        this.resendScanColumn();
+        this.crossfadeTimer = setInterval(() => {
+            this.resendScanColumn();
+            if (!this.crossfade) {
+                clearInterval(this.crossfadeTimer);
+                this.crossfadeTimer = null;
+            }
+        }, this.crossfadeResendInterval);
+    }
+    
+    /**
+     * Get how much of the previous image is still audible and visible
+     * @returns {number} Share of the previous image (1 → 0), 0 when no crossfade is running
+     */
+    getCrossfadeAmount() {
+        if (!this.crossfade) return 0;
+        
+        const progress = (performance.now() - this.crossfade.startedAt) / this.crossfade.duration;
+        if (progress >= 1) {
+            this.crossfade = null;
+            return 0;
+        }
+        return 1 - progress;
+    }
+    
+    /**
+     * Get the previous image's column at the same relative position for a crossfade step
+     * @param {number} column - Column index in the current grid
+     * @returns {Object|null} {pixels, amount, getPosition}, or null when no crossfade is running
+     */
+    getOutgoingColumn(column) {
+        const amount = this.getCrossfadeAmount();
+        if (amount <= 0) return null;
+        
+        const pixelData = this.crossfade.previous.pixelData;
+        const rows = pixelData.length;
+        const columns = pixelData[0].length;
+        const columnCount = this.imageProcessor.getGridSize().columns || 1;
+        const previousColumn = Math.min(columns - 1, Math.floor((column + 0.5) / columnCount * columns));
+        
+        return {
+            pixels: pixelData.map(row => row[previousColumn]),
+            amount: amount,
+            getPosition: (pixel) => ({ x: (pixel.gridX + 0.5) / columns, y: (pixel.gridY + 0.5) / rows })
+        };
+    }
+    
+    /**
+     * Start or stop the sweep and grid sequencers for the current mode and playing state
+     */
+    updateSequencers() {
+        const canRun = this.isPlaying && this.imageProcessor.hasImage();
+        const runSweep = canRun && this.currentMode === 'sweep';
+        const runGrid = canRun && this.currentMode === 'grid';
+        
+        // Stop first: both share Tone.Transport
+        if (!runSweep && this.sweepPlayer.isRunning) {
+            this.sweepPlayer.stop();
+            this.audioEngine.stopAllScanSounds();
+        }
+        
+        if (!runGrid && this.gridSequencer.isRunning) {
+            this.gridSequencer.stop();
+        }
+        
+        if (runSweep && !this.sweepPlayer.isRunning) {
+            this.sweepPlayer.start();
+        }
+        
+        if (runGrid && !this.gridSequencer.isRunning) {
+            this.gridSequencer.start();
+        }
+    }
+    
+    /**
+     * Set the brightness threshold for grid mode
+     * @param {number} threshold - Minimum brightness (0-100)
+     */
+    setGridThreshold(threshold) {
+        const value = parseFloat(threshold);
+        if (isNaN(value)) return;
+        
+        this.gridThreshold = Math.max(0, Math.min(100, value));
+    }
+    
     /**
      * Handle mouse release in scan mode
      */
     handleScanRelease() {
         if (this.scanColumn >= 0) {
-            this.audioEngine.stopScanSound(this.scanColumn);
+            this.audioEngine.stopAllScanSounds();
             this.scanColumn = -1;
         }
     }
@@ -426,18 +718,21 @@ class InteractiveCanvas {
     
     /**
      * Set the current interaction mode
-     * @param {string} mode - 'single' or 'scan'
+     * @param {string} mode - 'single', 'scan', 'sweep' or 'grid'
      */
     setMode(mode) {
         this.currentMode = mode;
         
         // Stop any ongoing scan sounds
-        if (mode === 'single') {
+        if (mode !== 'scan') {
             this.handleScanRelease();
         }
         
         // Update audio engine mode
         this.audioEngine.setMode(mode);
+        
+        // Start or stop the sweep playhead / step sequencer
+        this.updateSequencers();
     }
     
     /**
@@ -455,6 +750,8 @@ class InteractiveCanvas {
                 this.audioEngine.stopAllScanSounds();
             }
         }
+        
+        this.updateSequencers();
     }
     
     /**
@@ -478,6 +775,28 @@ class InteractiveCanvas {
         }
     }
     
+    /**
+     * React to a new video frame
+     * Sweep and sequencer steps read the grid as they play; a held scan column
+     * is re-sent so its spectrum follows the scene.
+     */
+    handleFrameUpdate() {
+        this.resendScanColumn();
+    }
+    
+    /**
+     * Play the held scan column again from the current grid (and the outgoing image during a crossfade)
+     */
+    resendScanColumn() {
+        if (this.currentMode !== 'scan' || !this.isPlaying || this.scanColumn < 0) return;
+        
+        const columnPixels = this.imageProcessor.getGridColumn(this.scanColumn);
+        if (columnPixels.length === 0) return;
+        
+        const position = this.imageProcessor.getNormalizedPosition(columnPixels[0]);
+        this.audioEngine.scanColumn(columnPixels, position, null, this.getOutgoingColumn(this.scanColumn));
+    }
+    
     /**
      * Get current mouse position
      * @returns {Object} Mouse position {x, y}
@@ -494,22 +813,54 @@ class InteractiveCanvas {
         return this.hoveredPixel;
     }
     
+    /**
+     * Get the size the canvas should have
+     * @returns {Object} {width, height} of the container (at least 1px each)
+     */
+    getContainerSize() {
+        const container = document.getElementById(this.containerId);
+        return {
+            width: Math.max(1, container ? container.clientWidth : 0),
+            height: Math.max(1, container ? container.clientHeight : 0)
+        };
+    }
+    
     /**
      * Resize canvas to fit container
+     * The grid itself does not depend on the display size; only its layout is
+     * rebuilt, and hover/scan state tied to the old screen positions is dropped.
      */
     resizeCanvas() {
-        if (this.p5Instance && this.p5Instance.resizeCanvas) {
-            const container = document.getElementById(this.containerId);
-            if (container) {
-                this.p5Instance.resizeCanvas(container.offsetWidth, container.offsetHeight);
-            }
+        const p = this.p5Instance;
+        if (!p || !p.resizeCanvas) return;
+        
+        const size = this.getContainerSize();
+        const density = p.displayDensity();
+        if (size.width === p.width && size.height === p.height && density === p.pixelDensity()) return;
+        
+        // Follow devicePixelRatio changes (browser zoom, window moved to another screen)
+        if (density !== p.pixelDensity()) {
+            p.pixelDensity(density);
         }
+        p.resizeCanvas(size.width, size.height);
+        
+        this.hoveredPixel = null;
+        this.handleScanRelease();
+        this.updateImage();
     }
     
     /**
      * Clean up resources
      */
     dispose() {
+        this.sweepPlayer.stop();
+        clearInterval(this.crossfadeTimer);
+        
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        
         if (this.p5Instance && this.p5Instance.remove) {
             this.p5Instance.remove();
         }
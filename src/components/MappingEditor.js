@@ -0,0 +1,163 @@
+/**
+ * Mapping Editor - DOM list for the mapping matrix
+ * Shows every route as source → target with its curve, range and invert
+ * controls, plus a button to remove it
+ */
+
+class MappingEditor {
+    /**
+     * @param {string} containerId - Id of the element the routes are rendered into
+     * @param {MappingMatrix} matrix - Matrix to display and edit
+     */
+    constructor(containerId, matrix) {
+        this.container = document.getElementById(containerId);
+        this.matrix = matrix;
+        
+        this.render();
+    }
+    
+    /**
+     * Rebuild the list
+     */
+    render() {
+        if (!this.container) return;
+        
+        this.container.innerHTML = '';
+        
+        if (!this.matrix.hasRoutes()) {
+            const empty = document.createElement('li');
+            empty.className = 'mapping-empty';
+            empty.textContent = 'No routes (built-in HSV mapping)';
+            this.container.appendChild(empty);
+            return;
+        }
+        
+        this.matrix.routes.forEach(route => {
+            this.container.appendChild(this.createRouteElement(route));
+        });
+    }
+    
+    /**
+     * Create the list entry for one route
+     * @param {Object} route - Route (with id)
+     * @returns {HTMLLIElement} List entry
+     */
+    createRouteElement(route) {
+        const entry = document.createElement('li');
+        entry.className = 'mapping-route';
+        
+        const header = document.createElement('div');
+        header.className = 'mapping-route-row';
+        
+        header.appendChild(this.createSelect(
+            MappingEditor.toOptions(MappingMatrix.sources),
+            route.source,
+            'Source',
+            (value) => this.matrix.updateRoute(route.id, { source: value })
+        ));
+        
+        const arrow = document.createElement('span');
+        arrow.className = 'mapping-arrow';
+        arrow.textContent = '→';
+        header.appendChild(arrow);
+        
+        header.appendChild(this.createSelect(
+            MappingEditor.toOptions(MappingMatrix.targets),
+            route.target,
+            'Target',
+            (value) => this.matrix.updateRoute(route.id, { target: value })
+        ));
+        
+        const remove = document.createElement('button');
+        remove.className = 'playlist-button';
+        remove.textContent = '×';
+        remove.title = 'Remove route';
+        remove.addEventListener('click', () => this.matrix.removeRoute(route.id));
+        header.appendChild(remove);
+        entry.appendChild(header);
+        
+        const settings = document.createElement('div');
+        settings.className = 'mapping-route-row';
+        
+        settings.appendChild(this.createSelect(
+            MappingEditor.toOptions(MappingMatrix.curves),
+            route.curve,
+            'Curve',
+            (value) => this.matrix.updateRoute(route.id, { curve: value })
+        ));
+        
+        const limits = MappingMatrix.targets[route.target];
+        settings.appendChild(this.createNumberInput(route.min, limits, 'Range start (at source 0)',
+            (value) => this.matrix.updateRoute(route.id, { min: value })));
+        settings.appendChild(this.createNumberInput(route.max, limits, 'Range end (at source 1)',
+            (value) => this.matrix.updateRoute(route.id, { max: value })));
+        
+        const invertLabel = document.createElement('label');
+        invertLabel.className = 'mapping-invert';
+        invertLabel.title = 'Invert the source';
+        const invert = document.createElement('input');
+        invert.type = 'checkbox';
+        invert.checked = route.invert;
+        invert.addEventListener('change', () => this.matrix.updateRoute(route.id, { invert: invert.checked }));
+        invertLabel.appendChild(invert);
+        invertLabel.appendChild(document.createTextNode('Inv'));
+        settings.appendChild(invertLabel);
+        
+        entry.appendChild(settings);
+        return entry;
+    }
+    
+    /**
+     * Create a number input for one end of a route's range
+     * @param {number} value - Current value
+     * @param {Object} limits - Target definition {lower, upper}
+     * @param {string} title - Tooltip
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLInputElement} Input
+     */
+    createNumberInput(value, limits, title, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = limits.lower;
+        input.max = limits.upper;
+        input.step = 'any';
+        input.value = value;
+        input.title = title;
+        input.addEventListener('change', () => onChange(input.value));
+        return input;
+    }
+    
+    /**
+     * Create a select for one route setting
+     * @param {Array} options - Array of {value, label}
+     * @param {string} value - Selected value
+     * @param {string} title - Tooltip
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLSelectElement} Select
+     */
+    createSelect(options, value, title, onChange) {
+        const select = document.createElement('select');
+        select.title = title;
+        options.forEach(({ value: optionValue, label }) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+    
+    /**
+     * Turn a MappingMatrix definition table into select options
+     * @param {Object} definitions - Map of id to {name}
+     * @returns {Array} Array of {value, label}
+     */
+    static toOptions(definitions) {
+        return Object.entries(definitions).map(([id, definition]) => ({ value: id, label: definition.name }));
+    }
+}
+
+// Export for use in other modules
+window.MappingEditor = MappingEditor;
@@ -0,0 +1,151 @@
+/**
+ * Playlist Panel - DOM list for the image playlist
+ * Shows every queued image with its own pixel size, scale and mode controls,
+ * plus buttons to play, reorder and remove it
+ */
+
+class PlaylistPanel {
+    /**
+     * @param {string} containerId - Id of the element the list is rendered into
+     * @param {Playlist} playlist - Playlist to display and edit
+     * @param {Object} options - {getScales() → scale names, modes: [{value, label}]}
+     */
+    constructor(containerId, playlist, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.playlist = playlist;
+        this.getScales = options.getScales || (() => []);
+        this.modes = options.modes || [];
+        
+        this.onSelect = null; // (index) => {} when an item's play button is clicked
+        
+        this.render();
+    }
+    
+    /**
+     * Rebuild the list
+     */
+    render() {
+        if (!this.container) return;
+        
+        this.container.innerHTML = '';
+        
+        const items = this.playlist.getItems();
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'playlist-empty';
+            empty.textContent = 'No images queued';
+            this.container.appendChild(empty);
+            return;
+        }
+        
+        items.forEach((item, index) => {
+            this.container.appendChild(this.createItemElement(item, index));
+        });
+    }
+    
+    /**
+     * Create the list entry for one item
+     * @param {Object} item - Playlist item
+     * @param {number} index - Position in the playlist
+     * @returns {HTMLLIElement} List entry
+     */
+    createItemElement(item, index) {
+        const entry = document.createElement('li');
+        entry.className = 'playlist-item';
+        entry.classList.toggle('current', index === this.playlist.currentIndex);
+        
+        const header = document.createElement('div');
+        header.className = 'playlist-item-header';
+        
+        const name = document.createElement('span');
+        name.className = 'playlist-item-name';
+        name.textContent = `${index + 1}. ${item.name}`;
+        name.title = item.name;
+        header.appendChild(name);
+        
+        header.appendChild(this.createButton('▶', 'Play now', () => {
+            if (this.onSelect) this.onSelect(index);
+        }));
+        header.appendChild(this.createButton('↑', 'Move up', () => this.playlist.move(item.id, -1), index === 0));
+        header.appendChild(this.createButton('↓', 'Move down', () => this.playlist.move(item.id, 1),
+            index === this.playlist.getItems().length - 1));
+        header.appendChild(this.createButton('×', 'Remove', () => this.playlist.remove(item.id)));
+        entry.appendChild(header);
+        
+        const settings = document.createElement('div');
+        settings.className = 'playlist-item-settings';
+        
+        const pixelSize = document.createElement('input');
+        pixelSize.type = 'number';
+        pixelSize.min = 10;
+        pixelSize.max = 100;
+        pixelSize.value = item.settings.pixelSize;
+        pixelSize.title = 'Pixel size';
+        pixelSize.addEventListener('change', () => {
+            const value = Math.max(10, Math.min(100, parseInt(pixelSize.value, 10) || item.settings.pixelSize));
+            this.playlist.updateSettings(item.id, { pixelSize: value });
+        });
+        settings.appendChild(pixelSize);
+        
+        const scaleNames = this.getScales();
+        settings.appendChild(this.createSelect(
+            scaleNames.map(scaleName => ({ value: scaleName, label: scaleName.charAt(0).toUpperCase() + scaleName.slice(1) })),
+            item.settings.scale,
+            'Scale',
+            (value) => this.playlist.updateSettings(item.id, { scale: value })
+        ));
+        
+        settings.appendChild(this.createSelect(
+            this.modes,
+            item.settings.mode,
+            'Mode',
+            (value) => this.playlist.updateSettings(item.id, { mode: value })
+        ));
+        
+        entry.appendChild(settings);
+        return entry;
+    }
+    
+    /**
+     * Create a small icon button
+     * @param {string} label - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} onClick - Click handler
+     * @param {boolean} disabled - Whether the button is disabled
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(label, title, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.className = 'playlist-button';
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Create a select for one setting
+     * @param {Array} options - Array of {value, label}
+     * @param {string} value - Selected value
+     * @param {string} title - Tooltip
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLSelectElement} Select
+     */
+    createSelect(options, value, title, onChange) {
+        const select = document.createElement('select');
+        select.title = title;
+        options.forEach(({ value: optionValue, label }) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+}
+
+// Export for use in other modules
+window.PlaylistPanel = PlaylistPanel;
@@ -4,15 +4,36 @@
  */
 
 class AudioEngine {
-    constructor() {
+    /**
+     * @param {HsvMapper} mapper - Mapper that turns HSV values into synth parameters (optional)
+     */
+    constructor(mapper = null) {
         this.isInitialized = false;
-        this.synths = new Map();
-        this.maxSynths = 5; // 減少最大同時播放聲音數量
+        this.mapper = mapper || new HsvMapper();
+        this.voicePool = null;
+        this.noteCounter = 0;
+        this.maxSynths = 8; // 復音上限（同時發聲數）
+        this.stealPolicy = 'oldest';
         this.currentMode = 'single';
-        this.scanSounds = new Map(); // For scan mode
+        this.spectralScanner = null; // For scan mode
+        this.midiOutput = null; // Optional MidiOutput that mirrors every note
+        this.eventBus = null; // Optional EventBus that publishes note and scan events
+        this.heldNoteEvents = new Map(); // id → note:on payload of notes started with startNote
         this.masterVolume = 0.3;
         this.needsUserGesture = true;
         
+        // Reverb settings (seeded impulse response, so offline renders are reproducible)
+        this.reverbDecay = 2; // seconds
+        this.reverbWet = 0.3; // 0-1
+        this.reverbSend = null; // Wet-only input for per-voice sends (mapping matrix)
+        this.reverbMix = null;
+        this.reverbConvolver = null;
+        this.reverbNodes = [];
+        
+        // Spatialization: 'position' (gridX → pan), 'hue' (mapper pan) or 'hrtf' (gridX/gridY → 3D)
+        this.panMode = 'position';
+        this.panModes = ['position', 'hue', 'hrtf'];
+        
         // 不自動初始化，等待用戶手勢
         console.log('Audio Engine created, waiting for user gesture');
     }
@@ -26,16 +47,7 @@ class AudioEngine {
             await Tone.start();
             console.log('Tone.js started successfully');
             
-            // Create master volume control
-            this.masterGain = new Tone.Gain(this.masterVolume).toDestination();
-            console.log('Master gain created');
-            
-            // Create reverb for spatial effect
-            this.reverb = new Tone.Reverb({
-                decay: 2,
-                wet: 0.3
-            }).connect(this.masterGain);
-            console.log('Reverb created');
+            this.buildGraph();
             
             this.isInitialized = true;
             console.log('Audio Engine initialized successfully');
@@ -47,53 +59,170 @@ class AudioEngine {
     }
     
     /**
-     * Create a synthesizer for a specific HSV value
-     * @param {Object} hsv - HSV color values {h, s, v}
-     * @param {string} id - Unique identifier for the synth
-     * @returns {Tone.Synth} Configured synthesizer
+     * Build the audio graph in the current Tone.js context
+     * Also used inside Tone.Offline to render with the same chain as live playback.
      */
-    createSynth(hsv, id) {
-        if (!this.isInitialized) return null;
+    buildGraph() {
+        // Create master volume control
+        this.masterGain = new Tone.Gain(this.masterVolume).toDestination();
+        console.log('Master gain created');
         
-        // Map HSV to audio parameters
-        const frequency = this.hsvToFrequency(hsv.h);
-        const attack = this.hsvToAttack(hsv.s);
-        const release = this.hsvToRelease(hsv.v);
-        const volume = this.hsvToVolume(hsv.v);
+        // Create reverb for spatial effect
+        this.reverb = this.createReverb(this.masterGain);
+        console.log('Reverb created');
         
-        // Create synthesizer with HSV-mapped parameters
-        const synth = new Tone.Synth({
+        // Preallocate voices so notes never build synths on the fly
+        this.voicePool = new VoicePool(this.reverb, {
+            size: this.maxSynths,
+            stealPolicy: this.stealPolicy,
+            send: this.reverbSend
+        });
+        console.log(`Voice pool created with ${this.maxSynths} voices`);
+        
+        // Scan mode plays whole columns through one additive voice
+        this.spectralScanner = new SpectralScanner(this.reverb);
+        console.log('Spectral scanner created');
+    }
+    
+    /**
+     * Create the convolution reverb (dry/wet mix around a seeded impulse response)
+     * Also creates this.reverbSend, which feeds the convolver only (per-voice sends).
+     * @param {Tone.ToneAudioNode} destination - Node the reverb outputs to
+     * @returns {Tone.Gain} Reverb input node
+     */
+    createReverb(destination) {
+        const input = new Tone.Gain(1);
+        const send = new Tone.Gain(1);
+        const mix = new Tone.CrossFade(this.reverbWet).connect(destination);
+        const convolver = new Tone.Convolver();
+        convolver.buffer = new Tone.ToneAudioBuffer(this.createImpulseResponse(input.context, this.reverbDecay));
+        
+        input.connect(mix.a);
+        input.chain(convolver, mix.b);
+        send.connect(convolver);
+        
+        this.reverbSend = send;
+        this.reverbMix = mix;
+        this.reverbConvolver = convolver;
+        this.reverbNodes = [input, send, convolver, mix];
+        return input;
+    }
+    
+    /**
+     * Generate a stereo exponentially decaying noise impulse response
+     * Uses a fixed-seed PRNG so every render is identical.
+     * @param {Tone.BaseContext} context - Context to create the buffer in
+     * @param {number} decay - Time in seconds to decay by 60 dB
+     * @returns {AudioBuffer} Impulse response
+     */
+    createImpulseResponse(context, decay) {
+        const sampleRate = context.sampleRate;
+        const length = Math.max(1, Math.round(decay * sampleRate));
+        const buffer = context.createBuffer(2, length, sampleRate);
+        
+        // mulberry32
+        let seed = 0x6d2b79f5;
+        const random = () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                // -60 dB (ln 1000 ≈ 6.9) at the end of the decay
+                data[i] = (random() * 2 - 1) * Math.exp(-6.9 * i / length);
+            }
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Allocate a pooled voice and configure it with mapped audio parameters
+     * @param {Object} params - Audio parameters from the mapper
+     * @param {string} id - Unique identifier for the note
+     * @param {Object} position - Normalized pixel position {x, y} (0-1, optional)
+     * @param {number} priority - Note priority used by the 'lowest-priority' steal policy
+     * @param {number} time - Audio context time the note starts at (optional, defaults to now)
+     * @returns {Object|null} Configured voice with its mapped params
+     */
+    allocateVoice(params, id, position = null, priority = 0, time = null) {
+        if (!this.isInitialized || !this.voicePool) return null;
+        
+        const voice = this.voicePool.acquire(id, {
+            velocity: params.volume,
+            priority: priority,
+            time: time === null ? undefined : time
+        });
+        
+        // Configure the pooled synth with HSV-mapped parameters
+        voice.synth.set({
+            detune: params.detune || 0,
             oscillator: {
-                type: this.hsvToWaveform(hsv.s)
+                type: params.waveform
             },
             envelope: {
-                attack: attack,
+                attack: params.attack,
                 decay: 0.2,
                 sustain: 0.3,
-                release: release
+                release: params.release
             }
         });
         
-        // Connect to effects chain
-        synth.connect(this.reverb);
-        
-        // Store synth with ID for management
-        this.synths.set(id, {
-            synth: synth,
-            frequency: frequency,
-            volume: volume,
-            hsv: hsv
+        // Filter and reverb send are only set by mapping matrix routes; otherwise open and dry
+        this.voicePool.setTone(voice, {
+            filterCutoff: params.filterCutoff || null,
+            reverbSend: params.reverbSend || 0
         });
+        this.voicePool.place(voice, this.getPlacement(params, position));
+        
+        voice.params = params;
+        
+        return voice;
+    }
+    
+    /**
+     * Compute where a voice sits in the stereo/3D field for the current pan mode
+     * @param {Object} params - Mapped audio parameters
+     * @param {Object} position - Normalized pixel position {x, y} (0-1, optional)
+     * @returns {Object} {type: 'stereo', pan} or {type: 'hrtf', x, y, z}
+     */
+    getPlacement(params, position) {
+        // Without a position, fall back to the mapper's hue-based pan
+        if (this.panMode === 'hue' || !position) {
+            return { type: 'stereo', pan: params.pan };
+        }
+        
+        const pan = Math.max(-1, Math.min(1, position.x * 2 - 1));
+        
+        if (this.panMode === 'hrtf') {
+            // gridX sweeps azimuth -90°..90°, gridY sweeps elevation 45°..-45° (top of image is up)
+            const azimuth = pan * Math.PI / 2;
+            const elevation = (0.5 - position.y) * Math.PI / 2;
+            
+            return {
+                type: 'hrtf',
+                x: Math.sin(azimuth) * Math.cos(elevation),
+                y: Math.sin(elevation),
+                z: -Math.cos(azimuth) * Math.cos(elevation)
+            };
+        }
         
-        return synth;
+        return { type: 'stereo', pan: pan };
     }
     
     /**
      * Play a single note based on HSV values
      * @param {Object} hsv - HSV color values
-     * @param {number} duration - Note duration in seconds (optional, will be calculated from brightness if not provided)
+     * @param {number} duration - Note duration in seconds (optional, will be calculated from lightness if not provided)
+     * @param {Object} position - Normalized pixel position {x, y} (0-1, optional)
+     * @param {number} priority - Note priority (clicks default above scan voices)
+     * @param {Object} pixel - Source pixel, described in note events (optional)
      */
-    playNote(hsv, duration = null) {
+    playNote(hsv, duration = null, position = null, priority = 1, pixel = null) {
         if (!this.isInitialized) {
             console.log('Audio engine not initialized, cannot play note');
             return;
@@ -101,90 +230,308 @@ class AudioEngine {
         
         console.log('Playing note for HSV:', hsv);
         
-        // 根據亮度計算持續時間：亮度越高，持續時間越短（更清脆）
-        const calculatedDuration = duration || (0.1 + (100 - hsv.v) / 100 * 0.3); // 0.1-0.4秒
+        // 根據感知亮度計算持續時間：亮度越高，持續時間越短（更清脆）
+        const lightness = this.mapper.getPerceptualColor(hsv, pixel && pixel.rgb).l;
+        const calculatedDuration = duration || (0.1 + (100 - lightness) / 100 * 0.3); // 0.1-0.4秒
         
-        const id = `note_${Date.now()}_${Math.random()}`;
-        const synth = this.createSynth(hsv, id);
+        // All synth parameters come from the mapper (pitch, envelope, waveform, pan)
+        const params = this.mapper.mapHsvToAudio(hsv, pixel);
         
-        if (synth) {
-            const frequency = this.hsvToFrequency(hsv.h);
-            const volume = this.hsvToVolume(hsv.v);
+        console.log(`Playing note: ${params.frequency.toFixed(1)}Hz at volume ${params.volume.toFixed(2)} for ${calculatedDuration.toFixed(2)}s`);
+        
+        this.playParams(params, calculatedDuration, position, priority, null, pixel || { hsv: hsv });
+        
+        if (this.midiOutput) {
+            this.midiOutput.playHsv(hsv, params.frequency, calculatedDuration);
+        }
+    }
+    
+    /**
+     * Play a note from already-mapped audio parameters
+     * @param {Object} params - Audio parameters {frequency, volume, attack, release, waveform, pan}
+     * @param {number} duration - Note duration in seconds
+     * @param {Object} position - Normalized pixel position {x, y} (0-1, optional)
+     * @param {number} priority - Note priority
+     * @param {number} time - Audio context time to start at (optional, defaults to now)
+     * @param {Object} pixel - Source pixel, described in note events (optional)
+     */
+    playParams(params, duration, position = null, priority = 1, time = null, pixel = null) {
+        const id = `note_${++this.noteCounter}`;
+        const voice = this.allocateVoice(params, id, position, priority, time);
+        
+        if (voice) {
+            const startTime = time === null ? Tone.now() : time;
             
-            console.log(`Playing note: ${frequency.toFixed(1)}Hz at volume ${volume.toFixed(2)} for ${calculatedDuration.toFixed(2)}s`);
+            // Play the note; the voice returns to the pool once its release has finished
+            voice.synth.triggerAttackRelease(params.frequency, duration, startTime, params.volume);
+            this.voicePool.scheduleEnd(voice, startTime + duration + params.release);
             
-            // Play the note
-            synth.triggerAttackRelease(frequency, calculatedDuration, Tone.now(), volume);
+            if (this.eventBus) {
+                const payload = this.createNoteEvent(id, params, pixel);
+                this.emitAt(startTime, 'note:on', { ...payload, duration: duration });
+                this.emitAt(startTime + duration, 'note:off', payload);
+            }
+        } else {
+            console.log('Failed to allocate voice for note');
+        }
+    }
+    
+    /**
+     * Start a held note (sounds until stopNote is called or its voice is stolen)
+     * @param {Object} params - Audio parameters {frequency, volume, attack, release, waveform, pan}
+     * @param {string} id - Note identifier used to stop the note
+     * @param {Object} position - Normalized pixel position {x, y} (0-1, optional)
+     * @param {number} priority - Note priority
+     * @param {Object} pixel - Source pixel, described in note events (optional)
+     */
+    startNote(params, id, position = null, priority = 1, pixel = null) {
+        const voice = this.allocateVoice(params, id, position, priority);
+        
+        if (voice) {
+            voice.synth.triggerAttack(params.frequency, Tone.now(), params.volume);
             
-            // Clean up after note ends
-            setTimeout(() => {
-                this.cleanupSynth(id);
-            }, calculatedDuration * 1000 + 500);
+            if (this.eventBus) {
+                const payload = this.createNoteEvent(id, params, pixel);
+                this.heldNoteEvents.set(id, payload);
+                this.eventBus.emit('note:on', { ...payload, duration: null });
+            }
         } else {
-            console.log('Failed to create synth for note');
+            console.log('Failed to allocate voice for note');
         }
     }
     
     /**
-     * Start continuous sound for scan mode
-     * @param {Object} hsv - HSV color values
-     * @param {string} columnId - Column identifier
+     * Release a held note started with startNote
+     * @param {string} id - Note identifier
+     */
+    stopNote(id) {
+        if (this.voicePool) {
+            this.voicePool.release(id);
+        }
+        
+        if (this.eventBus && this.heldNoteEvents.has(id)) {
+            this.eventBus.emit('note:off', this.heldNoteEvents.get(id));
+        }
+        this.heldNoteEvents.delete(id);
+    }
+    
+    /**
+     * Build the payload shared by a note's note:on and note:off events
+     * @param {string} id - Note identifier
+     * @param {Object} params - Audio parameters
+     * @param {Object} pixel - Source pixel or {hsv} (optional)
+     * @returns {Object} {id, audio, pixel}
+     */
+    createNoteEvent(id, params, pixel) {
+        let described = null;
+        if (pixel) {
+            const rgb = pixel.rgb || this.mapper.hsvToRgb(pixel.hsv.h, pixel.hsv.s, pixel.hsv.v);
+            described = EventBus.serializePixel({ ...pixel, rgb: rgb });
+        }
+        
+        return { id: id, audio: EventBus.serializeAudio(params), pixel: described };
+    }
+    
+    /**
+     * Publish an event when the audio clock reaches a time
+     * Notes are often scheduled slightly ahead, so events wait for the moment they sound.
+     * @param {number|null} time - Audio context time (null = now)
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    emitAt(time, type, data) {
+        if (!this.eventBus || !this.eventBus.hasSubscribers()) return;
+        
+        const delay = time === null ? 0 : Math.max(0, time - Tone.getContext().currentTime);
+        if (delay === 0) {
+            this.eventBus.emit(type, data);
+        } else {
+            setTimeout(() => this.eventBus.emit(type, data), delay * 1000);
+        }
+    }
+    
+    /**
+     * Play one grid sequencer step
+     * Every cell brighter than the threshold triggers a note (pitch by row).
+     * @param {Array} columnPixels - Pixels of the column, top to bottom
+     * @param {number} duration - Note duration in seconds
+     * @param {number} threshold - Minimum lightness (0-100, in the mapper's colour space) for a cell to trigger
+     * @param {Function} getPosition - Returns the normalized position {x, y} of a pixel (optional)
+     * @param {number} time - Audio context time of the step (optional, defaults to now)
+     * @param {Object} outgoing - Column of the image being crossfaded out (optional):
+     *   {pixels, amount (0-1, its share of the mix), getPosition}
      */
-    startScanSound(hsv, columnId) {
-        if (!this.isInitialized || this.currentMode !== 'scan') return;
+    playGridColumn(columnPixels, duration, threshold = 50, getPosition = null, time = null, outgoing = null) {
+        if (!this.isInitialized) return;
         
-        // Stop existing sound for this column
-        this.stopScanSound(columnId);
+        const amount = outgoing ? outgoing.amount : 0;
         
-        const synth = this.createSynth(hsv, columnId);
-        if (synth) {
-            const frequency = this.hsvToFrequency(hsv.h);
-            const volume = this.hsvToVolume(hsv.v);
+        columnPixels.forEach(pixel => {
+            if (!pixel || this.mapper.getPerceptualColor(pixel.hsv, pixel.rgb).l < threshold) return;
             
-            // Start continuous tone
-            synth.triggerAttack(frequency, Tone.now(), volume);
-            this.scanSounds.set(columnId, synth);
+            const params = this.mapper.mapCellToNote(pixel, columnPixels.length);
+            params.volume *= 1 - amount;
+            const position = getPosition ? getPosition(pixel) : null;
+            this.playParams(params, duration, position, 0, time, pixel);
+            
+            if (this.midiOutput) {
+                this.midiOutput.playHsv(pixel.hsv, params.frequency, duration, time, true);
+            }
+        });
+        
+        // The outgoing image fades out on the synths only (MIDI follows the new image)
+        if (outgoing && amount > 0) {
+            outgoing.pixels.forEach(pixel => {
+                if (!pixel || this.mapper.getPerceptualColor(pixel.hsv, pixel.rgb).l < threshold) return;
+                
+                const params = this.mapper.mapCellToNote(pixel, outgoing.pixels.length);
+                params.volume *= amount;
+                const position = outgoing.getPosition ? outgoing.getPosition(pixel) : null;
+                this.playParams(params, duration, position, 0, time, pixel);
+            });
         }
     }
     
     /**
-     * Stop continuous sound for scan mode
-     * @param {string} columnId - Column identifier
+     * Play a pixel column as one spectrum in scan mode
+     * Every row is a partial (pitch by row, amplitude by brightness); successive
+     * columns crossfade instead of re-triggering.
+     * @param {Array} columnPixels - Pixels of the column, top to bottom
+     * @param {Object} position - Normalized column position {x, y} (0-1, optional)
+     * @param {number} time - Audio context time to switch at (optional, defaults to now)
+     * @param {Object} outgoing - Column of the image being crossfaded out (optional):
+     *   {pixels, amount (0-1, its share of the mix)}
      */
-    stopScanSound(columnId) {
-        const synthData = this.synths.get(columnId);
-        if (synthData) {
-            synthData.synth.triggerRelease();
-            this.cleanupSynth(columnId);
+    scanColumn(columnPixels, position = null, time = null, outgoing = null) {
+        if (!this.isInitialized || !this.spectralScanner) return;
+        if (this.currentMode !== 'scan' && this.currentMode !== 'sweep') return;
+        if (!columnPixels || columnPixels.length === 0) return;
+        
+        let partials = this.getColumnPartials(columnPixels);
+        if (outgoing && outgoing.amount > 0 && outgoing.pixels.length > 0) {
+            partials = this.mixPartials(partials, this.getColumnPartials(outgoing.pixels), outgoing.amount);
+        }
+        const pan = position && this.panMode !== 'hue' ? Math.max(-1, Math.min(1, position.x * 2 - 1)) : 0;
+        
+        this.spectralScanner.setSpectrum(partials, pan, time);
+        
+        if (this.eventBus) {
+            const first = columnPixels.find(pixel => pixel);
+            this.emitAt(time, 'scan:column', {
+                column: first ? first.gridX : -1,
+                pixels: columnPixels.map(pixel => pixel ? EventBus.serializePixel(pixel) : null),
+                partials: partials
+            });
+        }
+        
+        if (this.midiOutput) {
+            this.midiOutput.playColumn(columnPixels, time);
         }
-        this.scanSounds.delete(columnId);
+    }
+    
+    /**
+     * Convert a pixel column to additive partials
+     * @param {Array} columnPixels - Pixels of the column, top to bottom
+     * @returns {Array} Array of {frequency, amplitude}
+     */
+    getColumnPartials(columnPixels) {
+        return columnPixels.map((pixel, row) => ({
+            frequency: this.mapper.mapRowToFrequency(row, columnPixels.length),
+            amplitude: pixel ? this.mapper.getPerceptualColor(pixel.hsv, pixel.rgb).l / 100 : 0
+        }));
+    }
+    
+    /**
+     * Mix two spectra for a crossfade
+     * The scanner sets loudness from the mean amplitude, so each side is scaled
+     * by its share of the combined partial count to keep the overall level steady.
+     * @param {Array} incoming - Partials of the new image
+     * @param {Array} outgoing - Partials of the old image
+     * @param {number} amount - Share of the old image (0-1)
+     * @returns {Array} Combined partials
+     */
+    mixPartials(incoming, outgoing, amount) {
+        const total = incoming.length + outgoing.length;
+        const scale = (partials, weight) => partials.map(partial => ({
+            frequency: partial.frequency,
+            amplitude: partial.amplitude * weight * total / partials.length
+        }));
+        
+        return [...scale(incoming, 1 - amount), ...scale(outgoing, amount)];
     }
     
     /**
      * Stop all scan mode sounds
+     * @param {number} time - Audio context time to fade out at (optional, defaults to now)
      */
-    stopAllScanSounds() {
+    stopAllScanSounds(time = null) {
         console.log('Stopping all scan sounds...');
-        this.scanSounds.forEach((synth, columnId) => {
-            console.log(`Stopping scan sound for column: ${columnId}`);
-            this.stopScanSound(columnId);
-        });
-        this.scanSounds.clear();
+        if (this.spectralScanner) {
+            this.spectralScanner.stop(time);
+        }
+        if (this.midiOutput) {
+            this.midiOutput.stopColumn(time);
+        }
         console.log('All scan sounds stopped');
     }
     
     /**
-     * Set the current mode (single or scan)
-     * @param {string} mode - 'single' or 'scan'
+     * Set the current mode (single, scan or sweep)
+     * @param {string} mode - 'single', 'scan' or 'sweep'
      */
     setMode(mode) {
+        if (mode !== this.currentMode) {
+            this.stopAllScanSounds();
+        }
+        
         this.currentMode = mode;
+    }
+    
+    /**
+     * Set how voices are placed in the stereo/3D field
+     * @param {string} mode - 'position', 'hue' or 'hrtf'
+     */
+    setPanMode(mode) {
+        if (this.panModes.includes(mode)) {
+            this.panMode = mode;
+        }
+    }
+    
+    /**
+     * Set the polyphony limit
+     * @param {number} voices - Maximum simultaneous voices (1-32)
+     */
+    setPolyphony(voices) {
+        const value = Math.round(voices);
+        if (isNaN(value)) return;
         
-        if (mode === 'single') {
-            this.stopAllScanSounds();
+        this.maxSynths = Math.max(1, Math.min(32, value));
+        if (this.voicePool) {
+            this.voicePool.setSize(this.maxSynths);
+        }
+    }
+    
+    /**
+     * Set the voice stealing policy used when the pool is full
+     * @param {string} policy - 'oldest', 'quietest' or 'lowest-priority'
+     */
+    setStealPolicy(policy) {
+        if (['oldest', 'quietest', 'lowest-priority'].includes(policy)) {
+            this.stealPolicy = policy;
+            if (this.voicePool) {
+                this.voicePool.setStealPolicy(policy);
+            }
         }
     }
     
+    /**
+     * Get the number of voices currently sounding
+     * @returns {number} Active voice count
+     */
+    getActiveVoiceCount() {
+        return this.voicePool ? this.voicePool.getActiveCount() : 0;
+    }
+    
     /**
      * Set master volume
      * @param {number} volume - Volume level (0-1)
@@ -197,84 +544,130 @@ class AudioEngine {
     }
     
     /**
-     * Convert HSV hue to frequency
+     * Set the reverb dry/wet mix
+     * @param {number} wet - Wet amount (0-1)
+     */
+    setReverbWet(wet) {
+        const value = parseFloat(wet);
+        if (isNaN(value)) return;
+        
+        this.reverbWet = Math.max(0, Math.min(1, value));
+        if (this.reverbMix) {
+            this.reverbMix.fade.rampTo(this.reverbWet, 0.1);
+        }
+    }
+    
+    /**
+     * Set the reverb length (regenerates the impulse response)
+     * @param {number} seconds - Time to decay by 60 dB (0.1-10)
+     */
+    setReverbDecay(seconds) {
+        const value = parseFloat(seconds);
+        if (isNaN(value)) return;
+        
+        this.reverbDecay = Math.max(0.1, Math.min(10, value));
+        if (this.reverbConvolver) {
+            this.reverbConvolver.buffer = new Tone.ToneAudioBuffer(
+                this.createImpulseResponse(this.reverbConvolver.context, this.reverbDecay)
+            );
+        }
+    }
+    
+    /**
+     * Replace the mapper used to derive synth parameters
+     * @param {HsvMapper} mapper - Object implementing mapHsvToAudio(hsv)
+     */
+    setMapper(mapper) {
+        if (mapper && typeof mapper.mapHsvToAudio === 'function') {
+            this.mapper = mapper;
+        }
+    }
+    
+    /**
+     * Mirror notes to a MIDI output (clicks, scan/sweep columns and sequencer steps)
+     * @param {MidiOutput|null} midiOutput - Output, or null to stop mirroring
+     */
+    setMidiOutput(midiOutput) {
+        this.midiOutput = midiOutput;
+    }
+    
+    /**
+     * Publish note and scan events on an event bus
+     * @param {EventBus|null} eventBus - Bus, or null to stop publishing
+     */
+    setEventBus(eventBus) {
+        this.eventBus = eventBus;
+        this.heldNoteEvents.clear();
+    }
+    
+    /**
+     * Get the mapper currently in use
+     * @returns {HsvMapper} Current mapper
+     */
+    getMapper() {
+        return this.mapper;
+    }
+    
+    /**
+     * Convert HSV hue to frequency (delegates to the mapper)
      * @param {number} hue - Hue value (0-360)
      * @returns {number} Frequency in Hz
      */
     hsvToFrequency(hue) {
-        // Map 0-360 degrees to 200-2000 Hz (musical range)
-        const minFreq = 200;
-        const maxFreq = 2000;
-        return minFreq + (hue / 360) * (maxFreq - minFreq);
+        return this.mapper.mapHueToFrequency(hue);
     }
     
     /**
-     * Convert HSV saturation to attack time
+     * Convert HSV saturation to attack time (delegates to the mapper)
      * @param {number} saturation - Saturation value (0-100)
      * @returns {number} Attack time in seconds
      */
     hsvToAttack(saturation) {
-        // Higher saturation = faster attack (more immediate)
-        return 0.01 + (saturation / 100) * 0.1;
+        return this.mapper.mapSaturationToAttack(saturation);
     }
     
     /**
-     * Convert HSV value to release time
+     * Convert HSV value to release time (delegates to the mapper)
      * @param {number} value - Value/brightness (0-100)
      * @returns {number} Release time in seconds
      */
     hsvToRelease(value) {
-        // Higher brightness = longer release
-        return 0.1 + (value / 100) * 1.0;
+        return this.mapper.mapValueToRelease(value);
     }
     
     /**
-     * Convert HSV value to volume
+     * Convert HSV value to volume (delegates to the mapper)
      * @param {number} value - Value/brightness (0-100)
      * @returns {number} Volume level (0-1)
      */
     hsvToVolume(value) {
-        // Map 0-100 to 0.1-0.8 volume range
-        return 0.1 + (value / 100) * 0.7;
+        return this.mapper.mapValueToVolume(value);
     }
     
     /**
-     * Convert HSV saturation to waveform type
+     * Convert HSV saturation to waveform type (delegates to the mapper)
      * @param {number} saturation - Saturation value (0-100)
      * @returns {string} Waveform type
      */
     hsvToWaveform(saturation) {
-        // Map saturation to different waveforms
-        if (saturation < 25) return 'sine';
-        if (saturation < 50) return 'triangle';
-        if (saturation < 75) return 'sawtooth';
-        return 'square';
-    }
-    
-    /**
-     * Clean up synthesizer resources
-     * @param {string} id - Synthesizer ID
-     */
-    cleanupSynth(id) {
-        const synthData = this.synths.get(id);
-        if (synthData) {
-            synthData.synth.dispose();
-            this.synths.delete(id);
-        }
+        return this.mapper.mapSaturationToWaveform(saturation);
     }
     
     /**
      * Clean up all synthesizers
      */
     dispose() {
-        this.synths.forEach((synthData, id) => {
-            this.cleanupSynth(id);
-        });
+        if (this.voicePool) {
+            this.voicePool.dispose();
+        }
         
-        if (this.reverb) {
-            this.reverb.dispose();
+        if (this.spectralScanner) {
+            this.spectralScanner.dispose();
         }
         
+        this.reverbNodes.forEach(node => node.dispose());
+        this.reverbNodes = [];
+        
         if (this.masterGain) {
             this.masterGain.dispose();
         }
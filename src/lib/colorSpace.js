@@ -0,0 +1,153 @@
+/**
+ * Color Space - Conversions from sRGB to the colour spaces used for sonification
+ * HSV matches the original mapping; HSL, CIELAB LCh and OKLCH give lightness
+ * and chroma that follow perceived colour (yellow reads lighter than blue).
+ * Every space is reduced to a generic {h, c, l} triple for the mapper.
+ */
+
+class ColorSpace {
+    /**
+     * Convert an sRGB colour to generic hue/chroma/lightness
+     * @param {Object} rgb - RGB values {r, g, b} (0-255)
+     * @param {string} space - 'hsv', 'hsl', 'lch' or 'oklch'
+     * @returns {Object} {h (0-360), c (0-100), l (0-100)}
+     */
+    static toPerceptual(rgb, space) {
+        switch (space) {
+            case 'hsl': {
+                const hsl = ColorSpace.rgbToHsl(rgb.r, rgb.g, rgb.b);
+                return { h: hsl.h, c: hsl.s, l: hsl.l };
+            }
+            case 'lch': {
+                const lch = ColorSpace.rgbToLch(rgb.r, rgb.g, rgb.b);
+                return {
+                    h: lch.h,
+                    c: Math.min(100, lch.c / ColorSpace.maxChroma.lch * 100),
+                    l: Math.max(0, Math.min(100, lch.l))
+                };
+            }
+            case 'oklch': {
+                const oklch = ColorSpace.rgbToOklch(rgb.r, rgb.g, rgb.b);
+                return {
+                    h: oklch.h,
+                    c: Math.min(100, oklch.c / ColorSpace.maxChroma.oklch * 100),
+                    l: Math.max(0, Math.min(100, oklch.l * 100))
+                };
+            }
+            default: {
+                const hsv = GridSampler.rgbToHsv(rgb.r, rgb.g, rgb.b);
+                return { h: hsv.h, c: hsv.s, l: hsv.v };
+            }
+        }
+    }
+    
+    /**
+     * Convert RGB to HSL
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} {h (0-360), s (0-100), l (0-100)}
+     */
+    static rgbToHsl(r, g, b) {
+        const hsv = GridSampler.rgbToHsv(r, g, b);
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const lightness = (max + min) / 2;
+        const diff = max - min;
+        const saturation = diff === 0 ? 0 : diff / (1 - Math.abs(2 * lightness - 1));
+        
+        return {
+            h: hsv.h,
+            s: Math.min(100, saturation * 100),
+            l: lightness * 100
+        };
+    }
+    
+    /**
+     * Convert RGB to CIELAB LCh (D65 white point)
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} {l (0-100), c (0-~134), h (0-360)}
+     */
+    static rgbToLch(r, g, b) {
+        const table = GridSampler.getLinearTable();
+        const lr = table[Math.round(r)];
+        const lg = table[Math.round(g)];
+        const lb = table[Math.round(b)];
+        
+        // Linear sRGB to XYZ, relative to the D65 white
+        const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+        const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+        const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+        
+        const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+        
+        return ColorSpace.toPolar(116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz));
+    }
+    
+    /**
+     * Convert RGB to OKLCH
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} {l (0-1), c (0-~0.32), h (0-360)}
+     */
+    static rgbToOklch(r, g, b) {
+        const table = GridSampler.getLinearTable();
+        const lr = table[Math.round(r)];
+        const lg = table[Math.round(g)];
+        const lb = table[Math.round(b)];
+        
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+        
+        return ColorSpace.toPolar(
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        );
+    }
+    
+    /**
+     * Convert Lab-style opponent axes to lightness, chroma and hue angle
+     * @param {number} lightness - Lightness
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @returns {Object} {l, c, h (0-360)}
+     */
+    static toPolar(lightness, a, b) {
+        const chroma = Math.sqrt(a * a + b * b);
+        // Greys have no hue; snap rounding noise to 0° like HSV does
+        let hue = chroma < 1e-4 ? 0 : Math.atan2(b, a) * 180 / Math.PI;
+        if (hue < 0) hue += 360;
+        
+        return { l: lightness, c: chroma, h: hue };
+    }
+    
+    /**
+     * Get the selectable colour spaces
+     * @returns {Array} Array of {id, name}
+     */
+    static getSpaces() {
+        return [
+            { id: 'hsv', name: 'HSV' },
+            { id: 'hsl', name: 'HSL' },
+            { id: 'lch', name: 'CIELAB LCh' },
+            { id: 'oklch', name: 'OKLCH' }
+        ];
+    }
+}
+
+// Largest chroma an sRGB colour reaches, used to scale chroma to 0-100
+ColorSpace.maxChroma = {
+    lch: 134,
+    oklch: 0.323
+};
+
+// Export for use in other modules
+window.ColorSpace = ColorSpace;
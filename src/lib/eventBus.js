@@ -0,0 +1,125 @@
+/**
+ * Event Bus - Publishes pixel and note events to listeners and transports
+ * Events are plain JSON objects {type, timestamp, ...data}; transports forward them
+ * to external tools (e.g. WebSocketTransport)
+ */
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map(); // type → Set of handlers ('*' receives every event)
+        this.transports = new Set();
+        this.types = ['pixel:hover', 'note:on', 'note:off', 'scan:column'];
+    }
+    
+    /**
+     * Subscribe to an event type
+     * @param {string} type - Event type, or '*' for every event
+     * @param {Function} handler - Called with the event object
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        
+        return () => this.off(type, handler);
+    }
+    
+    /**
+     * Unsubscribe from an event type
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+    
+    /**
+     * Forward every event to a transport
+     * @param {Object} transport - Object with send(event)
+     */
+    addTransport(transport) {
+        this.transports.add(transport);
+    }
+    
+    /**
+     * Stop forwarding events to a transport
+     * @param {Object} transport - Transport passed to addTransport()
+     */
+    removeTransport(transport) {
+        this.transports.delete(transport);
+    }
+    
+    /**
+     * Check whether anyone receives events (lets emitters skip building payloads)
+     * @returns {boolean} True if there are listeners or transports
+     */
+    hasSubscribers() {
+        return this.transports.size > 0 || Array.from(this.listeners.values()).some(handlers => handlers.size > 0);
+    }
+    
+    /**
+     * Publish an event
+     * @param {string} type - Event type
+     * @param {Object} data - Event data (must be JSON-serializable)
+     * @returns {Object} The published event
+     */
+    emit(type, data = {}) {
+        const event = { type: type, timestamp: Date.now(), ...data };
+        const handlers = [
+            ...(this.listeners.get(type) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+        
+        handlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Event handler for '${type}' failed:`, error);
+            }
+        });
+        
+        this.transports.forEach(transport => transport.send(event));
+        return event;
+    }
+    
+    /**
+     * Describe a pixel for an event payload
+     * @param {Object} pixel - Pixel data (grid position is null when unknown)
+     * @returns {Object} {x, y, hsv, rgb}
+     */
+    static serializePixel(pixel) {
+        return {
+            x: pixel.gridX !== undefined ? pixel.gridX : null,
+            y: pixel.gridY !== undefined ? pixel.gridY : null,
+            hsv: { h: pixel.hsv.h, s: pixel.hsv.s, v: pixel.hsv.v },
+            rgb: pixel.rgb ? { r: pixel.rgb.r, g: pixel.rgb.g, b: pixel.rgb.b } : null
+        };
+    }
+    
+    /**
+     * Describe mapped audio parameters for an event payload
+     * @param {Object} params - Audio parameters from the mapper
+     * @returns {Object} {frequency, volume, attack, release, waveform, pan, detune, filterCutoff, reverbSend}
+     */
+    static serializeAudio(params) {
+        return {
+            frequency: params.frequency,
+            volume: params.volume,
+            attack: params.attack,
+            release: params.release,
+            waveform: params.waveform,
+            pan: params.pan,
+            detune: params.detune || 0,
+            filterCutoff: params.filterCutoff || null,
+            reverbSend: params.reverbSend || 0
+        };
+    }
+}
+
+// Export for use in other modules
+window.EventBus = EventBus;
@@ -0,0 +1,403 @@
+/**
+ * Grid Sampler - Pure pixel math for turning image data into grid cell colours
+ * Shared by ImageProcessor (main thread fallback) and imageWorker.js, so it
+ * must not touch the DOM.
+ */
+
+class GridSampler {
+    /**
+     * Sample every cell of a grid
+     * @param {Uint8ClampedArray} data - RGBA image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} spec - {columns, rows, cellWidth, cellHeight, strategy, dominantClusters, maxClusterSamples}
+     * @returns {Object} {rgb: Uint8ClampedArray, hsv: Float32Array} with 3 values per cell in row order,
+     *   and {features: Float32Array} with 2 (local contrast, edge strength) per cell
+     */
+    static sampleGrid(data, width, height, spec) {
+        const count = spec.columns * spec.rows;
+        const rgb = new Uint8ClampedArray(count * 3);
+        const hsv = new Float32Array(count * 3);
+        
+        for (let gridY = 0; gridY < spec.rows; gridY++) {
+            for (let gridX = 0; gridX < spec.columns; gridX++) {
+                const bounds = GridSampler.getCellBounds(gridX, gridY, spec, width, height);
+                const color = GridSampler.sampleCell(data, width, height, bounds, spec);
+                const converted = GridSampler.rgbToHsv(color.r, color.g, color.b);
+                const offset = (gridY * spec.columns + gridX) * 3;
+                
+                rgb[offset] = color.r;
+                rgb[offset + 1] = color.g;
+                rgb[offset + 2] = color.b;
+                hsv[offset] = converted.h;
+                hsv[offset + 1] = converted.s;
+                hsv[offset + 2] = converted.v;
+            }
+        }
+        
+        const features = GridSampler.calculateFeatures(rgb, spec.columns, spec.rows);
+        
+        return { rgb, hsv, features };
+    }
+    
+    /**
+     * Measure each cell against its neighbours
+     * Local contrast is how far the cell's luma is from the mean of its 3×3 neighbourhood;
+     * edge strength is the Sobel gradient magnitude of the luma grid (borders repeat the edge cell).
+     * @param {Uint8ClampedArray} rgb - Cell colours, 3 values per cell in row order
+     * @param {number} columns - Grid columns
+     * @param {number} rows - Grid rows
+     * @returns {Float32Array} 2 values per cell: contrast and edge strength (0-100)
+     */
+    static calculateFeatures(rgb, columns, rows) {
+        const luma = new Float32Array(columns * rows);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = (0.2126 * rgb[i * 3] + 0.7152 * rgb[i * 3 + 1] + 0.0722 * rgb[i * 3 + 2]) / 255 * 100;
+        }
+        
+        const at = (x, y) => {
+            const clampedX = Math.max(0, Math.min(columns - 1, x));
+            const clampedY = Math.max(0, Math.min(rows - 1, y));
+            return luma[clampedY * columns + clampedX];
+        };
+        
+        const features = new Float32Array(columns * rows * 2);
+        
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < columns; x++) {
+                let sum = 0;
+                let count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if ((dx || dy) && nx >= 0 && nx < columns && ny >= 0 && ny < rows) {
+                            sum += luma[ny * columns + nx];
+                            count++;
+                        }
+                    }
+                }
+                
+                const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1))
+                    - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+                const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1))
+                    - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+                
+                const offset = (y * columns + x) * 2;
+                features[offset] = count ? Math.abs(luma[y * columns + x] - sum / count) : 0;
+                // A full black-to-white step gives 400 on one axis
+                features[offset + 1] = Math.min(100, Math.sqrt(gx * gx + gy * gy) / 4);
+            }
+        }
+        
+        return features;
+    }
+    
+    /**
+     * Get the image pixels covered by a grid cell
+     * @param {number} gridX - Grid X coordinate
+     * @param {number} gridY - Grid Y coordinate
+     * @param {Object} spec - {cellWidth, cellHeight} (may be fractional)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Object} Whole-pixel bounds {x, y, width, height}, at least 1px and inside the image
+     */
+    static getCellBounds(gridX, gridY, spec, width, height) {
+        const x = Math.min(Math.round(gridX * spec.cellWidth), width - 1);
+        const y = Math.min(Math.round(gridY * spec.cellHeight), height - 1);
+        const right = Math.max(x + 1, Math.min(Math.round((gridX + 1) * spec.cellWidth), width));
+        const bottom = Math.max(y + 1, Math.min(Math.round((gridY + 1) * spec.cellHeight), height));
+        
+        return { x: x, y: y, width: right - x, height: bottom - y };
+    }
+    
+    /**
+     * Compute one cell's colour with a sampling strategy
+     * @param {Uint8ClampedArray} data - Image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} bounds - Cell bounds {x, y, width, height}
+     * @param {Object} spec - {strategy, dominantClusters, maxClusterSamples}
+     * @returns {Object} RGB color
+     */
+    static sampleCell(data, width, height, bounds, spec) {
+        const args = [data, width, height, bounds.x, bounds.y, bounds.width, bounds.height];
+        
+        switch (spec.strategy) {
+            case 'median':
+                return GridSampler.calculateMedianColor(...args);
+            case 'dominant':
+                return GridSampler.calculateDominantColor(...args, spec.dominantClusters, spec.maxClusterSamples);
+            case 'linear':
+                return GridSampler.calculateLinearMeanColor(...args);
+            case 'center': {
+                // Single pixel at the cell centre (the original behaviour)
+                const index = ((bounds.y + Math.floor(bounds.height / 2)) * width + bounds.x + Math.floor(bounds.width / 2)) * 4;
+                return { r: data[index], g: data[index + 1], b: data[index + 2] };
+            }
+            default:
+                return GridSampler.calculateAverageColor(...args);
+        }
+    }
+    
+    /**
+     * Calculate average color for a grid cell
+     * @param {Uint8ClampedArray} data - Image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} startX - Grid cell start X
+     * @param {number} startY - Grid cell start Y
+     * @param {number} cellSize - Width of grid cell
+     * @param {number} cellHeight - Height of grid cell (defaults to cellSize)
+     * @returns {Object} Average RGB color
+     */
+    static calculateAverageColor(data, width, height, startX, startY, cellSize, cellHeight = cellSize) {
+        let r = 0, g = 0, b = 0, count = 0;
+        
+        const endX = Math.min(startX + cellSize, width);
+        const endY = Math.min(startY + cellHeight, height);
+        
+        for (let y = startY; y < endY; y++) {
+            for (let x = startX; x < endX; x++) {
+                const index = (y * width + x) * 4;
+                r += data[index];
+                g += data[index + 1];
+                b += data[index + 2];
+                count++;
+            }
+        }
+        
+        return {
+            r: Math.round(r / count),
+            g: Math.round(g / count),
+            b: Math.round(b / count)
+        };
+    }
+    
+    /**
+     * Calculate the per-channel median color for a grid cell
+     * Ignores small details (specks, edges) that pull the mean off.
+     * @param {Uint8ClampedArray} data - Image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} startX - Grid cell start X
+     * @param {number} startY - Grid cell start Y
+     * @param {number} cellWidth - Width of grid cell
+     * @param {number} cellHeight - Height of grid cell
+     * @returns {Object} Median RGB color
+     */
+    static calculateMedianColor(data, width, height, startX, startY, cellWidth, cellHeight) {
+        // Counting histograms: linear in the cell size
+        const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+        let count = 0;
+        
+        const endX = Math.min(startX + cellWidth, width);
+        const endY = Math.min(startY + cellHeight, height);
+        
+        for (let y = startY; y < endY; y++) {
+            for (let x = startX; x < endX; x++) {
+                const index = (y * width + x) * 4;
+                histograms[0][data[index]]++;
+                histograms[1][data[index + 1]]++;
+                histograms[2][data[index + 2]]++;
+                count++;
+            }
+        }
+        
+        const [r, g, b] = histograms.map(histogram => {
+            let seen = 0;
+            for (let value = 0; value < 256; value++) {
+                seen += histogram[value];
+                if (seen * 2 >= count) return value;
+            }
+            return 255;
+        });
+        
+        return { r, g, b };
+    }
+    
+    /**
+     * Calculate the dominant color of a grid cell with k-means
+     * Returns the centre of the largest cluster, so a cell that is mostly sky
+     * with a thin branch sounds like the sky rather than a muddy mix.
+     * Deterministic (no random seeding), so video frames of a still scene stay stable.
+     * @param {Uint8ClampedArray} data - Image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} startX - Grid cell start X
+     * @param {number} startY - Grid cell start Y
+     * @param {number} cellWidth - Width of grid cell
+     * @param {number} cellHeight - Height of grid cell
+     * @param {number} clusters - Number of clusters (k)
+     * @param {number} maxSamples - Pixels fed to k-means (evenly strided)
+     * @returns {Object} Dominant RGB color
+     */
+    static calculateDominantColor(data, width, height, startX, startY, cellWidth, cellHeight, clusters = 3, maxSamples = 256) {
+        const endX = Math.min(startX + cellWidth, width);
+        const endY = Math.min(startY + cellHeight, height);
+        const total = (endX - startX) * (endY - startY);
+        const stride = Math.max(1, Math.floor(total / maxSamples));
+        
+        // Evenly strided samples, sorted by brightness for seeding
+        const samples = [];
+        for (let i = 0; i < total; i += stride) {
+            const x = startX + i % (endX - startX);
+            const y = startY + Math.floor(i / (endX - startX));
+            const index = (y * width + x) * 4;
+            samples.push([data[index], data[index + 1], data[index + 2]]);
+        }
+        samples.sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+        
+        // Seed the centroids at evenly spaced brightness quantiles
+        const k = Math.min(clusters, samples.length);
+        let centroids = Array.from({ length: k }, (_, i) => samples[Math.floor((i + 0.5) * samples.length / k)].slice());
+        let counts = new Array(k).fill(0);
+        
+        for (let iteration = 0; iteration < 8; iteration++) {
+            const sums = centroids.map(() => [0, 0, 0]);
+            counts = new Array(k).fill(0);
+            
+            samples.forEach(sample => {
+                let nearest = 0;
+                let nearestDistance = Infinity;
+                centroids.forEach((centroid, i) => {
+                    const distance = (sample[0] - centroid[0]) ** 2 +
+                        (sample[1] - centroid[1]) ** 2 +
+                        (sample[2] - centroid[2]) ** 2;
+                    if (distance < nearestDistance) {
+                        nearest = i;
+                        nearestDistance = distance;
+                    }
+                });
+                sums[nearest][0] += sample[0];
+                sums[nearest][1] += sample[1];
+                sums[nearest][2] += sample[2];
+                counts[nearest]++;
+            });
+            
+            const next = centroids.map((centroid, i) => counts[i]
+                ? sums[i].map(sum => sum / counts[i])
+                : centroid);
+            const moved = next.some((centroid, i) => centroid.some((value, c) => Math.abs(value - centroids[i][c]) > 0.5));
+            centroids = next;
+            if (!moved) break;
+        }
+        
+        const largest = counts.indexOf(Math.max(...counts));
+        return {
+            r: Math.round(centroids[largest][0]),
+            g: Math.round(centroids[largest][1]),
+            b: Math.round(centroids[largest][2])
+        };
+    }
+    
+    /**
+     * Calculate the perceptual mean color of a grid cell
+     * Averages in linear light instead of gamma-encoded sRGB, so e.g. a
+     * black/white checkerboard averages to the grey the eye sees from afar
+     * (188) rather than the too-dark 128.
+     * @param {Uint8ClampedArray} data - Image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} startX - Grid cell start X
+     * @param {number} startY - Grid cell start Y
+     * @param {number} cellWidth - Width of grid cell
+     * @param {number} cellHeight - Height of grid cell
+     * @returns {Object} Mean RGB color (sRGB encoded)
+     */
+    static calculateLinearMeanColor(data, width, height, startX, startY, cellWidth, cellHeight) {
+        const toLinear = GridSampler.getLinearTable();
+        let r = 0, g = 0, b = 0, count = 0;
+        
+        const endX = Math.min(startX + cellWidth, width);
+        const endY = Math.min(startY + cellHeight, height);
+        
+        for (let y = startY; y < endY; y++) {
+            for (let x = startX; x < endX; x++) {
+                const index = (y * width + x) * 4;
+                r += toLinear[data[index]];
+                g += toLinear[data[index + 1]];
+                b += toLinear[data[index + 2]];
+                count++;
+            }
+        }
+        
+        return {
+            r: GridSampler.linearToSrgb(r / count),
+            g: GridSampler.linearToSrgb(g / count),
+            b: GridSampler.linearToSrgb(b / count)
+        };
+    }
+    
+    /**
+     * Get the sRGB (0-255) to linear light (0-1) lookup table
+     * @returns {Float32Array} 256 entries
+     */
+    static getLinearTable() {
+        if (!GridSampler.linearTable) {
+            GridSampler.linearTable = new Float32Array(256);
+            for (let i = 0; i < 256; i++) {
+                const value = i / 255;
+                GridSampler.linearTable[i] = value <= 0.04045
+                    ? value / 12.92
+                    : Math.pow((value + 0.055) / 1.055, 2.4);
+            }
+        }
+        return GridSampler.linearTable;
+    }
+    
+    /**
+     * Convert linear light back to an sRGB channel
+     * @param {number} linear - Linear value (0-1)
+     * @returns {number} sRGB value (0-255)
+     */
+    static linearToSrgb(linear) {
+        const value = linear <= 0.0031308
+            ? linear * 12.92
+            : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+        return Math.round(Math.max(0, Math.min(1, value)) * 255);
+    }
+    
+    /**
+     * Convert RGB to HSV
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} HSV values
+     */
+    static rgbToHsv(r, g, b) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+        
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const diff = max - min;
+        
+        let h = 0;
+        let s = max === 0 ? 0 : diff / max;
+        let v = max;
+        
+        if (diff !== 0) {
+            if (max === r) {
+                h = ((g - b) / diff) % 6;
+            } else if (max === g) {
+                h = (b - r) / diff + 2;
+            } else {
+                h = (r - g) / diff + 4;
+            }
+        }
+        
+        h = Math.round(h * 60);
+        if (h < 0) h += 360;
+        
+        return {
+            h: h,
+            s: Math.round(s * 100),
+            v: Math.round(v * 100)
+        };
+    }
+}
+
+// Export for use in other modules (self is window on the page and the global scope in the worker)
+self.GridSampler = GridSampler;
@@ -5,10 +5,11 @@
 
 class HsvMapper {
     constructor() {
-        // Audio parameter ranges
+        // Audio parameter ranges (the octave range is capped to fit the frequency
+        // range, see getUsableOctaveRange)
         this.frequencyRange = {
-            min: 200,    // Hz
-            max: 2000    // Hz
+            min: 27.5,   // Hz (A0)
+            max: 4186    // Hz (C8)
         };
         
         this.volumeRange = {
@@ -38,48 +39,290 @@ class HsvMapper {
             blues: [0, 3, 5, 6, 7, 10]
         };
         
+        // User-defined scales in cents: { name: { degrees: [0, ...], period: 1200, description } }
+        this.customScales = {};
+        
         this.currentScale = 'pentatonic';
         this.baseFrequency = 220; // A3 note
+        this.rootNote = 'A3';
+        this.referencePitch = 440; // A4 tuning reference
+        
+        // Number of octaves the hue circle spans
+        this.octaveRange = 3;
+        this.minOctaveRange = 1;
+        this.maxOctaveRange = 6;
+        
+        // Semitone offsets of natural note names from C
+        this.noteOffsets = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        
+        // Colour space the mapping reads hue/chroma/lightness from (see ColorSpace)
+        this.colorSpace = 'hsv';
+        
+        // Optional MappingMatrix whose routes override the built-in mapping
+        this.mappingMatrix = null;
     }
     
     /**
      * Map HSV values to complete audio parameters
+     * The colour is first converted to the selected colour space, then any
+     * mapping matrix routes are applied on top.
      * @param {Object} hsv - HSV color values {h, s, v}
+     * @param {Object} pixel - Source cell, for its exact RGB, features and position (optional)
      * @returns {Object} Complete audio parameters
      */
-    mapHsvToAudio(hsv) {
+    mapHsvToAudio(hsv, pixel = null) {
+        const params = this.mapColorToAudio(this.getPerceptualColor(hsv, pixel && pixel.rgb));
+        return this.applyMappingMatrix(params, hsv, pixel);
+    }
+    
+    /**
+     * Map generic hue/chroma/lightness to complete audio parameters
+     * Hue sets pitch and pan, chroma the envelope and timbre, lightness the loudness.
+     * @param {Object} color - {h (0-360), c (0-100), l (0-100)}
+     * @returns {Object} Complete audio parameters
+     */
+    mapColorToAudio(color) {
+        return {
+            frequency: this.mapHueToFrequency(color.h),
+            volume: this.mapValueToVolume(color.l),
+            attack: this.mapSaturationToAttack(color.c),
+            release: this.mapValueToRelease(color.l),
+            waveform: this.mapSaturationToWaveform(color.c),
+            timbre: this.mapSaturationToTimbre(color.c),
+            pan: this.mapHueToPan(color.h)
+        };
+    }
+    
+    /**
+     * Convert a colour to hue/chroma/lightness in the selected colour space
+     * @param {Object} hsv - HSV color values {h, s, v}
+     * @param {Object} rgb - Exact RGB of the same colour (optional, derived from hsv if omitted)
+     * @returns {Object} {h (0-360), c (0-100), l (0-100)}
+     */
+    getPerceptualColor(hsv, rgb = null) {
+        if (this.colorSpace === 'hsv') {
+            return { h: hsv.h, c: hsv.s, l: hsv.v };
+        }
+        
+        return ColorSpace.toPerceptual(rgb || this.hsvToRgb(hsv.h, hsv.s, hsv.v), this.colorSpace);
+    }
+    
+    /**
+     * Read every mapping matrix source for a cell, normalized to 0-1
+     * h/s/v follow the selected colour space (hue, chroma, lightness).
+     * @param {Object} hsv - HSV color values {h, s, v}
+     * @param {Object} pixel - Source cell (optional; contrast, edge and position read as 0 without it)
+     * @returns {Object} Source values by id (see MappingMatrix.sources)
+     */
+    getMappingSources(hsv, pixel = null) {
+        const rgb = (pixel && pixel.rgb) || this.hsvToRgb(hsv.h, hsv.s, hsv.v);
+        const color = this.getPerceptualColor(hsv, rgb);
+        
         return {
-            frequency: this.mapHueToFrequency(hsv.h),
-            volume: this.mapValueToVolume(hsv.v),
-            attack: this.mapSaturationToAttack(hsv.s),
-            release: this.mapValueToRelease(hsv.v),
-            waveform: this.mapSaturationToWaveform(hsv.s),
-            timbre: this.mapSaturationToTimbre(hsv.s),
-            pan: this.mapHueToPan(hsv.h)
+            h: (((color.h % 360) + 360) % 360) / 360,
+            s: color.c / 100,
+            v: color.l / 100,
+            r: rgb.r / 255,
+            g: rgb.g / 255,
+            b: rgb.b / 255,
+            contrast: pixel && pixel.contrast ? pixel.contrast / 100 : 0,
+            edge: pixel && pixel.edge ? pixel.edge / 100 : 0,
+            x: pixel && pixel.normalizedX !== undefined ? pixel.normalizedX : 0,
+            y: pixel && pixel.normalizedY !== undefined ? pixel.normalizedY : 0
         };
     }
     
+    /**
+     * Override audio parameters with the mapping matrix routes
+     * @param {Object} params - Audio parameters from the built-in mapping
+     * @param {Object} hsv - HSV color values {h, s, v}
+     * @param {Object} pixel - Source cell (optional)
+     * @param {Array} skip - Targets to leave alone (e.g. pitch when rows set it)
+     * @returns {Object} Audio parameters; may add filterCutoff (Hz), detune (cents) and reverbSend (0-1)
+     */
+    applyMappingMatrix(params, hsv, pixel = null, skip = []) {
+        if (!this.mappingMatrix || !this.mappingMatrix.hasRoutes()) return params;
+        
+        const values = this.mappingMatrix.evaluate(this.getMappingSources(hsv, pixel));
+        
+        Object.entries(values).forEach(([target, value]) => {
+            if (skip.includes(target)) return;
+            
+            switch (target) {
+                case 'pitch': {
+                    const totalSteps = this.getTotalSteps();
+                    params.frequency = this.stepToFrequency(Math.min(totalSteps - 1, Math.floor(value * totalSteps)));
+                    break;
+                }
+                case 'filterCutoff':
+                    params.filterCutoff = value;
+                    params.timbre = Object.assign({}, params.timbre, { filterCutoff: value });
+                    break;
+                default:
+                    // volume, pan, attack, release, detune and reverbSend are used as they are
+                    params[target] = value;
+            }
+        });
+        
+        return params;
+    }
+    
+    /**
+     * Use a mapping matrix on top of the built-in mapping
+     * @param {MappingMatrix|null} matrix - Matrix, or null for the built-in mapping only
+     */
+    setMappingMatrix(matrix) {
+        this.mappingMatrix = matrix;
+    }
+    
+    /**
+     * Set the colour space used for mapping
+     * @param {string} space - 'hsv', 'hsl', 'lch' or 'oklch'
+     */
+    setColorSpace(space) {
+        if (ColorSpace.getSpaces().some(option => option.id === space)) {
+            this.colorSpace = space;
+        }
+    }
+    
+    /**
+     * Get the colour space used for mapping
+     * @returns {string} Colour space id
+     */
+    getColorSpace() {
+        return this.colorSpace;
+    }
+    
     /**
      * Map hue (0-360°) to frequency using musical scales
-     * @param {number} hue - Hue value (0-360)
+     * @param {number} hue - Hue value (0-360) in any colour space
      * @returns {number} Frequency in Hz
      */
     mapHueToFrequency(hue) {
-        // Normalize hue to 0-1
-        const normalizedHue = hue / 360;
+        // Normalize hue to 0-1 (360° wraps back to 0°)
+        const normalizedHue = (((hue % 360) + 360) % 360) / 360;
         
-        // Map to musical scale
-        const scale = this.musicalScales[this.currentScale];
-        const scaleIndex = Math.floor(normalizedHue * scale.length);
-        const semitone = scale[scaleIndex % scale.length];
+        // Spread every scale degree of every period evenly around the hue circle
+        const step = Math.floor(normalizedHue * this.getTotalSteps());
         
-        // Calculate frequency using equal temperament
-        const octave = Math.floor(normalizedHue * 3); // 3 octaves range
-        const frequency = this.baseFrequency * Math.pow(2, (octave * 12 + semitone) / 12);
+        return this.stepToFrequency(step);
+    }
+    
+    /**
+     * Map a grid row to frequency (bottom row = root, top row = top of the octave range)
+     * Used when rows are treated as pitches (spectral scan, step sequencer)
+     * @param {number} row - Row index (0 = top)
+     * @param {number} rowCount - Number of rows
+     * @returns {number} Frequency in Hz
+     */
+    mapRowToFrequency(row, rowCount) {
+        const height = rowCount > 1 ? (rowCount - 1 - row) / (rowCount - 1) : 0;
+        const totalSteps = this.getTotalSteps();
+        const step = Math.min(totalSteps - 1, Math.floor(height * totalSteps));
+        
+        return this.stepToFrequency(step);
+    }
+    
+    /**
+     * Get the number of scale steps covered by the octave range
+     * @returns {number} Total scale steps
+     */
+    getTotalSteps() {
+        return this.getScaleCents(this.currentScale).degrees.length * this.getUsableOctaveRange();
+    }
+    
+    /**
+     * Get the number of scale periods (octaves) actually played
+     * The octave range is cut back so the top of the span stays inside the
+     * frequency range; otherwise a high root would clamp its top steps onto one
+     * pitch. At least one period is always kept.
+     * @returns {number} Octave span in use (at most getOctaveRange())
+     */
+    getUsableOctaveRange() {
+        const ratio = Math.pow(2, this.getScaleCents(this.currentScale).period / 1200);
+        // A span may end slightly past the limit (C6 up to C8 ends 0.01 Hz over):
+        // its end point is the next period's root, which is never played
+        const fitting = Math.floor(Math.log(this.frequencyRange.max / this.baseFrequency) / Math.log(ratio) + 0.01);
+        
+        return Math.max(1, Math.min(this.octaveRange, fitting));
+    }
+    
+    /**
+     * Convert a scale step (counted from the root) to frequency
+     * @param {number} step - Scale step index
+     * @returns {number} Frequency in Hz, clamped to the frequency range
+     */
+    stepToFrequency(step) {
+        const scale = this.getScaleCents(this.currentScale);
+        const period = Math.floor(step / scale.degrees.length);
+        const cents = scale.degrees[step % scale.degrees.length];
+        
+        // Calculate frequency from cents above the root
+        const frequency = this.baseFrequency * Math.pow(2, (period * scale.period + cents) / 1200);
         
         return Math.max(this.frequencyRange.min, Math.min(this.frequencyRange.max, frequency));
     }
     
+    /**
+     * Convert a frequency to a MIDI note number (A4 = 69 = 440 Hz, the MIDI standard)
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Fractional MIDI note number (round for note-on, the rest is pitch bend)
+     */
+    frequencyToMidi(frequency) {
+        return 69 + 12 * Math.log2(frequency / 440);
+    }
+    
+    /**
+     * Convert a MIDI note number to frequency (A4 = 69 = the reference pitch)
+     * @param {number} note - MIDI note number
+     * @returns {number} Frequency in Hz
+     */
+    midiToFrequency(note) {
+        return this.referencePitch * Math.pow(2, (note - 69) / 12);
+    }
+    
+    /**
+     * Find the pixel whose mapped pitch is closest to a frequency (reverse lookup)
+     * Distance is measured in cents; ties go to the brightest pixel.
+     * @param {Array} pixels - Pixels to search (flat array)
+     * @param {number} frequency - Target frequency in Hz
+     * @returns {Object|null} Closest pixel
+     */
+    findClosestPixel(pixels, frequency) {
+        let closest = null;
+        let closestDistance = Infinity;
+        
+        let closestLightness = -1;
+        
+        pixels.forEach(pixel => {
+            if (!pixel || !pixel.hsv) return;
+            
+            const color = this.getPerceptualColor(pixel.hsv, pixel.rgb);
+            const distance = Math.abs(1200 * Math.log2(this.mapHueToFrequency(color.h) / frequency));
+            const isCloser = distance < closestDistance - 1e-6;
+            const isBrighterTie = Math.abs(distance - closestDistance) <= 1e-6 && color.l > closestLightness;
+            
+            if (isCloser || isBrighterTie) {
+                closest = pixel;
+                closestDistance = distance;
+                closestLightness = color.l;
+            }
+        });
+        
+        return closest;
+    }
+    
+    /**
+     * Map value/brightness (0-100%) to MIDI velocity
+     * @param {number} value - Value/brightness (0-100)
+     * @returns {number} Velocity (1-127)
+     */
+    mapValueToVelocity(value) {
+        const normalizedValue = Math.max(0, Math.min(100, value)) / 100;
+        return Math.round(1 + normalizedValue * 126);
+    }
+    
     /**
      * Map saturation (0-100%) to attack time
      * Higher saturation = faster attack (more immediate, sharper)
@@ -126,6 +369,41 @@ class HsvMapper {
         return this.waveforms[Math.min(waveformIndex, this.waveforms.length - 1)];
     }
     
+    /**
+     * Map hue (0-360°) to waveform type
+     * @param {number} hue - Hue value (0-360)
+     * @returns {string} Waveform type
+     */
+    mapHueToWaveform(hue) {
+        const normalizedHue = (((hue % 360) + 360) % 360) / 360;
+        return this.waveforms[Math.floor(normalizedHue * this.waveforms.length)];
+    }
+    
+    /**
+     * Map a step-sequencer cell to note parameters
+     * Row picks the pitch, saturation (chroma) the velocity and hue the timbre.
+     * Mapping matrix routes apply too, except to pitch.
+     * @param {Object} pixel - Pixel data (with gridY, hsv and optionally rgb)
+     * @param {number} rowCount - Number of rows in the grid
+     * @returns {Object} Audio parameters
+     */
+    mapCellToNote(pixel, rowCount) {
+        const color = this.getPerceptualColor(pixel.hsv, pixel.rgb);
+        const normalizedChroma = color.c / 100;
+        
+        const params = {
+            frequency: this.mapRowToFrequency(pixel.gridY, rowCount),
+            volume: this.volumeRange.min + normalizedChroma * (this.volumeRange.max - this.volumeRange.min),
+            attack: this.mapSaturationToAttack(color.c),
+            release: this.mapValueToRelease(color.l),
+            waveform: this.mapHueToWaveform(color.h),
+            timbre: this.mapSaturationToTimbre(color.c),
+            pan: this.mapHueToPan(color.h)
+        };
+        
+        return this.applyMappingMatrix(params, pixel.hsv, pixel, ['pitch']);
+    }
+    
     /**
      * Map saturation (0-100%) to timbre characteristics
      * @param {number} saturation - Saturation value (0-100)
@@ -237,22 +515,276 @@ class HsvMapper {
         return `${brightnessDesc} ${saturationDesc} ${hueName}`;
     }
     
+    /**
+     * Set the output ranges of the built-in mapping
+     * @param {Object} ranges - Partial {frequency, volume, attack, release}, each {min, max}
+     */
+    setRanges(ranges) {
+        Object.entries(HsvMapper.rangeLimits).forEach(([name, limits]) => {
+            const range = ranges && ranges[name];
+            if (!range) return;
+            
+            const target = this[`${name}Range`];
+            ['min', 'max'].forEach(end => {
+                const value = parseFloat(range[end]);
+                if (isFinite(value)) {
+                    target[end] = Math.max(limits.lower, Math.min(limits.upper, value));
+                }
+            });
+        });
+    }
+    
+    /**
+     * Get the output ranges of the built-in mapping (for saving and restoring)
+     * @returns {Object} {frequency, volume, attack, release}, each {min, max}
+     */
+    getRanges() {
+        const ranges = {};
+        Object.keys(HsvMapper.rangeLimits).forEach(name => {
+            const range = this[`${name}Range`];
+            ranges[name] = { min: range.min, max: range.max };
+        });
+        return ranges;
+    }
+    
     /**
      * Set the musical scale for frequency mapping
      * @param {string} scaleName - Scale name
      */
     setScale(scaleName) {
-        if (this.musicalScales[scaleName]) {
+        if (this.musicalScales[scaleName] || this.customScales[scaleName]) {
             this.currentScale = scaleName;
         }
     }
     
+    /**
+     * Get a scale as cents degrees within its period
+     * @param {string} scaleName - Scale name
+     * @returns {Object} Scale {degrees, period} in cents
+     */
+    getScaleCents(scaleName) {
+        if (this.customScales[scaleName]) {
+            return this.customScales[scaleName];
+        }
+        
+        const semitones = this.musicalScales[scaleName] || this.musicalScales.chromatic;
+        return {
+            degrees: semitones.map(semitone => semitone * 100),
+            period: 1200
+        };
+    }
+    
+    /**
+     * Register a user-defined scale
+     * Exactly one of cents, ratios or semitones should be given.
+     * @param {string} name - Scale name
+     * @param {Object} definition - {cents|ratios|semitones, period, description}
+     *   period may be given in cents (number) or as a ratio string ('2/1', '3/1')
+     * @returns {boolean} True if the scale was registered (built-in scale names are refused)
+     */
+    registerScale(name, definition) {
+        if (!name || !definition || this.musicalScales[name]) return false;
+        
+        try {
+            let degrees;
+            if (Array.isArray(definition.cents)) {
+                degrees = definition.cents.map(Number);
+            } else if (Array.isArray(definition.ratios)) {
+                degrees = definition.ratios.map(ratio => ScalaParser.ratioToCents(ratio));
+            } else if (Array.isArray(definition.semitones)) {
+                degrees = definition.semitones.map(semitone => Number(semitone) * 100);
+            } else {
+                return false;
+            }
+            
+            const period = definition.period === undefined ? 1200
+                : typeof definition.period === 'number' ? definition.period
+                : ScalaParser.ratioToCents(definition.period);
+            
+            if (!isFinite(period) || period <= 0 || degrees.some(cents => !isFinite(cents))) {
+                return false;
+            }
+            
+            // Keep unique degrees inside [0, period), always including the root
+            const normalized = Array.from(new Set([0, ...degrees.filter(cents => cents >= 0 && cents < period)]))
+                .sort((a, b) => a - b);
+            
+            this.customScales[name] = {
+                degrees: normalized,
+                period: period,
+                description: definition.description || name
+            };
+            return true;
+        } catch (error) {
+            console.error(`Failed to register scale '${name}':`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Register a scale from a Scala (.scl) file
+     * A name already taken by a custom scale gets a numbered suffix ('Name (2)'),
+     * so importing never replaces an existing scale.
+     * @param {string} text - Contents of the .scl file
+     * @param {string} name - Scale name (defaults to the file description)
+     * @returns {string} Registered scale name (may differ from the requested name)
+     * @throws {Error} If the name is a built-in scale or the scale cannot be registered
+     */
+    importScalaFile(text, name = null) {
+        const parsed = ScalaParser.parse(text);
+        const baseName = name || parsed.description || `scala-${Object.keys(this.customScales).length + 1}`;
+        
+        if (this.musicalScales[baseName]) {
+            throw new Error(`'${baseName}' is a built-in scale name; rename the scale's description line`);
+        }
+        
+        let scaleName = baseName;
+        for (let copy = 2; this.customScales[scaleName]; copy++) {
+            scaleName = `${baseName} (${copy})`;
+        }
+        
+        const registered = this.registerScale(scaleName, {
+            cents: parsed.degrees,
+            period: parsed.period,
+            description: parsed.description
+        });
+        
+        if (!registered) {
+            throw new Error(`Invalid Scala file: '${scaleName}' has an invalid period or pitch`);
+        }
+        
+        return scaleName;
+    }
+    
+    /**
+     * Remove a user-defined scale
+     * @param {string} name - Scale name
+     */
+    unregisterScale(name) {
+        delete this.customScales[name];
+        if (this.currentScale === name) {
+            this.currentScale = 'pentatonic';
+        }
+    }
+    
+    /**
+     * Get user-defined scale definitions (for saving and restoring)
+     * @returns {Object} Map of scale name to {cents, period, description}
+     */
+    getCustomScales() {
+        const scales = {};
+        Object.entries(this.customScales).forEach(([name, scale]) => {
+            scales[name] = {
+                cents: scale.degrees.slice(),
+                period: scale.period,
+                description: scale.description
+            };
+        });
+        return scales;
+    }
+    
+    /**
+     * Set the A4 reference pitch used to resolve note names
+     * @param {number} frequency - Reference frequency in Hz (e.g. 440, 432, 415)
+     */
+    setReferencePitch(frequency) {
+        const value = parseFloat(frequency);
+        if (!isFinite(value)) return;
+        
+        this.referencePitch = Math.max(380, Math.min(480, value));
+        
+        // Re-tune the current root note against the new reference
+        if (this.rootNote) {
+            this.setRootNote(this.rootNote);
+        }
+    }
+    
+    /**
+     * Get the A4 reference pitch
+     * @returns {number} Reference frequency in Hz
+     */
+    getReferencePitch() {
+        return this.referencePitch;
+    }
+    
     /**
      * Set the base frequency for the scale
      * @param {number} frequency - Base frequency in Hz
      */
     setBaseFrequency(frequency) {
-        this.baseFrequency = Math.max(100, Math.min(1000, frequency));
+        this.baseFrequency = Math.max(30, Math.min(2000, frequency));
+        this.rootNote = null;
+    }
+    
+    /**
+     * Set the root note of the scale by name
+     * @param {string} noteName - Scientific pitch notation, e.g. 'D3', 'F#4', 'Bb2'
+     * @returns {boolean} True if the note name was valid
+     */
+    setRootNote(noteName) {
+        const frequency = this.noteNameToFrequency(noteName);
+        if (frequency === null) return false;
+        
+        this.setBaseFrequency(frequency);
+        this.rootNote = noteName;
+        return true;
+    }
+    
+    /**
+     * Get the current root note name
+     * @returns {string|null} Root note name, or null if set by raw frequency
+     */
+    getRootNote() {
+        return this.rootNote;
+    }
+    
+    /**
+     * Convert a note name to frequency (equal temperament against the A4 reference)
+     * @param {string} noteName - Scientific pitch notation, e.g. 'D3', 'C#5'
+     * @returns {number|null} Frequency in Hz, or null if invalid
+     */
+    noteNameToFrequency(noteName) {
+        const match = /^([A-Ga-g])([#b]?)(-?\d)$/.exec(String(noteName).trim());
+        if (!match) return null;
+        
+        const letter = match[1].toUpperCase();
+        const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+        const octave = parseInt(match[3], 10);
+        
+        const midiNote = (octave + 1) * 12 + this.noteOffsets[letter] + accidental;
+        return this.referencePitch * Math.pow(2, (midiNote - 69) / 12);
+    }
+    
+    /**
+     * Get note names for a range of octaves (for UI selectors)
+     * @param {number} fromOctave - First octave (inclusive)
+     * @param {number} toOctave - Last octave (inclusive)
+     * @returns {Array} Array of note names
+     */
+    getNoteNames(fromOctave = 2, toOctave = 5) {
+        const names = [];
+        for (let octave = fromOctave; octave <= toOctave; octave++) {
+            this.noteNames.forEach(name => names.push(`${name}${octave}`));
+        }
+        return names;
+    }
+    
+    /**
+     * Set how many octaves the hue circle spans
+     * @param {number} octaves - Octave span (1-6)
+     */
+    setOctaveRange(octaves) {
+        const value = Math.round(octaves);
+        if (isNaN(value)) return;
+        this.octaveRange = Math.max(this.minOctaveRange, Math.min(this.maxOctaveRange, value));
+    }
+    
+    /**
+     * Get the current octave span
+     * @returns {number} Octave span
+     */
+    getOctaveRange() {
+        return this.octaveRange;
     }
     
     /**
@@ -260,7 +792,7 @@ class HsvMapper {
      * @returns {Array} Array of scale names
      */
     getAvailableScales() {
-        return Object.keys(this.musicalScales);
+        return [...Object.keys(this.musicalScales), ...Object.keys(this.customScales)];
     }
     
     /**
@@ -288,7 +820,7 @@ class HsvMapper {
      */
     generateChordFrequencies(pixels) {
         return pixels.map(pixel => {
-            const audioParams = this.mapHsvToAudio(pixel.hsv);
+            const audioParams = this.mapHsvToAudio(pixel.hsv, pixel);
             return {
                 frequency: audioParams.frequency,
                 volume: audioParams.volume,
@@ -302,5 +834,13 @@ class HsvMapper {
     }
 }
 
+// Bounds accepted by setRanges (frequency in Hz, volume 0-1, attack and release in seconds)
+HsvMapper.rangeLimits = {
+    frequency: { lower: 20, upper: 20000 },
+    volume: { lower: 0, upper: 1 },
+    attack: { lower: 0.001, upper: 2 },
+    release: { lower: 0.01, upper: 5 }
+};
+
 // Export for use in other modules
 window.HsvMapper = HsvMapper;
@@ -11,6 +11,39 @@ class ImageProcessor {
         this.pixelSize = 50;
         this.maxPixelSize = 100;
         this.minPixelSize = 10;
+        this.processingSize = 600; // Longest edge of the processing canvas (px), independent of the display
+        this.maxProcessingSize = 2400;
+        this.minProcessingSize = 200;
+        
+        // Grid spec: 'size' = square cells of pixelSize, 'count' = fixed columns × rows
+        this.gridMode = 'size';
+        this.gridColumns = 32;
+        this.gridRows = 12;
+        this.maxGridCount = 256;
+        this.lockAspect = false; // In 'count' mode, derive rows from columns so cells stay square
+        this.cellWidth = this.pixelSize; // Cell size in processing pixels (may be fractional)
+        this.cellHeight = this.pixelSize;
+        this.gridDimensions = { columns: 0, rows: 0 };
+        
+        // How a cell's colour is computed from the original image pixels it covers
+        // ('center' is the original behaviour; the others average over the whole cell)
+        this.samplingStrategies = ['center', 'mean', 'median', 'dominant', 'linear'];
+        this.samplingStrategy = 'center';
+        this.dominantClusters = 3; // k for the k-means dominant colour
+        this.maxClusterSamples = 256; // Pixels per cell fed to k-means (evenly strided)
+        
+        // Sampling runs in a Web Worker (imageWorker.js) when one can be started
+        this.grid = null; // PixelGrid holding the cell colours in typed arrays
+        this.worker = null;
+        this.workerFailed = false; // Sample on the main thread instead (e.g. pages opened from file://)
+        this.job = null; // {id, spec, resolve, reject} while the worker is busy
+        this.nextJobId = 1;
+        
+        // Settings changes (e.g. dragging a slider) are coalesced before reprocessing
+        this.reprocessDelay = 100; // ms
+        this.reprocessTimer = null;
+        this.pendingReprocess = null; // {resolve, reject} of the reprocess waiting for the timer
+        
         this.canvas = null;
         this.ctx = null;
     }
@@ -30,110 +63,501 @@ class ImageProcessor {
      * @returns {Promise<boolean>} Success status
      */
     async loadImage(file) {
+        return this.loadSource(file);
+    }
+    
+    /**
+     * Load and process an image from any supported source
+     * - File or Blob (file input, clipboard, drag-and-drop)
+     * - URL string (http(s), data: or blob:)
+     * - DataTransfer (drop or paste event data; the first image file, else a dragged link)
+     * @param {File|Blob|string|DataTransfer} source - Image source
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSource(source) {
+        const resolved = this.resolveSource(source);
+        if (resolved === null) {
+            throw new Error('No image found. Drop or paste an image file, or an image URL.');
+        }
+        
+        const img = typeof resolved === 'string'
+            ? await this.loadImageFromUrl(resolved)
+            : await this.loadImageFromBlob(resolved);
+        
+        this.originalImage = img;
+        return this.processImage();
+    }
+    
+    /**
+     * Check whether a source contains something loadSource can use
+     * @param {File|Blob|string|DataTransfer} source - Image source
+     * @returns {boolean} True if an image file or URL was found
+     */
+    hasSource(source) {
+        return this.resolveSource(source) !== null;
+    }
+    
+    /**
+     * Reduce a source to a Blob or URL string
+     * @param {File|Blob|string|DataTransfer} source - Image source
+     * @returns {Blob|string|null} Blob, URL, or null if nothing usable was found
+     */
+    resolveSource(source) {
+        if (!source) return null;
+        
+        if (source instanceof Blob) return source;
+        
+        if (typeof source === 'string') {
+            return source.trim() || null;
+        }
+        
+        // DataTransfer (drop) or clipboard data (paste)
+        if (source.items || source.files) {
+            const files = Array.from(source.files || []);
+            const items = Array.from(source.items || [])
+                .filter(item => item.kind === 'file')
+                .map(item => item.getAsFile())
+                .filter(file => file);
+            const candidates = files.length ? files : items;
+            
+            const image = candidates.find(file => file.type.startsWith('image/'));
+            if (image) return image;
+            if (candidates.length) return candidates[0]; // Reported as the wrong type
+            
+            // Images dragged from another page arrive as links
+            const uri = (source.getData('text/uri-list') || '').split(/\r?\n/).find(line => line && !line.startsWith('#'));
+            const text = (source.getData('text/plain') || '').trim();
+            const url = uri || text;
+            return /^(https?:|data:image\/|blob:)/i.test(url) ? url : null;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Decode an image file or blob
+     * @param {Blob} blob - Image data
+     * @returns {Promise<HTMLImageElement>} Decoded image
+     */
+    loadImageFromBlob(blob) {
+        const name = blob.name ? `'${blob.name}'` : 'The file';
+        
         return new Promise((resolve, reject) => {
-            if (!file || !file.type.startsWith('image/')) {
-                reject(new Error('Invalid file type'));
+            if (!blob.type.startsWith('image/')) {
+                reject(new Error(`${name} is not an image (${blob.type || 'unknown type'}). Use a PNG, JPEG, GIF, WebP or SVG file.`));
                 return;
             }
             
             const reader = new FileReader();
             reader.onload = (e) => {
                 const img = new Image();
-                img.onload = () => {
-                    this.originalImage = img;
-                    this.processImage();
-                    resolve(true);
-                };
-                img.onerror = () => reject(new Error('Failed to load image'));
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error(`${name} could not be decoded. It may be damaged or in a format this browser does not support (${blob.type}).`));
                 img.src = e.target.result;
             };
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsDataURL(file);
+            reader.onerror = () => reject(new Error(`${name} could not be read.`));
+            reader.readAsDataURL(blob);
         });
     }
     
     /**
-     * Process the loaded image with current pixel size
+     * Download and decode an image by URL
+     * The image is fetched with CORS so its pixels can be read; servers that do
+     * not send Access-Control-Allow-Origin are reported as such.
+     * @param {string} url - Image URL (http(s), data: or blob:)
+     * @returns {Promise<HTMLImageElement>} Decoded image
      */
-    processImage() {
-        if (!this.originalImage || !this.canvas) return;
+    async loadImageFromUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url, window.location.href);
+        } catch (error) {
+            throw new Error(`'${url}' is not a valid URL.`);
+        }
+        
+        if (!['http:', 'https:', 'data:', 'blob:'].includes(parsed.protocol)) {
+            throw new Error(`Unsupported URL type '${parsed.protocol}'. Use an http(s) image link.`);
+        }
         
-        // 固定畫布尺寸
-        const canvasWidth = 600;
-        const canvasHeight = 500;
+        let response;
+        try {
+            response = await fetch(parsed.href, { mode: 'cors', credentials: 'omit' });
+        } catch (error) {
+            // fetch rejects without details for both CORS and network failures
+            throw new Error(`Could not download the image from ${parsed.host || 'this URL'}. ` +
+                'The server may not allow cross-origin access (CORS), or it is unreachable. ' +
+                'Save the image and upload it, or drag it in from your computer.');
+        }
         
-        this.canvas.width = canvasWidth;
-        this.canvas.height = canvasHeight;
+        if (!response.ok) {
+            const status = response.statusText ? `${response.status} ${response.statusText}` : response.status;
+            throw new Error(`The server returned ${status} for this URL.`);
+        }
         
-        // 計算圖片縮放尺寸，保持寬高比
-        const aspectRatio = this.originalImage.width / this.originalImage.height;
-        let imageWidth, imageHeight;
+        const blob = await response.blob();
+        if (!blob.type.startsWith('image/')) {
+            throw new Error(`The URL does not point to an image (${blob.type || 'unknown type'}). Use a direct link to the image file.`);
+        }
         
-        if (aspectRatio > canvasWidth / canvasHeight) {
-            // 橫向圖片：以寬度為準
-            imageWidth = canvasWidth;
-            imageHeight = canvasWidth / aspectRatio;
-        } else {
-            // 直向圖片：以高度為準
-            imageHeight = canvasHeight;
-            imageWidth = canvasHeight * aspectRatio;
+        return this.loadImageFromBlob(blob);
+    }
+    
+    /**
+     * Use a video frame as the image (camera or <video> element)
+     * Grid cells are updated in place when the grid size is unchanged, so
+     * scan/sweep playback keeps following the same cells while the scene moves.
+     * Frames arriving while the previous one is still being processed are dropped.
+     * @param {HTMLVideoElement} video - Video showing the frame to process
+     * @returns {Promise<boolean>} True once the frame has been processed
+     */
+    loadFrame(video) {
+        if (!video || video.readyState < 2 || !video.videoWidth) return Promise.resolve(false);
+        
+        this.originalImage = video;
+        return this.processImage(true);
+    }
+    
+    /**
+     * Replace a video source with a still copy of its last frame
+     * Lets the grid be reprocessed (e.g. new pixel size) after the video stops.
+     * @param {HTMLVideoElement} video - Video currently used as the image
+     */
+    freezeFrame(video) {
+        if (this.originalImage !== video || !video.videoWidth) return;
+        
+        const still = document.createElement('canvas');
+        still.width = video.videoWidth;
+        still.height = video.videoHeight;
+        still.getContext('2d').drawImage(video, 0, 0);
+        this.originalImage = still;
+    }
+    
+    /**
+     * Get the processed grid's cell colours (e.g. to share them in a link)
+     * @returns {Object|null} {width, height, columns, rows, rgb} or null if no image is loaded
+     */
+    getPalette() {
+        if (!this.hasImage()) return null;
+        
+        return {
+            width: this.imageWidth,
+            height: this.imageHeight,
+            columns: this.gridDimensions.columns,
+            rows: this.gridDimensions.rows,
+            rgb: new Uint8ClampedArray(this.grid.rgb)
+        };
+    }
+    
+    /**
+     * Use a palette from getPalette() as the image
+     * Each cell is painted as a flat block at the original processing size, so
+     * with the same grid settings every sampling strategy returns the same colours.
+     * @param {Object} palette - {width, height, columns, rows, rgb}
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadPalette(palette) {
+        const spec = this.getGridSpec(palette.width, palette.height);
+        if (spec.columns !== palette.columns || spec.rows !== palette.rows) {
+            throw new Error(`The shared image is ${palette.columns}x${palette.rows} cells, ` +
+                `but the shared grid settings give ${spec.columns}x${spec.rows}.`);
         }
         
-        // 計算居中位置
-        const offsetX = (canvasWidth - imageWidth) / 2;
-        const offsetY = (canvasHeight - imageHeight) / 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = palette.width;
+        canvas.height = palette.height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(palette.width, palette.height);
         
-        // 清除畫布並設置白色背景
+        for (let gridY = 0; gridY < spec.rows; gridY++) {
+            for (let gridX = 0; gridX < spec.columns; gridX++) {
+                const { x, y, width, height } = GridSampler.getCellBounds(gridX, gridY, spec, palette.width, palette.height);
+                const offset = (gridY * spec.columns + gridX) * 3;
+                
+                for (let row = y; row < y + height; row++) {
+                    for (let column = x; column < x + width; column++) {
+                        const index = (row * palette.width + column) * 4;
+                        imageData.data[index] = palette.rgb[offset];
+                        imageData.data[index + 1] = palette.rgb[offset + 1];
+                        imageData.data[index + 2] = palette.rgb[offset + 2];
+                        imageData.data[index + 3] = 255;
+                    }
+                }
+            }
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        this.originalImage = canvas;
+        return this.processImage();
+    }
+    
+    /**
+     * Get the natural size of an image or video source
+     * @param {HTMLImageElement|HTMLVideoElement} source - Image source
+     * @returns {Object} {width, height}
+     */
+    getSourceSize(source) {
+        return {
+            width: source.videoWidth || source.naturalWidth || source.width,
+            height: source.videoHeight || source.naturalHeight || source.height
+        };
+    }
+    
+    /**
+     * Get the processing canvas size for a source
+     * The source's aspect ratio is kept and its long edge is scaled to the
+     * processing size, so a pixel size gives the same grid density whatever the
+     * source's resolution (small images are scaled up, as they always were).
+     * @param {Object} sourceSize - Natural size {width, height}
+     * @returns {Object} {width, height} in processing pixels
+     */
+    getProcessingSize(sourceSize) {
+        // SVGs without intrinsic dimensions report 0
+        const width = sourceSize.width || this.processingSize;
+        const height = sourceSize.height || this.processingSize;
+        const scale = this.processingSize / Math.max(width, height);
+        
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+    
+    /**
+     * Process the loaded image with the current grid settings
+     * The source is drawn at processing resolution here; sampling and HSV
+     * conversion run in a Web Worker. A newer call cancels one that is still
+     * running, except video frames (incremental), which are dropped while busy.
+     * The grid covers the image only; pixel coordinates (pixelX, pixelY,
+     * getPixelAt) are in processing pixels, not screen pixels.
+     * @param {boolean} incremental - Update existing grid cells in place (video frames)
+     * @returns {Promise<boolean>} True once the new grid is in place, false if cancelled or dropped
+     */
+    async processImage(incremental = false) {
+        if (!this.originalImage || !this.canvas) return false;
+        if (incremental && this.job) return false;
+        
+        // 處理畫布長邊等於處理解析度（依圖片比例縮放）
+        const sourceSize = this.getSourceSize(this.originalImage);
+        const { width, height } = this.getProcessingSize(sourceSize);
+        
+        // Resizing clears the canvas, so only do it when the size changes (video frames)
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        
+        // 白色背景（透明圖片）
         this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        this.ctx.fillRect(0, 0, width, height);
         
-        // 繪製圖片到居中位置
-        this.ctx.drawImage(this.originalImage, offsetX, offsetY, imageWidth, imageHeight);
+        // 繪製圖片填滿處理畫布
+        this.ctx.drawImage(this.originalImage, 0, 0, width, height);
         
-        // 儲存圖片實際尺寸和位置
-        this.imageWidth = imageWidth;
-        this.imageHeight = imageHeight;
-        this.imageOffsetX = offsetX;
-        this.imageOffsetY = offsetY;
+        // Sample every cell from the original image (the canvas is not painted over)
+        const spec = this.getGridSpec(width, height);
+        const colors = await this.sampleCells(this.ctx.getImageData(0, 0, width, height), spec);
+        if (!colors) return false;
         
-        // Apply pixelation effect
-        this.applyPixelation();
+        // 結果到達後才更新尺寸，處理期間仍可查詢舊網格
+        this.imageWidth = width;
+        this.imageHeight = height;
+        this.sourceWidth = sourceSize.width;
+        this.sourceHeight = sourceSize.height;
+        this.cellWidth = spec.cellWidth;
+        this.cellHeight = spec.cellHeight;
+        this.gridDimensions = { columns: spec.columns, rows: spec.rows };
         
         // Extract pixel data
-        this.extractPixelData();
+        this.extractPixelData(incremental, colors);
         
-        console.log(`Image processed: ${imageWidth}x${imageHeight}, offset: (${offsetX}, ${offsetY}), aspect ratio: ${aspectRatio.toFixed(2)}`);
+        // Video frames arrive many times a second; only log still images
+        if (!incremental) {
+            console.log(`Image processed: ${width}x${height} (source ${sourceSize.width}x${sourceSize.height}), ` +
+                `grid: ${spec.columns}x${spec.rows}`);
+        }
+        return true;
     }
     
     /**
-     * Apply pixelation effect to the canvas
+     * Work out the grid for the current settings and an image size
+     * - 'size': square cells of pixelSize (edge cells may be cut off)
+     * - 'count': the image is split into exactly gridColumns × gridRows cells,
+     *   which are stretched to fit unless lockAspect derives the rows from the columns
+     * @param {number} width - Processing width
+     * @param {number} height - Processing height
+     * @returns {Object} {columns, rows, cellWidth, cellHeight}
+     */
+    getGridSpec(width, height) {
+        if (this.gridMode !== 'count') {
+            return {
+                columns: Math.ceil(width / this.pixelSize),
+                rows: Math.ceil(height / this.pixelSize),
+                cellWidth: this.pixelSize,
+                cellHeight: this.pixelSize
+            };
+        }
+        
+        const columns = Math.min(this.gridColumns, width);
+        const rows = Math.max(1, Math.min(this.lockAspect ? Math.round(columns * height / width) : this.gridRows,
+            this.maxGridCount, height));
+        
+        return {
+            columns: columns,
+            rows: rows,
+            cellWidth: width / columns,
+            cellHeight: height / rows
+        };
+    }
+    
+    /**
+     * Get the number of grid cells across and down the processed image
+     * @returns {Object} {columns, rows}
+     */
+    getGridDimensions() {
+        return this.gridDimensions;
+    }
+    
+    /**
+     * Get the processing pixels covered by a grid cell
+     * @param {number} gridX - Grid X coordinate
+     * @param {number} gridY - Grid Y coordinate
+     * @returns {Object} Whole-pixel bounds {x, y, width, height}, at least 1px and inside the canvas
+     */
+    getCellBounds(gridX, gridY) {
+        const spec = { cellWidth: this.cellWidth, cellHeight: this.cellHeight };
+        return GridSampler.getCellBounds(gridX, gridY, spec, this.canvas.width, this.canvas.height);
+    }
+    
+    /**
+     * Sample every cell's RGB and HSV
+     * @param {ImageData} imageData - Image at processing resolution (its buffer is transferred to the worker)
+     * @param {Object} spec - Grid from getGridSpec
+     * @returns {Promise<Object|null>} {rgb, hsv, features} typed arrays (see GridSampler.sampleGrid), or null if cancelled
+     */
+    sampleCells(imageData, spec) {
+        const samplingSpec = Object.assign({
+            strategy: this.samplingStrategy,
+            dominantClusters: this.dominantClusters,
+            maxClusterSamples: this.maxClusterSamples
+        }, spec);
+        
+        // Only the latest parameters matter
+        this.cancelJob();
+        
+        const worker = this.getWorker();
+        if (!worker) {
+            return Promise.resolve(GridSampler.sampleGrid(imageData.data, imageData.width, imageData.height, samplingSpec));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            this.job = { id: id, spec: samplingSpec, resolve: resolve, reject: reject };
+            worker.postMessage({
+                id: id,
+                buffer: imageData.data.buffer,
+                width: imageData.width,
+                height: imageData.height,
+                spec: samplingSpec
+            }, [imageData.data.buffer]);
+        });
+    }
+    
+    /**
+     * Get the sampling worker, starting it on first use
+     * @returns {Worker|null} Worker, or null to sample on the main thread
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) return this.worker;
+        
+        if (typeof Worker === 'undefined') {
+            this.workerFailed = true;
+            return null;
+        }
+        
+        try {
+            this.worker = new Worker(ImageProcessor.workerUrl);
+        } catch (error) {
+            // Browsers refuse workers on pages opened from file://
+            this.handleWorkerError(error);
+            return null;
+        }
+        
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.handleWorkerError(event);
+        };
+        return this.worker;
+    }
+    
+    /**
+     * Handle a finished sampling job
+     * @param {Object} message - {id, rgb, hsv, features} or {id, error}
+     */
+    handleWorkerMessage(message) {
+        // Results of cancelled jobs are ignored
+        if (!this.job || message.id !== this.job.id) return;
+        
+        const job = this.job;
+        this.job = null;
+        
+        if (message.error) {
+            job.reject(new Error(`Image processing failed: ${message.error}`));
+        } else {
+            job.resolve({ rgb: message.rgb, hsv: message.hsv, features: message.features });
+        }
+    }
+    
+    /**
+     * Give up on the worker and sample on the main thread from now on
+     * A job in flight is redone here from the canvas, which still holds its image.
+     * @param {Error|ErrorEvent} error - Failure
+     */
+    handleWorkerError(error) {
+        console.warn('Image worker unavailable, processing on the main thread:', error.message || error);
+        
+        const job = this.job;
+        this.job = null;
+        this.workerFailed = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        if (job) {
+            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            job.resolve(GridSampler.sampleGrid(imageData.data, imageData.width, imageData.height, job.spec));
+        }
+    }
+    
+    /**
+     * Cancel the job in flight
+     * The worker drops the job if it is still queued; one it has already
+     * started runs to the end and its result is ignored when it arrives.
+     */
+    cancelJob() {
+        if (!this.job) return;
+        
+        if (this.worker) {
+            this.worker.postMessage({ cancel: this.job.id });
+        }
+        this.job.resolve(null);
+        this.job = null;
+    }
+    
+    /**
+     * Paint the current grid onto the processing canvas
+     * Playback and the interactive canvas draw from the pixel data, so this is
+     * only needed to look at the processing canvas itself (e.g. debug pages).
      */
     applyPixelation() {
         if (!this.canvas || !this.ctx) return;
         
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        const data = imageData.data;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        
-        // Calculate grid dimensions
-        const gridWidth = Math.ceil(width / this.pixelSize);
-        const gridHeight = Math.ceil(height / this.pixelSize);
-        
-        // Create pixelated version
-        for (let gridY = 0; gridY < gridHeight; gridY++) {
-            for (let gridX = 0; gridX < gridWidth; gridX++) {
-                // Calculate average color for this grid cell
-                const avgColor = this.calculateAverageColor(
-                    data, width, height,
-                    gridX * this.pixelSize, gridY * this.pixelSize,
-                    this.pixelSize
-                );
-                
-                // Fill the grid cell with average color
-                this.fillGridCell(gridX, gridY, avgColor);
-            }
-        }
+        this.pixelData.forEach(row => {
+            row.forEach(pixel => {
+                this.fillGridCell(pixel.gridX, pixel.gridY, pixel.rgb);
+            });
+        });
     }
     
     /**
@@ -143,30 +567,12 @@ class ImageProcessor {
      * @param {number} height - Image height
      * @param {number} startX - Grid cell start X
      * @param {number} startY - Grid cell start Y
-     * @param {number} cellSize - Size of grid cell
+     * @param {number} cellSize - Width of grid cell
+     * @param {number} cellHeight - Height of grid cell (defaults to cellSize)
      * @returns {Object} Average RGB color
      */
-    calculateAverageColor(data, width, height, startX, startY, cellSize) {
-        let r = 0, g = 0, b = 0, count = 0;
-        
-        const endX = Math.min(startX + cellSize, width);
-        const endY = Math.min(startY + cellSize, height);
-        
-        for (let y = startY; y < endY; y++) {
-            for (let x = startX; x < endX; x++) {
-                const index = (y * width + x) * 4;
-                r += data[index];
-                g += data[index + 1];
-                b += data[index + 2];
-                count++;
-            }
-        }
-        
-        return {
-            r: Math.round(r / count),
-            g: Math.round(g / count),
-            b: Math.round(b / count)
-        };
+    calculateAverageColor(data, width, height, startX, startY, cellSize, cellHeight = cellSize) {
+        return GridSampler.calculateAverageColor(data, width, height, startX, startY, cellSize, cellHeight);
     }
     
     /**
@@ -176,62 +582,38 @@ class ImageProcessor {
      * @param {Object} color - RGB color object
      */
     fillGridCell(gridX, gridY, color) {
-        const x = gridX * this.pixelSize;
-        const y = gridY * this.pixelSize;
+        const { x, y, width, height } = this.getCellBounds(gridX, gridY);
         
         this.ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
-        this.ctx.fillRect(x, y, this.pixelSize, this.pixelSize);
+        this.ctx.fillRect(x, y, width, height);
         
         // Add subtle border for better visibility
         this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
         this.ctx.lineWidth = 1;
-        this.ctx.strokeRect(x, y, this.pixelSize, this.pixelSize);
+        this.ctx.strokeRect(x, y, width, height);
     }
     
     /**
-     * Extract pixel data from the pixelated image
+     * Store sampled cell colors as the pixel data
+     * Colors stay in typed arrays (see PixelGrid); pixelData holds views onto them.
+     * @param {boolean} incremental - Update the existing cells in place when the layout matches
+     * @param {Object} colors - {rgb, hsv, features} typed arrays from sampleCells
      */
-    extractPixelData() {
-        if (!this.canvas || !this.ctx) return;
+    extractPixelData(incremental, colors) {
+        const spec = {
+            columns: this.gridDimensions.columns,
+            rows: this.gridDimensions.rows,
+            cellWidth: this.cellWidth,
+            cellHeight: this.cellHeight
+        };
         
-        this.pixelData = [];
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        const data = imageData.data;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        
-        const gridWidth = Math.ceil(width / this.pixelSize);
-        const gridHeight = Math.ceil(height / this.pixelSize);
-        
-        for (let gridY = 0; gridY < gridHeight; gridY++) {
-            this.pixelData[gridY] = [];
-            for (let gridX = 0; gridX < gridWidth; gridX++) {
-                const pixelX = gridX * this.pixelSize;
-                const pixelY = gridY * this.pixelSize;
-                
-                // Get color from center of pixel block
-                const centerX = Math.min(pixelX + Math.floor(this.pixelSize / 2), width - 1);
-                const centerY = Math.min(pixelY + Math.floor(this.pixelSize / 2), height - 1);
-                const index = (centerY * width + centerX) * 4;
-                
-                const rgb = {
-                    r: data[index],
-                    g: data[index + 1],
-                    b: data[index + 2]
-                };
-                
-                const hsv = this.rgbToHsv(rgb.r, rgb.g, rgb.b);
-                
-                this.pixelData[gridY][gridX] = {
-                    rgb: rgb,
-                    hsv: hsv,
-                    gridX: gridX,
-                    gridY: gridY,
-                    pixelX: pixelX,
-                    pixelY: pixelY
-                };
-            }
+        if (incremental && this.grid && this.grid.matches(spec)) {
+            this.grid.setData(colors);
+            return;
         }
+        
+        this.grid = new PixelGrid(spec, colors);
+        this.pixelData = this.grid.getRows();
     }
     
     /**
@@ -242,60 +624,123 @@ class ImageProcessor {
      * @returns {Object} HSV values
      */
     rgbToHsv(r, g, b) {
-        r /= 255;
-        g /= 255;
-        b /= 255;
-        
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        const diff = max - min;
-        
-        let h = 0;
-        let s = max === 0 ? 0 : diff / max;
-        let v = max;
-        
-        if (diff !== 0) {
-            if (max === r) {
-                h = ((g - b) / diff) % 6;
-            } else if (max === g) {
-                h = (b - r) / diff + 2;
-            } else {
-                h = (r - g) / diff + 4;
-            }
-        }
+        return GridSampler.rgbToHsv(r, g, b);
+    }
+    
+    /**
+     * Reprocess the current image after a settings change
+     * Calls within reprocessDelay of each other are merged: only the last one
+     * processes the image, and the ones it replaces resolve false.
+     * @returns {Promise<boolean>} Resolves like processImage (false without an image or if replaced)
+     */
+    reprocess() {
+        if (!this.originalImage) return Promise.resolve(false);
         
-        h = Math.round(h * 60);
-        if (h < 0) h += 360;
+        clearTimeout(this.reprocessTimer);
+        if (this.pendingReprocess) {
+            this.pendingReprocess.resolve(false);
+        }
         
-        return {
-            h: h,
-            s: Math.round(s * 100),
-            v: Math.round(v * 100)
-        };
+        return new Promise((resolve, reject) => {
+            this.pendingReprocess = { resolve: resolve, reject: reject };
+            this.reprocessTimer = setTimeout(() => {
+                const pending = this.pendingReprocess;
+                this.pendingReprocess = null;
+                this.reprocessTimer = null;
+                this.processImage().then(pending.resolve, pending.reject);
+            }, this.reprocessDelay);
+        });
     }
     
     /**
      * Set pixel size and reprocess image
      * @param {number} size - New pixel size
+     * @returns {Promise<boolean>} Resolves once the image has been reprocessed (false if it was not)
      */
     setPixelSize(size) {
         this.pixelSize = Math.max(this.minPixelSize, Math.min(this.maxPixelSize, size));
-        if (this.originalImage) {
-            this.processImage();
+        return this.reprocess();
+    }
+    
+    /**
+     * Choose how cell colors are sampled and reprocess image
+     * @param {string} strategy - 'center' (default), 'mean', 'median', 'dominant' (k-means) or 'linear' (perceptual mean)
+     * @returns {Promise<boolean>} Resolves once the image has been reprocessed (false if it was not)
+     */
+    setSamplingStrategy(strategy) {
+        if (!this.samplingStrategies.includes(strategy)) return Promise.resolve(false);
+        
+        this.samplingStrategy = strategy;
+        return this.reprocess();
+    }
+    
+    /**
+     * Choose how the grid is specified and reprocess image
+     * @param {string} mode - 'size' (pixel size) or 'count' (columns × rows)
+     * @returns {Promise<boolean>} Resolves once the image has been reprocessed (false if it was not)
+     */
+    setGridMode(mode) {
+        if (mode !== 'size' && mode !== 'count') return Promise.resolve(false);
+        
+        this.gridMode = mode;
+        return this.reprocess();
+    }
+    
+    /**
+     * Set the columns × rows used in 'count' mode and reprocess image
+     * Columns are capped at the image width and rows at its height (cells are at least 1px).
+     * @param {number} columns - Number of columns (steps)
+     * @param {number} rows - Number of rows (pitches); ignored while lockAspect is on
+     * @returns {Promise<boolean>} Resolves once the image has been reprocessed (false if it was not)
+     */
+    setGridDimensions(columns, rows) {
+        const columnCount = parseInt(columns, 10);
+        const rowCount = parseInt(rows, 10);
+        
+        if (!isNaN(columnCount)) {
+            this.gridColumns = Math.max(1, Math.min(this.maxGridCount, columnCount));
         }
+        if (!isNaN(rowCount)) {
+            this.gridRows = Math.max(1, Math.min(this.maxGridCount, rowCount));
+        }
+        
+        return this.gridMode === 'count' ? this.reprocess() : Promise.resolve(false);
+    }
+    
+    /**
+     * Keep cells square in 'count' mode by deriving the rows from the columns
+     * @param {boolean} locked - Lock the cell aspect ratio
+     * @returns {Promise<boolean>} Resolves once the image has been reprocessed (false if it was not)
+     */
+    setLockAspect(locked) {
+        this.lockAspect = !!locked;
+        return this.gridMode === 'count' ? this.reprocess() : Promise.resolve(false);
+    }
+    
+    /**
+     * Set the processing resolution and reprocess image
+     * @param {number} size - Longest edge of the processing canvas (px)
+     * @returns {Promise<boolean>} Resolves once the image has been reprocessed (false if it was not)
+     */
+    setProcessingSize(size) {
+        const value = parseInt(size, 10);
+        if (isNaN(value)) return Promise.resolve(false);
+        
+        this.processingSize = Math.max(this.minProcessingSize, Math.min(this.maxProcessingSize, value));
+        return this.reprocess();
     }
     
     /**
      * Get pixel data at specific coordinates
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
+     * @param {number} x - X coordinate in processing pixels
+     * @param {number} y - Y coordinate in processing pixels
      * @returns {Object|null} Pixel data or null if out of bounds
      */
     getPixelAt(x, y) {
         if (!this.pixelData.length) return null;
         
-        const gridX = Math.floor(x / this.pixelSize);
-        const gridY = Math.floor(y / this.pixelSize);
+        const gridX = Math.floor(x / this.cellWidth);
+        const gridY = Math.floor(y / this.cellHeight);
         
         if (gridY >= 0 && gridY < this.pixelData.length &&
             gridX >= 0 && gridX < this.pixelData[gridY].length) {
@@ -307,13 +752,13 @@ class ImageProcessor {
     
     /**
      * Get all pixels in a column for scan mode
-     * @param {number} x - X coordinate
+     * @param {number} x - X coordinate in processing pixels
      * @returns {Array} Array of pixel data in the column
      */
     getColumnPixels(x) {
         if (!this.pixelData.length) return [];
         
-        const gridX = Math.floor(x / this.pixelSize);
+        const gridX = Math.floor(x / this.cellWidth);
         const columnPixels = [];
         
         if (gridX >= 0 && gridX < this.pixelData[0].length) {
@@ -325,18 +770,76 @@ class ImageProcessor {
         return columnPixels;
     }
     
+    /**
+     * Get all pixels of a grid column by index
+     * @param {number} gridX - Column index
+     * @returns {Array} Array of pixel data in the column (top to bottom)
+     */
+    getGridColumn(gridX) {
+        if (!this.pixelData.length || gridX < 0 || gridX >= this.pixelData[0].length) return [];
+        
+        return this.pixelData.map(row => row[gridX]);
+    }
+    
+    /**
+     * Get the grid dimensions
+     * @returns {Object} Number of {columns, rows}
+     */
+    getGridSize() {
+        return {
+            columns: this.pixelData.length ? this.pixelData[0].length : 0,
+            rows: this.pixelData.length
+        };
+    }
+    
+    /**
+     * Get the normalized position of a pixel within the grid
+     * @param {Object} pixel - Pixel data
+     * @returns {Object|null} Position {x, y} in 0-1 (cell centres), or null without data
+     */
+    getNormalizedPosition(pixel) {
+        if (!pixel || !this.pixelData.length) return null;
+        
+        const gridHeight = this.pixelData.length;
+        const gridWidth = this.pixelData[0].length;
+        
+        return {
+            x: (pixel.gridX + 0.5) / gridWidth,
+            y: (pixel.gridY + 0.5) / gridHeight
+        };
+    }
+    
     /**
      * Get image dimensions
-     * @returns {Object} Width, height, and offsets
+     * The image fills the processing canvas, so the offsets are always 0
+     * (kept for callers written for the old letterboxed canvas).
+     * @returns {Object} Processing width and height, offsets, and the source's natural size
      */
     getDimensions() {
         return {
             width: this.imageWidth || 0,
             height: this.imageHeight || 0,
-            offsetX: this.imageOffsetX || 0,
-            offsetY: this.imageOffsetY || 0,
+            offsetX: 0,
+            offsetY: 0,
             canvasWidth: this.canvas ? this.canvas.width : 0,
-            canvasHeight: this.canvas ? this.canvas.height : 0
+            canvasHeight: this.canvas ? this.canvas.height : 0,
+            sourceWidth: this.sourceWidth || 0,
+            sourceHeight: this.sourceHeight || 0
+        };
+    }
+    
+    /**
+     * Capture the current grid for drawing or playing it after the image changes
+     * Loading a new image replaces pixelData rather than mutating it, so the
+     * snapshot stays valid.
+     * @returns {Object} {pixelData, pixelSize, cellSize, dimensions}
+     */
+    getSnapshot() {
+        return {
+            pixelData: this.pixelData,
+            pixelSize: this.pixelSize,
+            cellSize: this.getCellSize(),
+            dimensions: this.getDimensions()
         };
     }
     
@@ -356,6 +859,18 @@ class ImageProcessor {
         return this.pixelSize;
     }
     
+    /**
+     * Get the size of one grid cell
+     * Equals the pixel size in 'size' mode; may be fractional and non-square in 'count' mode.
+     * @returns {Object} {width, height} in processing pixels
+     */
+    getCellSize() {
+        return {
+            width: this.cellWidth,
+            height: this.cellHeight
+        };
+    }
+    
     /**
      * Get pixel data array
      * @returns {Array} 2D array of pixel data
@@ -363,7 +878,28 @@ class ImageProcessor {
     getPixelData() {
         return this.pixelData;
     }
+    
+    /**
+     * Stop the sampling worker
+     */
+    dispose() {
+        clearTimeout(this.reprocessTimer);
+        if (this.pendingReprocess) {
+            this.pendingReprocess.resolve(false);
+            this.pendingReprocess = null;
+        }
+        this.cancelJob();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
 }
 
+// The worker script sits next to this file, whichever page loads it
+ImageProcessor.workerUrl = typeof document !== 'undefined' && document.currentScript
+    ? new URL('imageWorker.js', document.currentScript.src).href
+    : 'src/lib/imageWorker.js';
+
 // Export for use in other modules
 window.ImageProcessor = ImageProcessor;
@@ -0,0 +1,57 @@
+/**
+ * Image Worker - Samples grid cell colours off the main thread
+ * Receives transferred RGBA image data and a grid spec from ImageProcessor,
+ * and transfers back typed arrays of cell RGB, HSV and neighbourhood features.
+ *
+ * Message in:  {id, buffer, width, height, spec} or {cancel: id}
+ * Message out: {id, rgb, hsv, features} or {id, error}
+ *
+ * Jobs are queued and run one per task, so a cancel that arrives while an
+ * earlier job is sampling drops its job before the work starts.
+ */
+
+importScripts('gridSampler.js');
+
+const queue = [];
+let scheduled = false;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    if (message.cancel !== undefined) {
+        const index = queue.findIndex(job => job.id === message.cancel);
+        if (index !== -1) queue.splice(index, 1);
+        return;
+    }
+    
+    queue.push(message);
+    schedule();
+};
+
+/**
+ * Run the next queued job in its own task
+ */
+function schedule() {
+    if (scheduled || !queue.length) return;
+    
+    scheduled = true;
+    setTimeout(() => {
+        scheduled = false;
+        const job = queue.shift();
+        if (job) runJob(job);
+        schedule();
+    }, 0);
+}
+
+/**
+ * Sample one job and post the result back
+ * @param {Object} job - {id, buffer, width, height, spec}
+ */
+function runJob({ id, buffer, width, height, spec }) {
+    try {
+        const { rgb, hsv, features } = GridSampler.sampleGrid(new Uint8ClampedArray(buffer), width, height, spec);
+        self.postMessage({ id, rgb, hsv, features }, [rgb.buffer, hsv.buffer, features.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ * Mapping Matrix - User-defined routes from colour channels to sound parameters
+ * Each route reads one source (0-1), shapes it with a curve, optionally inverts it
+ * and scales it into a target range. Routes override the mapper's built-in mapping
+ * for their target; with no routes the built-in mapping is used unchanged.
+ */
+
+class MappingMatrix {
+    constructor() {
+        this.routes = [];
+        this.nextId = 1;
+        
+        // User presets: { name: [routes] }
+        this.presets = {};
+        
+        this.onChange = null; // () => {} after routes or presets change
+    }
+    
+    /**
+     * Add a route
+     * @param {Object} route - Partial {source, target, curve, min, max, invert}
+     * @returns {Object} The new route (with id)
+     */
+    addRoute(route = {}) {
+        const created = Object.assign({ id: this.nextId++ }, MappingMatrix.normalizeRoute(route));
+        
+        this.routes.push(created);
+        this.notify();
+        return created;
+    }
+    
+    /**
+     * Change a route
+     * Changing the target resets the range to that target's default unless a range is given.
+     * @param {number} id - Route id
+     * @param {Object} changes - Partial {source, target, curve, min, max, invert}
+     */
+    updateRoute(id, changes) {
+        const route = this.routes.find(candidate => candidate.id === id);
+        if (!route) return;
+        
+        const next = Object.assign({}, route, changes);
+        if (changes.target && changes.target !== route.target && changes.min === undefined && changes.max === undefined) {
+            delete next.min;
+            delete next.max;
+        }
+        
+        Object.assign(route, MappingMatrix.normalizeRoute(next));
+        this.notify();
+    }
+    
+    /**
+     * Remove a route
+     * @param {number} id - Route id
+     */
+    removeRoute(id) {
+        const index = this.routes.findIndex(route => route.id === id);
+        if (index < 0) return;
+        
+        this.routes.splice(index, 1);
+        this.notify();
+    }
+    
+    /**
+     * Replace every route
+     * @param {Array} routes - Routes (ids are reassigned)
+     */
+    setRoutes(routes) {
+        this.routes = (routes || []).map(route => Object.assign({ id: this.nextId++ }, MappingMatrix.normalizeRoute(route)));
+        this.notify();
+    }
+    
+    /**
+     * Get the routes (without ids, for saving)
+     * @returns {Array} Array of {source, target, curve, min, max, invert}
+     */
+    getRoutes() {
+        return this.routes.map(({ id, ...route }) => route);
+    }
+    
+    /**
+     * Check whether any route is active
+     * @returns {boolean} True if there is at least one route
+     */
+    hasRoutes() {
+        return this.routes.length > 0;
+    }
+    
+    /**
+     * Evaluate every route for one set of source values
+     * Several routes to the same target are averaged.
+     * @param {Object} sources - Source values by id (0-1)
+     * @returns {Object} Target values by id, in target units
+     */
+    evaluate(sources) {
+        const totals = {};
+        
+        this.routes.forEach(route => {
+            const input = Math.max(0, Math.min(1, sources[route.source] || 0));
+            const shaped = MappingMatrix.applyCurve(route.invert ? 1 - input : input, route.curve);
+            const value = route.min + shaped * (route.max - route.min);
+            
+            const total = totals[route.target] || (totals[route.target] = { sum: 0, count: 0 });
+            total.sum += value;
+            total.count++;
+        });
+        
+        const values = {};
+        Object.entries(totals).forEach(([target, total]) => {
+            values[target] = total.sum / total.count;
+        });
+        return values;
+    }
+    
+    /**
+     * Save the current routes as a named preset (replaces a user preset of the same name)
+     * @param {string} name - Preset name
+     * @returns {boolean} True if saved
+     */
+    savePreset(name) {
+        const presetName = String(name || '').trim();
+        if (!presetName || MappingMatrix.builtInPresets[presetName]) return false;
+        
+        this.presets[presetName] = this.getRoutes();
+        this.notify();
+        return true;
+    }
+    
+    /**
+     * Load a built-in or user preset
+     * @param {string} name - Preset name
+     * @returns {boolean} True if the preset exists
+     */
+    loadPreset(name) {
+        const routes = MappingMatrix.builtInPresets[name] || this.presets[name];
+        if (!routes) return false;
+        
+        this.setRoutes(routes);
+        return true;
+    }
+    
+    /**
+     * Delete a user preset
+     * @param {string} name - Preset name
+     */
+    deletePreset(name) {
+        if (!this.presets[name]) return;
+        
+        delete this.presets[name];
+        this.notify();
+    }
+    
+    /**
+     * Get every preset name, built-in first
+     * @returns {Array} Preset names
+     */
+    getPresetNames() {
+        return [...Object.keys(MappingMatrix.builtInPresets), ...Object.keys(this.presets)];
+    }
+    
+    /**
+     * Check whether a preset is built in (read-only)
+     * @param {string} name - Preset name
+     * @returns {boolean} True if built in
+     */
+    isBuiltInPreset(name) {
+        return Boolean(MappingMatrix.builtInPresets[name]);
+    }
+    
+    /**
+     * Get the user presets (for saving and restoring)
+     * @returns {Object} Map of preset name to routes
+     */
+    getPresets() {
+        const presets = {};
+        Object.entries(this.presets).forEach(([name, routes]) => {
+            presets[name] = routes.map(route => Object.assign({}, route));
+        });
+        return presets;
+    }
+    
+    /**
+     * Add user presets (e.g. restored from a saved state)
+     * @param {Object} presets - Map of preset name to routes
+     */
+    setPresets(presets) {
+        Object.entries(presets || {}).forEach(([name, routes]) => {
+            if (Array.isArray(routes) && !MappingMatrix.builtInPresets[name]) {
+                this.presets[name] = routes.map(route => MappingMatrix.normalizeRoute(route));
+            }
+        });
+        this.notify();
+    }
+    
+    /**
+     * Report a change
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    /**
+     * Fill in and clamp a route
+     * @param {Object} route - Partial route
+     * @returns {Object} {source, target, curve, min, max, invert}
+     */
+    static normalizeRoute(route) {
+        const source = MappingMatrix.sources[route.source] ? route.source : 'h';
+        const target = MappingMatrix.targets[route.target] ? route.target : 'pitch';
+        const curve = MappingMatrix.curves[route.curve] ? route.curve : 'linear';
+        const limits = MappingMatrix.targets[target];
+        
+        const clamp = (value, fallback) => {
+            const number = parseFloat(value);
+            return isFinite(number) ? Math.max(limits.lower, Math.min(limits.upper, number)) : fallback;
+        };
+        
+        return {
+            source: source,
+            target: target,
+            curve: curve,
+            min: clamp(route.min, limits.min),
+            max: clamp(route.max, limits.max),
+            invert: Boolean(route.invert)
+        };
+    }
+    
+    /**
+     * Shape a 0-1 value with a curve
+     * @param {number} value - Input (0-1)
+     * @param {string} curve - Curve id
+     * @returns {number} Output (0-1)
+     */
+    static applyCurve(value, curve) {
+        switch (curve) {
+            case 'exponential':
+                return value * value;
+            case 'logarithmic':
+                return Math.sqrt(value);
+            case 's-curve':
+                return value * value * (3 - 2 * value);
+            default:
+                return value;
+        }
+    }
+}
+
+// Source channels, all read as 0-1 (see HsvMapper.getMappingSources)
+MappingMatrix.sources = {
+    h: { name: 'Hue' },
+    s: { name: 'Saturation / Chroma' },
+    v: { name: 'Value / Lightness' },
+    r: { name: 'Red' },
+    g: { name: 'Green' },
+    b: { name: 'Blue' },
+    contrast: { name: 'Local Contrast' },
+    edge: { name: 'Edge Strength' },
+    x: { name: 'Grid X' },
+    y: { name: 'Grid Y' }
+};
+
+// Sound parameters: default range (min, max) and allowed bounds (lower, upper), in target units
+MappingMatrix.targets = {
+    pitch: { name: 'Pitch (scale position)', min: 0, max: 1, lower: 0, upper: 1 },
+    volume: { name: 'Volume', min: 0.1, max: 0.8, lower: 0, upper: 1 },
+    filterCutoff: { name: 'Filter Cutoff (Hz)', min: 200, max: 8000, lower: 20, upper: 20000 },
+    pan: { name: 'Pan', min: -1, max: 1, lower: -1, upper: 1 },
+    attack: { name: 'Attack (s)', min: 0.01, max: 0.1, lower: 0.001, upper: 2 },
+    release: { name: 'Release (s)', min: 0.1, max: 1, lower: 0.01, upper: 5 },
+    detune: { name: 'Detune (cents)', min: -50, max: 50, lower: -1200, upper: 1200 },
+    reverbSend: { name: 'Reverb Send', min: 0, max: 1, lower: 0, upper: 1 }
+};
+
+MappingMatrix.curves = {
+    linear: { name: 'Linear' },
+    exponential: { name: 'Exponential' },
+    logarithmic: { name: 'Logarithmic' },
+    's-curve': { name: 'S-Curve' }
+};
+
+// Read-only presets; 'Classic' has no routes, i.e. the built-in HSV mapping
+MappingMatrix.builtInPresets = {
+    Classic: [],
+    'Brightness Melody': [
+        { source: 'v', target: 'pitch' },
+        { source: 'h', target: 'filterCutoff', curve: 'exponential' },
+        { source: 's', target: 'reverbSend', invert: true, min: 0, max: 0.6 }
+    ],
+    Texture: [
+        { source: 'edge', target: 'attack', invert: true, curve: 'logarithmic', min: 0.005, max: 0.2 },
+        { source: 'contrast', target: 'filterCutoff', curve: 'exponential', min: 400, max: 12000 },
+        { source: 'y', target: 'reverbSend', min: 0, max: 0.8 },
+        { source: 'g', target: 'detune', min: -25, max: 25 }
+    ]
+};
+
+// Export for use in other modules
+window.MappingMatrix = MappingMatrix;
@@ -0,0 +1,133 @@
+/**
+ * MIDI Exporter - Converts the pixel grid into note events for a MIDI file
+ * Columns are steps and rows are pitches, as in the sweep and step sequencer views
+ */
+
+class MidiExporter {
+    /**
+     * @param {HsvMapper} mapper - Mapper used for pitch, velocity and duration
+     * @param {ImageProcessor} imageProcessor - Source of the pixel grid
+     */
+    constructor(mapper, imageProcessor) {
+        this.mapper = mapper;
+        this.imageProcessor = imageProcessor;
+        this.ppq = 480; // ticks per quarter note
+        this.saturationBands = [
+            { name: 'Low Saturation', min: 0, max: 33 },
+            { name: 'Mid Saturation', min: 33, max: 67 },
+            { name: 'High Saturation', min: 67, max: 101 }
+        ];
+    }
+    
+    /**
+     * Build note events for one pass over the image
+     * Pitch comes from the row (current scale), velocity from brightness and
+     * duration from the brightness → release mapping.
+     * @param {Object} options - {tempo, stepLength, swing (0-1), threshold (0-100)}
+     * @returns {Array} Notes {tick, duration, note, velocity, saturation}
+     */
+    getNotes(options = {}) {
+        const player = new SweepPlayer({
+            bpm: options.tempo,
+            stepLength: options.stepLength,
+            swing: options.swing
+        });
+        const secondsToTicks = (seconds) => Math.round(seconds / (60 / player.bpm) * this.ppq);
+        const threshold = options.threshold !== undefined ? options.threshold : 1;
+        const { columns } = this.imageProcessor.getGridSize();
+        const notes = [];
+        
+        for (let column = 0; column < columns; column++) {
+            const columnPixels = this.imageProcessor.getGridColumn(column);
+            const tick = secondsToTicks(column * player.getStepDuration() + player.getSwingOffset(column));
+            
+            columnPixels.forEach(pixel => {
+                const lightness = pixel ? this.mapper.getPerceptualColor(pixel.hsv, pixel.rgb).l : 0;
+                if (!pixel || lightness < threshold) return;
+                
+                const params = this.mapper.mapCellToNote(pixel, columnPixels.length);
+                notes.push({
+                    tick: tick,
+                    duration: Math.max(1, secondsToTicks(params.release)),
+                    note: Math.round(this.mapper.frequencyToMidi(params.frequency)),
+                    velocity: this.mapper.mapValueToVelocity(lightness),
+                    saturation: pixel.hsv.s
+                });
+            });
+        }
+        
+        return notes;
+    }
+    
+    /**
+     * Shorten notes so a repeated pitch ends before it is struck again
+     * Rows that land on the same pitch in one step are merged into one note.
+     * @param {Array} notes - Notes of one track
+     * @returns {Array} Notes without same-pitch overlaps
+     */
+    removeOverlaps(notes) {
+        const lastByPitch = new Map();
+        const result = [];
+        
+        notes
+            .slice()
+            .sort((a, b) => a.tick - b.tick)
+            .forEach(note => {
+                const last = lastByPitch.get(note.note);
+                
+                if (last && last.tick === note.tick) {
+                    last.velocity = Math.max(last.velocity, note.velocity);
+                    last.duration = Math.max(last.duration, note.duration);
+                    return;
+                }
+                
+                if (last && last.tick + last.duration > note.tick) {
+                    last.duration = note.tick - last.tick;
+                }
+                
+                const copy = { ...note };
+                lastByPitch.set(note.note, copy);
+                result.push(copy);
+            });
+        
+        return result;
+    }
+    
+    /**
+     * Export the image as a Standard MIDI File (type 1)
+     * @param {Object} options - {tempo, stepLength, swing, threshold, splitBySaturation}
+     *   splitBySaturation writes one track (and channel) per saturation band.
+     * @returns {Uint8Array} MIDI file contents
+     */
+    export(options = {}) {
+        if (!this.imageProcessor.hasImage()) {
+            throw new Error('No image loaded');
+        }
+        
+        const notes = this.getNotes(options);
+        let tracks;
+        
+        if (options.splitBySaturation) {
+            tracks = this.saturationBands.map((band, index) => ({
+                name: band.name,
+                channel: index,
+                notes: notes.filter(note => note.saturation >= band.min && note.saturation < band.max)
+            }));
+        } else {
+            tracks = [{ name: 'Image', channel: 0, notes: notes }];
+        }
+        
+        tracks.forEach(track => {
+            track.notes = this.removeOverlaps(track.notes);
+        });
+        console.log(`Exporting ${notes.length} MIDI notes in ${tracks.length} track(s)`);
+        
+        return MidiFileWriter.write(tracks, {
+            ppq: this.ppq,
+            bpm: options.tempo || 90
+        });
+    }
+}
+
+// Export for use in other modules
+window.MidiExporter = MidiExporter;
@@ -0,0 +1,167 @@
+/**
+ * MIDI File Writer - Builds Standard MIDI Files (SMF type 1) in the browser
+ * Tracks are lists of timed note and meta events; times are in ticks
+ */
+
+class MidiFileWriter {
+    /**
+     * Build a type 1 MIDI file
+     * Track 0 is the tempo track; every entry in tracks becomes its own track.
+     * @param {Array} tracks - Array of {name, channel (0-15), notes: [{tick, duration, note, velocity}]}
+     * @param {Object} options - {ppq (ticks per quarter note), bpm, name}
+     * @returns {Uint8Array} File contents
+     */
+    static write(tracks, options = {}) {
+        const ppq = options.ppq || 480;
+        const bpm = options.bpm || 120;
+        
+        const chunks = [MidiFileWriter.createHeader(tracks.length + 1, ppq)];
+        chunks.push(MidiFileWriter.createTempoTrack(bpm, options.name || 'Image-Sound-Synesthesia'));
+        tracks.forEach(track => {
+            chunks.push(MidiFileWriter.createNoteTrack(track));
+        });
+        
+        const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const output = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        
+        return output;
+    }
+    
+    /**
+     * Create the MThd header chunk
+     * @param {number} trackCount - Number of tracks
+     * @param {number} ppq - Ticks per quarter note
+     * @returns {Uint8Array} Header chunk
+     */
+    static createHeader(trackCount, ppq) {
+        return Uint8Array.from([
+            ...MidiFileWriter.ascii('MThd'),
+            0, 0, 0, 6,
+            0, 1, // format 1
+            (trackCount >> 8) & 0xff, trackCount & 0xff,
+            (ppq >> 8) & 0x7f, ppq & 0xff
+        ]);
+    }
+    
+    /**
+     * Create the tempo track (track name, tempo and 4/4 time signature)
+     * @param {number} bpm - Tempo in beats per minute
+     * @param {string} name - Sequence name
+     * @returns {Uint8Array} Track chunk
+     */
+    static createTempoTrack(bpm, name) {
+        const microsecondsPerBeat = Math.round(60000000 / bpm);
+        
+        return MidiFileWriter.createTrackChunk([
+            ...MidiFileWriter.metaEvent(0, 0x03, MidiFileWriter.ascii(name)),
+            ...MidiFileWriter.metaEvent(0, 0x51, [
+                (microsecondsPerBeat >> 16) & 0xff,
+                (microsecondsPerBeat >> 8) & 0xff,
+                microsecondsPerBeat & 0xff
+            ]),
+            ...MidiFileWriter.metaEvent(0, 0x58, [4, 2, 24, 8])
+        ]);
+    }
+    
+    /**
+     * Create a note track
+     * Note-offs are written before note-ons at the same tick so repeated notes retrigger.
+     * @param {Object} track - {name, channel, notes: [{tick, duration, note, velocity}]}
+     * @returns {Uint8Array} Track chunk
+     */
+    static createNoteTrack(track) {
+        const channel = Math.max(0, Math.min(15, track.channel || 0));
+        const events = [];
+        
+        track.notes.forEach(note => {
+            const pitch = Math.max(0, Math.min(127, Math.round(note.note)));
+            const velocity = Math.max(1, Math.min(127, Math.round(note.velocity)));
+            const start = Math.max(0, Math.round(note.tick));
+            const end = start + Math.max(1, Math.round(note.duration));
+            
+            events.push({ tick: start, order: 1, data: [0x90 | channel, pitch, velocity] });
+            events.push({ tick: end, order: 0, data: [0x80 | channel, pitch, 0] });
+        });
+        
+        events.sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+        
+        const bytes = [...MidiFileWriter.metaEvent(0, 0x03, MidiFileWriter.ascii(track.name || ''))];
+        let lastTick = 0;
+        events.forEach(event => {
+            bytes.push(...MidiFileWriter.variableLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        });
+        
+        return MidiFileWriter.createTrackChunk(bytes);
+    }
+    
+    /**
+     * Wrap event bytes in an MTrk chunk and append End of Track
+     * @param {Array} bytes - Event bytes
+     * @returns {Uint8Array} Track chunk
+     */
+    static createTrackChunk(bytes) {
+        const data = [...bytes, ...MidiFileWriter.metaEvent(0, 0x2f, [])];
+        const length = data.length;
+        
+        return Uint8Array.from([
+            ...MidiFileWriter.ascii('MTrk'),
+            (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff,
+            ...data
+        ]);
+    }
+    
+    /**
+     * Encode a meta event
+     * @param {number} delta - Delta time in ticks
+     * @param {number} type - Meta event type
+     * @param {Array} data - Event data bytes
+     * @returns {Array} Event bytes
+     */
+    static metaEvent(delta, type, data) {
+        return [
+            ...MidiFileWriter.variableLength(delta),
+            0xff, type,
+            ...MidiFileWriter.variableLength(data.length),
+            ...data
+        ];
+    }
+    
+    /**
+     * Encode a number as a MIDI variable-length quantity
+     * @param {number} value - Non-negative integer
+     * @returns {Array} Bytes (7 bits each, high bit set on all but the last)
+     */
+    static variableLength(value) {
+        let remaining = Math.max(0, Math.round(value));
+        const bytes = [remaining & 0x7f];
+        
+        remaining >>= 7;
+        while (remaining > 0) {
+            bytes.unshift((remaining & 0x7f) | 0x80);
+            remaining >>= 7;
+        }
+        
+        return bytes;
+    }
+    
+    /**
+     * Convert a string to ASCII bytes (non-ASCII characters become '?')
+     * @param {string} text - Text
+     * @returns {Array} Bytes
+     */
+    static ascii(text) {
+        return Array.from(String(text), char => {
+            const code = char.charCodeAt(0);
+            return code < 128 ? code : 63;
+        });
+    }
+}
+
+// Export for use in other modules
+window.MidiFileWriter = MidiFileWriter;
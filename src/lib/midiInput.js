@@ -0,0 +1,156 @@
+/**
+ * MIDI Input - Receives notes from MIDI controllers over Web MIDI
+ * Parses note-on/off messages and hands them to callbacks; a virtual input
+ * stands in for a controller when testing without hardware
+ */
+
+class MidiInput {
+    constructor() {
+        this.access = null;
+        this.accessRequest = null; // Promise of the one Web MIDI access request
+        this.virtualInput = new MidiLoopback({ id: 'virtual-input', name: 'Virtual Keyboard' });
+        this.inputs = new Map([[this.virtualInput.id, this.virtualInput]]);
+        this.input = null;
+        this.channel = 0; // 0 = all channels (omni), otherwise 1-16
+        
+        // Callbacks
+        this.onNoteOn = null; // (note, velocity) => {}
+        this.onNoteOff = null; // (note) => {}
+        this.onDevicesChange = null;
+        
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+    
+    /**
+     * Request Web MIDI access and list the available inputs
+     * Access is only requested once (it may show a permission prompt); later
+     * calls return the same result. The virtual input is always available,
+     * even without Web MIDI.
+     * @returns {Promise<boolean>} True if hardware inputs can be used
+     */
+    init() {
+        if (!this.accessRequest) {
+            this.accessRequest = this.requestAccess();
+        }
+        return this.accessRequest;
+    }
+    
+    /**
+     * Ask the browser for Web MIDI access
+     * @returns {Promise<boolean>} True if hardware inputs can be used
+     */
+    async requestAccess() {
+        if (!navigator.requestMIDIAccess) {
+            console.log('Web MIDI not supported, only the virtual input is available');
+            return false;
+        }
+        
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => this.refreshInputs();
+            this.refreshInputs();
+            console.log(`MIDI access granted (${this.inputs.size - 1} hardware inputs)`);
+            return true;
+        } catch (error) {
+            console.warn('MIDI access denied:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Rebuild the input list after a device is connected or removed
+     */
+    refreshInputs() {
+        this.inputs = new Map([[this.virtualInput.id, this.virtualInput]]);
+        if (this.access) {
+            this.access.inputs.forEach(port => this.inputs.set(port.id, port));
+        }
+        
+        if (this.input && !this.inputs.has(this.input.id)) {
+            console.log(`MIDI input '${this.input.name}' disconnected`);
+            this.input = null;
+        }
+        
+        if (this.onDevicesChange) {
+            this.onDevicesChange();
+        }
+    }
+    
+    /**
+     * Get the available inputs
+     * @returns {Array} Array of {id, name}
+     */
+    getInputs() {
+        return Array.from(this.inputs.values()).map(port => ({ id: port.id, name: port.name }));
+    }
+    
+    /**
+     * Select the input device
+     * @param {string|null} id - Input id, or null to stop listening
+     * @returns {boolean} True if an input is selected
+     */
+    selectInput(id) {
+        if (this.input) {
+            this.input.onmidimessage = null;
+        }
+        
+        this.input = this.inputs.get(id) || null;
+        if (this.input) {
+            this.input.onmidimessage = this.handleMessage;
+        }
+        
+        console.log(this.input ? `MIDI input: ${this.input.name}` : 'MIDI input disabled');
+        return this.input !== null;
+    }
+    
+    /**
+     * Check whether an input is being listened to
+     * @returns {boolean} True if an input is selected
+     */
+    isEnabled() {
+        return this.input !== null;
+    }
+    
+    /**
+     * Only accept notes on one channel
+     * @param {number} channel - Channel (1-16), or 0 for all channels
+     */
+    setChannel(channel) {
+        const value = parseInt(channel, 10);
+        if (isNaN(value)) return;
+        
+        this.channel = Math.max(0, Math.min(16, value));
+    }
+    
+    /**
+     * Parse an incoming MIDI message
+     * A note-on with velocity 0 counts as a note-off.
+     * @param {Object} message - MIDIMessageEvent (or {data})
+     */
+    handleMessage(message) {
+        const [status, note, velocity] = message.data;
+        const type = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+        
+        if (this.channel !== 0 && channel !== this.channel) return;
+        
+        if (type === 0x90 && velocity > 0) {
+            if (this.onNoteOn) this.onNoteOn(note, velocity);
+        } else if (type === 0x80 || type === 0x90) {
+            if (this.onNoteOff) this.onNoteOff(note);
+        }
+    }
+    
+    /**
+     * Stop listening
+     */
+    dispose() {
+        this.selectInput(null);
+        if (this.access) {
+            this.access.onstatechange = null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.MidiInput = MidiInput;
@@ -0,0 +1,83 @@
+/**
+ * MIDI Loopback - Virtual MIDI device for testing without hardware
+ * Looks like a Web MIDI output (send/clear) and an input (onmidimessage):
+ * everything sent to it is logged and echoed back as an incoming message
+ */
+
+class MidiLoopback {
+    /**
+     * @param {Object} options - {id, name, maxMessages}
+     */
+    constructor(options = {}) {
+        this.id = options.id || 'loopback';
+        this.name = options.name || 'Loopback (virtual)';
+        this.manufacturer = 'Image-Sound-Synesthesia';
+        this.state = 'connected';
+        this.connection = 'open';
+        this.isVirtual = true;
+        this.maxMessages = options.maxMessages || 1000;
+        this.messages = [];
+        this.pendingTimers = new Set();
+        this.onmidimessage = null;
+    }
+    
+    /**
+     * Send a MIDI message (same signature as MIDIOutput.send)
+     * @param {Array|Uint8Array} data - MIDI bytes
+     * @param {number} timestamp - DOMHighResTimeStamp to deliver at (optional, defaults to now)
+     */
+    send(data, timestamp = 0) {
+        const bytes = Uint8Array.from(data);
+        const delay = timestamp ? Math.max(0, timestamp - performance.now()) : 0;
+        
+        const deliver = () => {
+            const message = { data: bytes, timeStamp: performance.now() };
+            
+            this.messages.push(message);
+            if (this.messages.length > this.maxMessages) {
+                this.messages.shift();
+            }
+            
+            if (this.onmidimessage) {
+                this.onmidimessage(message);
+            }
+        };
+        
+        if (delay === 0) {
+            deliver();
+            return;
+        }
+        
+        const timer = setTimeout(() => {
+            this.pendingTimers.delete(timer);
+            deliver();
+        }, delay);
+        this.pendingTimers.add(timer);
+    }
+    
+    /**
+     * Drop messages that have not been delivered yet (same as MIDIOutput.clear)
+     */
+    clear() {
+        this.pendingTimers.forEach(timer => clearTimeout(timer));
+        this.pendingTimers.clear();
+    }
+    
+    /**
+     * Get the delivered message log
+     * @returns {Array} Messages {data, timeStamp}, oldest first
+     */
+    getMessages() {
+        return this.messages.slice();
+    }
+    
+    /**
+     * Clear the message log
+     */
+    resetMessages() {
+        this.messages = [];
+    }
+}
+
+// Export for use in other modules
+window.MidiLoopback = MidiLoopback;
@@ -0,0 +1,352 @@
+/**
+ * MIDI Output - Sends canvas notes to external synths over Web MIDI
+ * Note-on/off follow the same mapping as the Tone.js voices; saturation drives CC74
+ * and, in continuous pitch mode, hue drives pitch bend
+ */
+
+class MidiOutput {
+    /**
+     * @param {HsvMapper} mapper - Mapper used for pitch and velocity
+     */
+    constructor(mapper) {
+        this.mapper = mapper;
+        this.access = null;
+        this.accessRequest = null; // Promise of the one Web MIDI access request
+        this.loopback = new MidiLoopback();
+        this.outputs = new Map([[this.loopback.id, this.loopback]]);
+        this.output = null;
+        this.onDevicesChange = null;
+        
+        this.channel = 1; // 1-16
+        this.pitchModes = ['quantized', 'continuous'];
+        this.pitchMode = 'quantized';
+        this.pitchBendRange = 2; // semitones, must match the receiving synth
+        this.timbreController = 74; // CC74 (brightness)
+        this.scanThreshold = 1; // Minimum brightness (0-100) for a scan row to sound
+        
+        // Notes held by the current scan/sweep column: MIDI note → velocity
+        this.columnNotes = new Map();
+    }
+    
+    /**
+     * Request Web MIDI access and list the available outputs
+     * Access is only requested once (it may show a permission prompt); later
+     * calls return the same result. The virtual loopback output is always
+     * available, even without Web MIDI.
+     * @returns {Promise<boolean>} True if hardware outputs can be used
+     */
+    init() {
+        if (!this.accessRequest) {
+            this.accessRequest = this.requestAccess();
+        }
+        return this.accessRequest;
+    }
+    
+    /**
+     * Ask the browser for Web MIDI access
+     * @returns {Promise<boolean>} True if hardware outputs can be used
+     */
+    async requestAccess() {
+        if (!navigator.requestMIDIAccess) {
+            console.log('Web MIDI not supported, only the loopback output is available');
+            return false;
+        }
+        
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => this.refreshOutputs();
+            this.refreshOutputs();
+            console.log(`MIDI access granted (${this.outputs.size - 1} hardware outputs)`);
+            return true;
+        } catch (error) {
+            console.warn('MIDI access denied:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Rebuild the output list after a device is connected or removed
+     */
+    refreshOutputs() {
+        this.outputs = new Map([[this.loopback.id, this.loopback]]);
+        if (this.access) {
+            this.access.outputs.forEach(port => this.outputs.set(port.id, port));
+        }
+        
+        if (this.output && !this.outputs.has(this.output.id)) {
+            console.log(`MIDI output '${this.output.name}' disconnected`);
+            this.output = null;
+            this.columnNotes.clear();
+        }
+        
+        if (this.onDevicesChange) {
+            this.onDevicesChange();
+        }
+    }
+    
+    /**
+     * Get the available outputs
+     * @returns {Array} Array of {id, name}
+     */
+    getOutputs() {
+        return Array.from(this.outputs.values()).map(port => ({ id: port.id, name: port.name }));
+    }
+    
+    /**
+     * Select the output device
+     * @param {string|null} id - Output id, or null to disable MIDI output
+     * @returns {boolean} True if an output is selected
+     */
+    selectOutput(id) {
+        this.allNotesOff();
+        this.output = this.outputs.get(id) || null;
+        
+        console.log(this.output ? `MIDI output: ${this.output.name}` : 'MIDI output disabled');
+        return this.output !== null;
+    }
+    
+    /**
+     * Check whether MIDI is being sent
+     * @returns {boolean} True if an output is selected
+     */
+    isEnabled() {
+        return this.output !== null;
+    }
+    
+    /**
+     * Set the MIDI channel
+     * @param {number} channel - Channel (1-16)
+     */
+    setChannel(channel) {
+        const value = parseInt(channel, 10);
+        if (isNaN(value)) return;
+        
+        this.allNotesOff();
+        this.channel = Math.max(1, Math.min(16, value));
+    }
+    
+    /**
+     * Set how pitch is sent
+     * @param {string} mode - 'quantized' (scale notes) or 'continuous' (hue → note + pitch bend)
+     */
+    setPitchMode(mode) {
+        if (this.pitchModes.includes(mode)) {
+            this.pitchMode = mode;
+        }
+    }
+    
+    /**
+     * Set the pitch bend range of the receiving synth
+     * @param {number} semitones - Bend range in semitones (1-24)
+     */
+    setPitchBendRange(semitones) {
+        const value = parseFloat(semitones);
+        if (isNaN(value)) return;
+        
+        this.pitchBendRange = Math.max(1, Math.min(24, value));
+    }
+    
+    /**
+     * Convert a Tone.js audio time to a Web MIDI timestamp
+     * @param {number} time - Audio context time (optional, null sends immediately)
+     * @returns {number} DOMHighResTimeStamp, or 0 for immediately
+     */
+    toTimestamp(time = null) {
+        if (time === null) return 0;
+        
+        const delay = time - Tone.getContext().currentTime;
+        return delay > 0 ? performance.now() + delay * 1000 : 0;
+    }
+    
+    /**
+     * Send raw MIDI bytes to the selected output
+     * @param {Array} data - MIDI bytes
+     * @param {number} timestamp - DOMHighResTimeStamp (0 sends immediately)
+     */
+    send(data, timestamp = 0) {
+        if (!this.output) return;
+        
+        try {
+            this.output.send(data, timestamp || undefined);
+        } catch (error) {
+            console.error('Failed to send MIDI message:', error);
+        }
+    }
+    
+    /**
+     * Send a note-on message
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} velocity - Velocity (1-127)
+     * @param {number} timestamp - DOMHighResTimeStamp (optional)
+     */
+    sendNoteOn(note, velocity, timestamp = 0) {
+        this.send([0x90 | (this.channel - 1), this.clamp7(note), Math.max(1, this.clamp7(velocity))], timestamp);
+    }
+    
+    /**
+     * Send a note-off message
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} timestamp - DOMHighResTimeStamp (optional)
+     */
+    sendNoteOff(note, timestamp = 0) {
+        this.send([0x80 | (this.channel - 1), this.clamp7(note), 0], timestamp);
+    }
+    
+    /**
+     * Send a control change message
+     * @param {number} controller - Controller number (0-127)
+     * @param {number} value - Value (0-127)
+     * @param {number} timestamp - DOMHighResTimeStamp (optional)
+     */
+    sendControlChange(controller, value, timestamp = 0) {
+        this.send([0xb0 | (this.channel - 1), this.clamp7(controller), this.clamp7(value)], timestamp);
+    }
+    
+    /**
+     * Send a pitch bend message
+     * @param {number} amount - Bend (-1 to 1, relative to the bend range)
+     * @param {number} timestamp - DOMHighResTimeStamp (optional)
+     */
+    sendPitchBend(amount, timestamp = 0) {
+        const value = Math.max(0, Math.min(16383, Math.round(8192 + amount * 8191)));
+        this.send([0xe0 | (this.channel - 1), value & 0x7f, (value >> 7) & 0x7f], timestamp);
+    }
+    
+    /**
+     * Clamp a value to a 7-bit MIDI data byte
+     * @param {number} value - Value
+     * @returns {number} Integer 0-127
+     */
+    clamp7(value) {
+        return Math.max(0, Math.min(127, Math.round(value)));
+    }
+    
+    /**
+     * Get the MIDI note (and pitch bend) for a pixel
+     * In continuous mode the hue is spread smoothly over the octave range and the
+     * distance to the nearest note becomes pitch bend (bend is per channel, so
+     * overlapping notes share it).
+     * @param {Object} hsv - HSV color values
+     * @param {number} frequency - Mapped frequency in Hz (used in quantized mode)
+     * @param {boolean} quantized - Force quantized pitch (e.g. pitch by row)
+     * @returns {Object} {note, bend (-1 to 1)}
+     */
+    getPitch(hsv, frequency, quantized = false) {
+        if (quantized || this.pitchMode === 'quantized') {
+            return { note: Math.round(this.mapper.frequencyToMidi(frequency)), bend: 0 };
+        }
+        
+        const hue = this.mapper.getPerceptualColor(hsv).h;
+        const normalizedHue = (((hue % 360) + 360) % 360) / 360;
+        const exact = this.mapper.frequencyToMidi(this.mapper.baseFrequency) + normalizedHue * 12 * this.mapper.getOctaveRange();
+        const note = Math.round(exact);
+        
+        return {
+            note: note,
+            bend: Math.max(-1, Math.min(1, (exact - note) / this.pitchBendRange))
+        };
+    }
+    
+    /**
+     * Play one note for a pixel (clicks, sequencer cells)
+     * @param {Object} hsv - HSV color values
+     * @param {number} frequency - Mapped frequency in Hz
+     * @param {number} duration - Note duration in seconds
+     * @param {number} time - Audio context time to start at (optional, defaults to now)
+     * @param {boolean} quantized - Force quantized pitch (e.g. pitch by row)
+     */
+    playHsv(hsv, frequency, duration, time = null, quantized = false) {
+        if (!this.output) return;
+        
+        const timestamp = this.toTimestamp(time);
+        const { note, bend } = this.getPitch(hsv, frequency, quantized);
+        
+        if (this.pitchMode === 'continuous' && !quantized) {
+            this.sendPitchBend(bend, timestamp);
+        }
+        this.sendControlChange(this.timbreController, hsv.s / 100 * 127, timestamp);
+        this.sendNoteOn(note, this.mapper.mapValueToVelocity(this.mapper.getPerceptualColor(hsv).l), timestamp);
+        this.sendNoteOff(note, (timestamp || performance.now()) + duration * 1000);
+    }
+    
+    /**
+     * Hold the notes of a scan/sweep column (pitch by row, velocity by brightness)
+     * Notes shared with the previous column keep sounding; the rest are released.
+     * @param {Array} columnPixels - Pixels of the column, top to bottom
+     * @param {number} time - Audio context time of the change (optional, defaults to now)
+     */
+    playColumn(columnPixels, time = null) {
+        if (!this.output) return;
+        
+        const timestamp = this.toTimestamp(time);
+        const notes = new Map();
+        let saturation = 0;
+        
+        columnPixels.forEach((pixel, row) => {
+            const lightness = pixel ? this.mapper.getPerceptualColor(pixel.hsv, pixel.rgb).l : 0;
+            if (!pixel || lightness < this.scanThreshold) return;
+            
+            const frequency = this.mapper.mapRowToFrequency(row, columnPixels.length);
+            const note = Math.round(this.mapper.frequencyToMidi(frequency));
+            const velocity = this.mapper.mapValueToVelocity(lightness);
+            notes.set(note, Math.max(notes.get(note) || 0, velocity));
+            saturation += pixel.hsv.s;
+        });
+        
+        this.columnNotes.forEach((velocity, note) => {
+            if (!notes.has(note)) {
+                this.sendNoteOff(note, timestamp);
+            }
+        });
+        
+        if (notes.size > 0) {
+            this.sendControlChange(this.timbreController, saturation / notes.size / 100 * 127, timestamp);
+        }
+        
+        notes.forEach((velocity, note) => {
+            if (!this.columnNotes.has(note)) {
+                this.sendNoteOn(note, velocity, timestamp);
+            }
+        });
+        
+        this.columnNotes = notes;
+    }
+    
+    /**
+     * Release the notes held by the scan/sweep column
+     * @param {number} time - Audio context time to release at (optional, defaults to now)
+     */
+    stopColumn(time = null) {
+        const timestamp = this.toTimestamp(time);
+        this.columnNotes.forEach((velocity, note) => this.sendNoteOff(note, timestamp));
+        this.columnNotes.clear();
+    }
+    
+    /**
+     * Silence the output (drops scheduled messages and sends All Notes Off)
+     */
+    allNotesOff() {
+        if (!this.output) return;
+        
+        this.stopColumn();
+        if (typeof this.output.clear === 'function') {
+            this.output.clear();
+        }
+        this.sendPitchBend(0);
+        this.sendControlChange(123, 0);
+    }
+    
+    /**
+     * Silence the output and stop listening for devices
+     */
+    dispose() {
+        this.allNotesOff();
+        if (this.access) {
+            this.access.onstatechange = null;
+        }
+        this.output = null;
+    }
+}
+
+// Export for use in other modules
+window.MidiOutput = MidiOutput;
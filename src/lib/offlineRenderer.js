@@ -0,0 +1,153 @@
+/**
+ * Offline Renderer - Renders sweep or step-sequencer playback faster than real time
+ * Uses Tone.Offline with the same AudioEngine mapping and graph as live playback
+ */
+
+class OfflineRenderer {
+    /**
+     * @param {AudioEngine} audioEngine - Live engine whose mapper and settings are copied
+     * @param {ImageProcessor} imageProcessor - Source of the pixel grid
+     */
+    constructor(audioEngine, imageProcessor) {
+        this.audioEngine = audioEngine;
+        this.imageProcessor = imageProcessor;
+        this.sampleRates = [44100, 48000, 96000];
+        this.tailTime = 2; // seconds left after the last step for releases and reverb
+        this.maxDuration = 600; // seconds
+        this.gridGate = 0.9; // Note length as a fraction of the step (matches InteractiveCanvas)
+        this.isRendering = false;
+    }
+    
+    /**
+     * Create a step player with the render settings (used only for its step logic)
+     * @param {Object} options - Render options
+     * @returns {SweepPlayer} Step player
+     */
+    createStepPlayer(options) {
+        return new SweepPlayer({
+            getColumnCount: () => this.imageProcessor.getGridSize().columns,
+            bpm: options.tempo,
+            playMode: options.playMode,
+            stepLength: options.stepLength,
+            swing: options.swing
+        });
+    }
+    
+    /**
+     * Get the length of one pass over every column
+     * @param {Object} options - {tempo, stepLength}
+     * @returns {number} Duration in seconds
+     */
+    getPassDuration(options = {}) {
+        const player = this.createStepPlayer(options);
+        return this.imageProcessor.getGridSize().columns * player.getStepDuration();
+    }
+    
+    /**
+     * Render the current image offline
+     * The same image and settings always render to the same samples.
+     * @param {Object} options - {mode: 'sweep' or 'grid', duration, sampleRate, tempo,
+     *   stepLength, swing (0-1), threshold (grid only), playMode (sweep only)}
+     *   duration defaults to one pass over the image.
+     * @returns {Promise<Tone.ToneAudioBuffer>} Rendered stereo audio (includes the release tail)
+     */
+    async render(options = {}) {
+        if (!this.imageProcessor.hasImage()) {
+            throw new Error('No image loaded');
+        }
+        if (this.isRendering) {
+            throw new Error('A render is already in progress');
+        }
+        
+        const mode = options.mode === 'grid' ? 'grid' : 'sweep';
+        const settings = {
+            tempo: options.tempo || 90,
+            stepLength: options.stepLength || (mode === 'grid' ? '16n' : '8n'),
+            swing: mode === 'grid' ? (options.swing || 0) : 0,
+            playMode: mode === 'grid' ? 'loop' : (options.playMode || 'loop'),
+            threshold: options.threshold !== undefined ? options.threshold : 50
+        };
+        const sampleRate = this.sampleRates.includes(options.sampleRate) ? options.sampleRate : 44100;
+        const duration = Math.min(this.maxDuration, options.duration > 0 ? options.duration : this.getPassDuration(settings));
+        
+        console.log(`Rendering ${duration.toFixed(2)}s of ${mode} mode at ${sampleRate} Hz...`);
+        this.isRendering = true;
+        
+        try {
+            return await Tone.Offline((context) => {
+                const engine = this.createEngine(mode);
+                this.scheduleSteps(context.transport, engine, mode, settings, duration);
+                context.transport.start(0);
+            }, duration + this.tailTime, 2, sampleRate);
+        } finally {
+            this.isRendering = false;
+        }
+    }
+    
+    /**
+     * Build an engine in the offline context with the live engine's settings
+     * @param {string} mode - 'sweep' or 'grid'
+     * @returns {AudioEngine} Offline engine
+     */
+    createEngine(mode) {
+        const live = this.audioEngine;
+        const engine = new AudioEngine(live.getMapper());
+        
+        engine.masterVolume = live.masterVolume;
+        engine.maxSynths = live.maxSynths;
+        engine.stealPolicy = live.stealPolicy;
+        engine.panMode = live.panMode;
+        engine.reverbDecay = live.reverbDecay;
+        engine.reverbWet = live.reverbWet;
+        
+        engine.buildGraph();
+        engine.isInitialized = true;
+        engine.currentMode = mode;
+        
+        return engine;
+    }
+    
+    /**
+     * Schedule every step of the render on the offline Transport
+     * Steps run while the offline context renders, so voice settings that cannot be
+     * automated (waveform, pan) are applied at each step's own time.
+     * @param {Tone.Transport} transport - The offline context's Transport
+     * @param {AudioEngine} engine - Offline engine
+     * @param {string} mode - 'sweep' or 'grid'
+     * @param {Object} settings - {tempo, stepLength, swing, playMode, threshold}
+     * @param {number} duration - Length to schedule in seconds
+     */
+    scheduleSteps(transport, engine, mode, settings, duration) {
+        const player = this.createStepPlayer(settings);
+        const stepDuration = player.getStepDuration();
+        const getPosition = (pixel) => this.imageProcessor.getNormalizedPosition(pixel);
+        
+        let endTime = duration;
+        
+        for (let step = 0; step * stepDuration < duration; step++) {
+            const column = player.nextColumn();
+            if (column < 0) {
+                endTime = step * stepDuration;
+                break;
+            }
+            
+            const columnPixels = this.imageProcessor.getGridColumn(column);
+            if (columnPixels.length === 0) continue;
+            
+            transport.schedule((time) => {
+                if (mode === 'grid') {
+                    engine.playGridColumn(columnPixels, stepDuration * this.gridGate, settings.threshold, getPosition, time);
+                } else {
+                    engine.scanColumn(columnPixels, getPosition(columnPixels[0]), time);
+                }
+            }, step * stepDuration + player.getSwingOffset(step));
+        }
+        
+        if (mode === 'sweep') {
+            transport.schedule((time) => engine.stopAllScanSounds(time), endTime);
+        }
+    }
+}
+
+// Export for use in other modules
+window.OfflineRenderer = OfflineRenderer;
@@ -0,0 +1,113 @@
+/**
+ * OSC Encoder - Encodes event bus events as binary OSC 1.0 messages
+ * Addresses follow the event type ('note:on' → /synesthesia/note/on)
+ */
+
+class OscEncoder {
+    /**
+     * Encode an event as an OSC message
+     * @param {Object} event - Event bus event
+     * @param {string} prefix - Address prefix
+     * @returns {Uint8Array} OSC packet
+     */
+    static encodeEvent(event, prefix = '/synesthesia') {
+        const address = `${prefix}/${event.type.replace(/:/g, '/')}`;
+        return OscEncoder.encodeMessage(address, OscEncoder.getArguments(event));
+    }
+    
+    /**
+     * Flatten an event into OSC arguments
+     * Numbers are sent as floats except grid coordinates (ints); unknown events
+     * are sent as one JSON string.
+     * @param {Object} event - Event bus event
+     * @returns {Array} Arguments [{type: 'i'|'f'|'s', value}]
+     */
+    static getArguments(event) {
+        const int = (value) => ({ type: 'i', value: value });
+        const float = (value) => ({ type: 'f', value: value });
+        const string = (value) => ({ type: 's', value: value });
+        const color = (pixel) => pixel
+            ? [float(pixel.hsv.h), float(pixel.hsv.s), float(pixel.hsv.v),
+                int(pixel.rgb ? pixel.rgb.r : 0), int(pixel.rgb ? pixel.rgb.g : 0), int(pixel.rgb ? pixel.rgb.b : 0)]
+            : [];
+        
+        switch (event.type) {
+            case 'pixel:hover':
+                // x y h s v r g b frequency volume pan
+                return [int(event.pixel.x), int(event.pixel.y), ...color(event.pixel),
+                    float(event.audio.frequency), float(event.audio.volume), float(event.audio.pan)];
+            case 'note:on':
+                // id frequency volume duration [x y h s v r g b]
+                return [string(event.id), float(event.audio.frequency), float(event.audio.volume),
+                    float(event.duration || 0),
+                    ...(event.pixel ? [int(event.pixel.x), int(event.pixel.y), ...color(event.pixel)] : [])];
+            case 'note:off':
+                // id frequency
+                return [string(event.id), float(event.audio.frequency)];
+            case 'scan:column':
+                // column amplitude0 amplitude1 ... (top to bottom)
+                return [int(event.column), ...event.partials.map(partial => float(partial.amplitude))];
+            default:
+                return [string(JSON.stringify(event))];
+        }
+    }
+    
+    /**
+     * Encode an OSC message
+     * @param {string} address - OSC address pattern
+     * @param {Array} args - Arguments [{type: 'i'|'f'|'s', value}]
+     * @returns {Uint8Array} OSC packet
+     */
+    static encodeMessage(address, args = []) {
+        const parts = [
+            OscEncoder.encodeString(address),
+            OscEncoder.encodeString(`,${args.map(arg => arg.type).join('')}`),
+            ...args.map(arg => OscEncoder.encodeArgument(arg))
+        ];
+        
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const packet = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            packet.set(part, offset);
+            offset += part.length;
+        });
+        
+        return packet;
+    }
+    
+    /**
+     * Encode one argument
+     * @param {Object} arg - {type: 'i'|'f'|'s', value}
+     * @returns {Uint8Array} Encoded argument
+     */
+    static encodeArgument(arg) {
+        if (arg.type === 's') {
+            return OscEncoder.encodeString(arg.value);
+        }
+        
+        const bytes = new Uint8Array(4);
+        const view = new DataView(bytes.buffer);
+        if (arg.type === 'i') {
+            view.setInt32(0, Math.round(arg.value) || 0);
+        } else {
+            view.setFloat32(0, Number(arg.value) || 0);
+        }
+        return bytes;
+    }
+    
+    /**
+     * Encode an OSC string (UTF-8, null terminated, padded to 4 bytes)
+     * @param {string} text - Text
+     * @returns {Uint8Array} Encoded string
+     */
+    static encodeString(text) {
+        const encoded = new TextEncoder().encode(String(text));
+        const bytes = new Uint8Array(Math.ceil((encoded.length + 1) / 4) * 4);
+        bytes.set(encoded);
+        return bytes;
+    }
+}
+
+// Export for use in other modules
+window.OscEncoder = OscEncoder;
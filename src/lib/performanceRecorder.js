@@ -0,0 +1,159 @@
+/**
+ * Performance Recorder - Captures the live master output to a downloadable file
+ * Taps AudioEngine's master gain with Tone.Recorder (MediaRecorder); WAV takes are
+ * decoded after recording and re-encoded with WavEncoder. MediaRecorder only
+ * records compressed audio, so a WAV take is decoded Opus: convenient for editors
+ * that do not read WebM, but not lossless (use Export WAV for a lossless render).
+ */
+
+class PerformanceRecorder {
+    /**
+     * @param {AudioEngine} audioEngine - Engine whose master output is recorded
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.formats = ['webm', 'wav'];
+        this.format = 'webm';
+        this.recorder = null;
+        this.source = null;
+        this.isRecording = false;
+        this.startedAt = 0;
+        this.tailTime = 0.5; // seconds recorded after stopping so releases are not cut off
+    }
+    
+    /**
+     * Check whether the browser can record audio
+     * @returns {boolean} True if MediaRecorder is available
+     */
+    static isSupported() {
+        return typeof Tone !== 'undefined' && Tone.Recorder && Tone.Recorder.supported;
+    }
+    
+    /**
+     * Set the output format
+     * @param {string} format - 'webm' (Opus) or 'wav'
+     */
+    setFormat(format) {
+        if (this.formats.includes(format)) {
+            this.format = format;
+        }
+    }
+    
+    /**
+     * Pick the MediaRecorder mime type, preferring Opus in WebM
+     * @returns {string|undefined} Mime type, or undefined to use the browser default
+     */
+    getMimeType() {
+        const preferred = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+        return preferred.find(type => MediaRecorder.isTypeSupported(type));
+    }
+    
+    /**
+     * Start recording the master output
+     */
+    async start() {
+        if (this.isRecording) return;
+        if (!PerformanceRecorder.isSupported()) {
+            throw new Error('Recording is not supported in this browser');
+        }
+        if (!this.audioEngine.isInitialized || !this.audioEngine.masterGain) {
+            throw new Error('Audio engine not initialized');
+        }
+        
+        this.source = this.audioEngine.masterGain;
+        this.recorder = new Tone.Recorder({ mimeType: this.getMimeType() });
+        this.source.connect(this.recorder);
+        
+        await this.recorder.start();
+        this.startedAt = performance.now();
+        this.isRecording = true;
+        console.log(`Recording started (${this.recorder.mimeType})`);
+    }
+    
+    /**
+     * Stop recording and finalise the file
+     * @param {boolean} withTail - Keep recording for the release tail before stopping
+     * @returns {Promise<Object>} Recorded take {blob, filename, duration}
+     */
+    async stop(withTail = false) {
+        if (!this.isRecording) return null;
+        
+        const duration = this.getElapsedTime() + (withTail ? this.tailTime : 0);
+        
+        // Take this recording's nodes now: a start() during the tail sets up new ones
+        const recorder = this.recorder;
+        const source = this.source;
+        const format = this.format;
+        
+        // Clear the flag first so a second stop during the tail is ignored
+        this.isRecording = false;
+        
+        if (withTail) {
+            await new Promise(resolve => setTimeout(resolve, this.tailTime * 1000));
+        }
+        
+        let blob;
+        
+        try {
+            blob = await recorder.stop();
+        } finally {
+            source.disconnect(recorder);
+            recorder.dispose();
+            if (this.recorder === recorder) {
+                this.recorder = null;
+                this.source = null;
+            }
+        }
+        
+        if (format === 'wav') {
+            blob = await this.convertToWav(blob);
+        }
+        
+        const extension = format === 'wav' ? 'wav' : (blob.type.includes('ogg') ? 'ogg' : 'webm');
+        console.log(`Recording stopped (${duration.toFixed(1)}s, ${extension})`);
+        
+        return {
+            blob: blob,
+            filename: `synesthesia-recording.${extension}`,
+            duration: duration
+        };
+    }
+    
+    /**
+     * Decode a compressed recording and re-encode it as 16-bit WAV
+     * The result carries the Opus encoding's losses.
+     * @param {Blob} blob - Recorded WebM/Ogg audio
+     * @returns {Promise<Blob>} WAV file
+     */
+    async convertToWav(blob) {
+        const arrayBuffer = await blob.arrayBuffer();
+        const audioBuffer = await this.audioEngine.masterGain.context.decodeAudioData(arrayBuffer);
+        return new Blob([WavEncoder.encode(audioBuffer, { bitDepth: 16 })], { type: 'audio/wav' });
+    }
+    
+    /**
+     * Get how long the current take has been recording
+     * @returns {number} Elapsed time in seconds (0 when not recording)
+     */
+    getElapsedTime() {
+        return this.isRecording ? (performance.now() - this.startedAt) / 1000 : 0;
+    }
+    
+    /**
+     * Stop without producing a file and release the recorder
+     */
+    dispose() {
+        if (this.recorder) {
+            if (this.source) {
+                this.source.disconnect(this.recorder);
+            }
+            this.recorder.dispose();
+        }
+        this.recorder = null;
+        this.source = null;
+        this.isRecording = false;
+    }
+}
+
+// Export for use in other modules
+window.PerformanceRecorder = PerformanceRecorder;
@@ -0,0 +1,98 @@
+/**
+ * Pixel Grid - Typed-array storage for the cells of a processed image
+ * Cell colours live in flat typed arrays (as returned by the image worker).
+ * Each cell is a light view onto them with the usual
+ * {rgb, hsv, gridX, gridY, pixelX, pixelY} shape, so readers do not change,
+ * plus its neighbourhood features and normalized position for the mapping matrix.
+ */
+
+class PixelGrid {
+    /**
+     * @param {Object} spec - {columns, rows, cellWidth, cellHeight}
+     * @param {Object} data - {rgb: Uint8ClampedArray, hsv: Float32Array}, 3 values per cell in row order,
+     *   and optionally {features: Float32Array}, 2 values per cell (contrast, edge strength)
+     */
+    constructor(spec, data) {
+        this.columns = spec.columns;
+        this.rows = spec.rows;
+        this.cellWidth = spec.cellWidth;
+        this.cellHeight = spec.cellHeight;
+        this.rgb = data.rgb;
+        this.hsv = data.hsv;
+        this.features = data.features || null;
+        
+        // Cell views, created once so their identity is stable across data updates
+        this.cells = [];
+        for (let gridY = 0; gridY < this.rows; gridY++) {
+            this.cells[gridY] = [];
+            for (let gridX = 0; gridX < this.columns; gridX++) {
+                this.cells[gridY][gridX] = this.createCell(gridX, gridY);
+            }
+        }
+    }
+    
+    /**
+     * Create the view object for one cell
+     * @param {number} gridX - Grid X coordinate
+     * @param {number} gridY - Grid Y coordinate
+     * @returns {Object} Cell {rgb, hsv, contrast, edge, gridX, gridY, normalizedX, normalizedY, pixelX, pixelY}
+     */
+    createCell(gridX, gridY) {
+        const grid = this;
+        const index = gridY * this.columns + gridX;
+        const offset = index * 3;
+        
+        return {
+            gridX: gridX,
+            gridY: gridY,
+            // Cell centre, 0-1 across the grid (same as ImageProcessor.getNormalizedPosition)
+            normalizedX: (gridX + 0.5) / this.columns,
+            normalizedY: (gridY + 0.5) / this.rows,
+            pixelX: gridX * this.cellWidth,
+            pixelY: gridY * this.cellHeight,
+            get rgb() {
+                return { r: grid.rgb[offset], g: grid.rgb[offset + 1], b: grid.rgb[offset + 2] };
+            },
+            get hsv() {
+                return { h: grid.hsv[offset], s: grid.hsv[offset + 1], v: grid.hsv[offset + 2] };
+            },
+            get contrast() {
+                return grid.features ? grid.features[index * 2] : 0;
+            },
+            get edge() {
+                return grid.features ? grid.features[index * 2 + 1] : 0;
+            }
+        };
+    }
+    
+    /**
+     * Check whether new data has the same layout (so the cells can be kept)
+     * @param {Object} spec - {columns, rows, cellWidth, cellHeight}
+     * @returns {boolean} True if the layout matches
+     */
+    matches(spec) {
+        return spec.columns === this.columns && spec.rows === this.rows &&
+            spec.cellWidth === this.cellWidth && spec.cellHeight === this.cellHeight;
+    }
+    
+    /**
+     * Replace the colours in place (e.g. the next video frame)
+     * @param {Object} data - {rgb, hsv, features} typed arrays of the same length
+     */
+    setData(data) {
+        this.rgb = data.rgb;
+        this.hsv = data.hsv;
+        this.features = data.features || null;
+    }
+    
+    /**
+     * Get the cells as a 2D array
+     * @returns {Array} [gridY][gridX] cells
+     */
+    getRows() {
+        return this.cells;
+    }
+}
+
+// Export for use in other modules
+window.PixelGrid = PixelGrid;
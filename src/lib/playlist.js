@@ -0,0 +1,209 @@
+/**
+ * Playlist - Ordered queue of images for performing several images in a row
+ * Each item keeps its own source and settings (pixel size, scale, mode);
+ * the playlist decides when to advance after a number of sweeps
+ */
+
+class Playlist {
+    constructor() {
+        this.items = [];
+        this.currentIndex = -1;
+        this.nextId = 1;
+        
+        // Advancing
+        this.sweepsPerItem = 0; // Completed sweep/sequencer passes before advancing (0 = manual only)
+        this.maxSweepsPerItem = 64;
+        this.passCount = 0;
+        this.crossfadeTime = 2; // seconds
+        this.maxCrossfadeTime = 10;
+        
+        this.onChange = null; // () => {} after items, order or settings change
+    }
+    
+    /**
+     * Queue an image
+     * @param {File|Blob|string} source - Image source (see ImageProcessor.loadSource)
+     * @param {Object} settings - {pixelSize, scale, mode}
+     * @param {string} name - Display name (optional, defaults to the file name or URL)
+     * @returns {Object} The new item {id, name, source, settings}
+     */
+    add(source, settings = {}, name = null) {
+        const item = {
+            id: this.nextId++,
+            name: name || Playlist.getSourceName(source),
+            source: source,
+            settings: {
+                pixelSize: settings.pixelSize || 50,
+                scale: settings.scale || 'pentatonic',
+                mode: settings.mode || 'sweep'
+            }
+        };
+        
+        this.items.push(item);
+        this.notify();
+        return item;
+    }
+    
+    /**
+     * Remove an item
+     * @param {number} id - Item id
+     */
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index < 0) return;
+        
+        this.items.splice(index, 1);
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (index === this.currentIndex) {
+            // The image stays on screen, but no item is current any more
+            this.currentIndex = -1;
+        }
+        this.notify();
+    }
+    
+    /**
+     * Move an item up or down the queue
+     * @param {number} id - Item id
+     * @param {number} offset - Positions to move (-1 = up, 1 = down)
+     */
+    move(id, offset) {
+        const index = this.items.findIndex(item => item.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.items.length) return;
+        
+        const current = this.getCurrent();
+        const [item] = this.items.splice(index, 1);
+        this.items.splice(target, 0, item);
+        this.currentIndex = current ? this.items.indexOf(current) : -1;
+        this.notify();
+    }
+    
+    /**
+     * Change an item's settings
+     * @param {number} id - Item id
+     * @param {Object} settings - Partial {pixelSize, scale, mode}
+     */
+    updateSettings(id, settings) {
+        const item = this.getItem(id);
+        if (!item) return;
+        
+        Object.assign(item.settings, settings);
+        this.notify();
+    }
+    
+    /**
+     * Make an item current
+     * @param {number} index - Item index
+     * @returns {Object|null} The item, or null if the index is out of range
+     */
+    select(index) {
+        if (index < 0 || index >= this.items.length) return null;
+        
+        this.currentIndex = index;
+        this.passCount = 0;
+        this.notify();
+        return this.items[index];
+    }
+    
+    /**
+     * Get the index of the item after the current one (wraps to the start)
+     * @returns {number} Item index, or -1 if the playlist is empty
+     */
+    getNextIndex() {
+        if (this.items.length === 0) return -1;
+        return (this.currentIndex + 1) % this.items.length;
+    }
+    
+    /**
+     * Count a completed sweep of the current item
+     * @returns {boolean} True if it is time to advance
+     */
+    countPass() {
+        if (this.sweepsPerItem <= 0 || this.currentIndex < 0 || this.items.length < 2) return false;
+        
+        this.passCount++;
+        return this.passCount >= this.sweepsPerItem;
+    }
+    
+    /**
+     * Set how many sweeps an item plays before advancing
+     * @param {number} sweeps - Sweeps per item (0 = manual only)
+     */
+    setSweepsPerItem(sweeps) {
+        const value = parseInt(sweeps, 10);
+        if (isNaN(value)) return;
+        
+        this.sweepsPerItem = Math.max(0, Math.min(this.maxSweepsPerItem, value));
+    }
+    
+    /**
+     * Set the transition length
+     * @param {number} seconds - Crossfade time (0 = cut)
+     */
+    setCrossfadeTime(seconds) {
+        const value = parseFloat(seconds);
+        if (isNaN(value)) return;
+        
+        this.crossfadeTime = Math.max(0, Math.min(this.maxCrossfadeTime, value));
+    }
+    
+    /**
+     * Get an item by id
+     * @param {number} id - Item id
+     * @returns {Object|null} Item or null
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+    
+    /**
+     * Get all items in play order
+     * @returns {Array} Items
+     */
+    getItems() {
+        return this.items;
+    }
+    
+    /**
+     * Get the current item
+     * @returns {Object|null} Item or null
+     */
+    getCurrent() {
+        return this.items[this.currentIndex] || null;
+    }
+    
+    /**
+     * Report a change
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    /**
+     * Derive a display name from a source
+     * @param {File|Blob|string} source - Image source
+     * @returns {string} Name
+     */
+    static getSourceName(source) {
+        if (source && source.name) return source.name;
+        
+        if (typeof source === 'string') {
+            if (source.startsWith('data:')) return 'Pasted image';
+            const path = source.split(/[?#]/)[0].split('/').filter(part => part);
+            const name = path[path.length - 1] || source;
+            try {
+                return decodeURIComponent(name);
+            } catch (error) {
+                return name;
+            }
+        }
+        
+        return 'Untitled image';
+    }
+}
+
+// Export for use in other modules
+window.Playlist = Playlist;
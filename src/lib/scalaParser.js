@@ -0,0 +1,96 @@
+/**
+ * Scala Parser - Reads Scala (.scl) tuning files and pitch lists
+ * Converts ratios and cents values into a common cents representation
+ */
+
+class ScalaParser {
+    /**
+     * Parse the text of a Scala .scl file
+     * Format: '!' comment lines, a description line, a note count line,
+     * then one pitch per line (cents if it contains '.', otherwise a ratio).
+     * The last pitch is the period (usually 2/1).
+     * @param {string} text - File contents
+     * @returns {Object} Parsed scale {description, degrees, period}
+     */
+    static parse(text) {
+        const lines = String(text)
+            .split(/\r?\n/)
+            .filter(line => !line.trim().startsWith('!'));
+        
+        if (lines.length < 2) {
+            throw new Error('Invalid Scala file: missing description or note count');
+        }
+        
+        const description = lines[0].trim();
+        const noteCount = parseInt(lines[1].trim(), 10);
+        if (isNaN(noteCount) || noteCount < 1) {
+            throw new Error('Invalid Scala file: bad note count');
+        }
+        
+        const pitches = lines
+            .slice(2)
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .slice(0, noteCount)
+            .map(line => ScalaParser.parsePitch(line.split(/\s+/)[0]));
+        
+        if (pitches.length !== noteCount) {
+            throw new Error(`Invalid Scala file: expected ${noteCount} pitches, found ${pitches.length}`);
+        }
+        
+        // The last pitch closes the period; the unison (0 cents) is implicit
+        const period = pitches[pitches.length - 1];
+        const degrees = [0, ...pitches.slice(0, -1)];
+        
+        return { description, degrees, period };
+    }
+    
+    /**
+     * Parse a single pitch value
+     * @param {string|number} pitch - Cents ('386.31'), ratio ('5/4') or integer ratio ('2')
+     * @returns {number} Pitch in cents
+     */
+    static parsePitch(pitch) {
+        if (typeof pitch === 'number') {
+            return pitch;
+        }
+        
+        const value = String(pitch).trim();
+        
+        // Cents values always contain a period
+        if (value.includes('.')) {
+            const cents = parseFloat(value);
+            if (isNaN(cents)) {
+                throw new Error(`Invalid cents value: '${value}'`);
+            }
+            return cents;
+        }
+        
+        return ScalaParser.ratioToCents(value);
+    }
+    
+    /**
+     * Convert a ratio to cents
+     * @param {string|number} ratio - Ratio such as '3/2', '2' or 1.5
+     * @returns {number} Pitch in cents
+     */
+    static ratioToCents(ratio) {
+        let numeric;
+        
+        if (typeof ratio === 'number') {
+            numeric = ratio;
+        } else {
+            const [numerator, denominator = '1'] = String(ratio).trim().split('/');
+            numeric = parseFloat(numerator) / parseFloat(denominator);
+        }
+        
+        if (!isFinite(numeric) || numeric <= 0) {
+            throw new Error(`Invalid ratio: '${ratio}'`);
+        }
+        
+        return 1200 * Math.log2(numeric);
+    }
+}
+
+// Export for use in other modules
+window.ScalaParser = ScalaParser;
@@ -0,0 +1,253 @@
+/**
+ * Session Link - Shareable settings (and optionally the image's cell colours) in a URL hash
+ * The settings are a trimmed SessionPreset document, so links are versioned and
+ * migrated like preset files. The palette is the processed grid's RGB bytes; a
+ * page opened from the link repaints one flat block per cell, which samples back
+ * to the same colours. Both parts are deflated (when the browser supports
+ * CompressionStream) and base64url-encoded:
+ *   #session=<codec><data>&palette=<codec><data>
+ * where codec is 'z' (deflate) or 'r' (raw bytes).
+ */
+
+class SessionLink {
+    /**
+     * Build the hash for a session link
+     * @param {Object} state - State as returned by getState()
+     * @param {Object} palette - Optional {width, height, columns, rows, rgb} from ImageProcessor.getPalette()
+     * @returns {Promise<string>} Hash without the leading '#'
+     */
+    static async encode(state, palette = null) {
+        const settings = {};
+        SessionLink.keys.forEach(key => {
+            if (state[key] !== undefined && state[key] !== null) {
+                settings[key] = state[key];
+            }
+        });
+        
+        // Only the selected custom scale is needed to play the link back
+        if (state.customScales && state.customScales[state.currentScale]) {
+            settings.customScales = { [state.currentScale]: state.customScales[state.currentScale] };
+        }
+        
+        const preset = SessionPreset.create(settings);
+        delete preset.name;
+        delete preset.savedAt;
+        
+        const params = new URLSearchParams();
+        params.set('session', await SessionLink.pack(new TextEncoder().encode(JSON.stringify(preset))));
+        
+        if (palette && SessionLink.canEmbed(palette)) {
+            params.set('palette', await SessionLink.pack(SessionLink.encodePalette(palette)));
+        }
+        
+        return params.toString();
+    }
+    
+    /**
+     * Read a session link
+     * @param {string} hash - URL hash (with or without the leading '#')
+     * @returns {Promise<Object|null>} {state, palette} (palette may be null), or null if the hash is not a session link
+     */
+    static async decode(hash) {
+        const params = SessionLink.getParams(hash);
+        if (!params.has('session')) return null;
+        
+        const text = new TextDecoder().decode(await SessionLink.unpack(params.get('session')));
+        const state = SessionPreset.toState(SessionPreset.parse(text));
+        const palette = params.has('palette')
+            ? SessionLink.decodePalette(await SessionLink.unpack(params.get('palette')))
+            : null;
+        
+        return { state, palette };
+    }
+    
+    /**
+     * Check whether a hash holds a session link
+     * @param {string} hash - URL hash
+     * @returns {boolean} True if it has session settings
+     */
+    static isLink(hash) {
+        return SessionLink.getParams(hash).has('session');
+    }
+    
+    /**
+     * Check whether a palette is small enough to embed in a link
+     * @param {Object} palette - {columns, rows}
+     * @returns {boolean} True if it fits
+     */
+    static canEmbed(palette) {
+        return Boolean(palette) && palette.columns * palette.rows <= SessionLink.maxPaletteCells;
+    }
+    
+    /**
+     * Parse the hash parameters
+     * @param {string} hash - URL hash
+     * @returns {URLSearchParams} Parameters
+     */
+    static getParams(hash) {
+        return new URLSearchParams((hash || '').replace(/^#/, ''));
+    }
+    
+    /**
+     * Serialize a palette: width, height, columns and rows (uint16, big-endian), then RGB per cell
+     * @param {Object} palette - {width, height, columns, rows, rgb}
+     * @returns {Uint8Array} Bytes
+     */
+    static encodePalette(palette) {
+        const bytes = new Uint8Array(SessionLink.paletteHeaderSize + palette.rgb.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, palette.width);
+        view.setUint16(2, palette.height);
+        view.setUint16(4, palette.columns);
+        view.setUint16(6, palette.rows);
+        bytes.set(palette.rgb, SessionLink.paletteHeaderSize);
+        return bytes;
+    }
+    
+    /**
+     * Read a serialized palette
+     * @param {Uint8Array} bytes - Bytes from encodePalette
+     * @returns {Object} {width, height, columns, rows, rgb: Uint8ClampedArray}
+     */
+    static decodePalette(bytes) {
+        if (bytes.length < SessionLink.paletteHeaderSize) {
+            throw new Error('The image colours in this link are incomplete');
+        }
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const palette = {
+            width: view.getUint16(0),
+            height: view.getUint16(2),
+            columns: view.getUint16(4),
+            rows: view.getUint16(6)
+        };
+        
+        const size = palette.columns * palette.rows * 3;
+        if (!palette.width || !palette.height || !size || bytes.length !== SessionLink.paletteHeaderSize + size) {
+            throw new Error('The image colours in this link are incomplete');
+        }
+        
+        palette.rgb = new Uint8ClampedArray(bytes.subarray(SessionLink.paletteHeaderSize));
+        return palette;
+    }
+    
+    /**
+     * Compress (if supported) and base64url-encode bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {Promise<string>} Codec character followed by base64url
+     */
+    static async pack(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            return 'r' + SessionLink.toBase64Url(bytes);
+        }
+        
+        const compressed = await SessionLink.transform(bytes, new CompressionStream('deflate'));
+        return 'z' + SessionLink.toBase64Url(compressed);
+    }
+    
+    /**
+     * Decode (and decompress) a packed value
+     * @param {string} text - Value from pack
+     * @returns {Promise<Uint8Array>} Data
+     */
+    static async unpack(text) {
+        const codec = text.charAt(0);
+        const bytes = SessionLink.fromBase64Url(text.slice(1));
+        
+        if (codec === 'r') return bytes;
+        if (codec !== 'z') {
+            throw new Error(`Unknown link encoding '${codec}'`);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open compressed links. Try a current Chrome, Firefox or Safari.');
+        }
+        
+        try {
+            return await SessionLink.transform(bytes, new DecompressionStream('deflate'));
+        } catch (error) {
+            throw new Error('The link is damaged (it may have been cut off when it was copied)');
+        }
+    }
+    
+    /**
+     * Run bytes through a compression stream
+     * @param {Uint8Array} bytes - Input
+     * @param {CompressionStream|DecompressionStream} stream - Transform
+     * @returns {Promise<Uint8Array>} Output
+     */
+    static async transform(bytes, stream) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+    
+    /**
+     * Encode bytes as unpadded base64url
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} base64url text
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        // Chunked, so large palettes do not overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    /**
+     * Decode unpadded base64url
+     * @param {string} text - base64url text
+     * @returns {Uint8Array} Data
+     */
+    static fromBase64Url(text) {
+        let binary;
+        try {
+            binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (error) {
+            throw new Error('The link is damaged (it may have been cut off when it was copied)');
+        }
+        
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// getState() keys carried by a link: mode, grid, scale and root, mapping and effects.
+// Device, export and playlist settings stay with the person opening the link.
+SessionLink.keys = [
+    'currentMode',
+    'currentPixelSize',
+    'processingSize',
+    'samplingStrategy',
+    'gridMode',
+    'gridColumns',
+    'gridRows',
+    'gridLockAspect',
+    'gridThreshold',
+    'colorSpace',
+    'currentScale',
+    'rootNote',
+    'octaveRange',
+    'referencePitch',
+    'mapperRanges',
+    'mappingPreset',
+    'mappingRoutes',
+    'masterVolume',
+    'reverbWet',
+    'reverbDecay',
+    'panMode',
+    'tempo',
+    'sweepPlayMode',
+    'gridSwing',
+    'gridStepLength'
+];
+
+// Largest grid whose colours are embedded (64 × 64 cells, about 16 KB of link before compression)
+SessionLink.maxPaletteCells = 4096;
+SessionLink.paletteHeaderSize = 8;
+
+// Export for use in other modules
+window.SessionLink = SessionLink;
@@ -0,0 +1,264 @@
+/**
+ * Session Preset - Versioned JSON snapshot of every user setting
+ * Converts between the flat state of ImageSoundSynesthesia.getState() and a
+ * grouped, versioned document that can be saved to a file or localStorage.
+ * Older documents are upgraded step by step through SessionPreset.migrations.
+ */
+
+class SessionPreset {
+    /**
+     * Build a preset document from application state
+     * @param {Object} state - State as returned by getState()
+     * @param {string} name - Preset name (optional)
+     * @returns {Object} Preset document at the current version
+     */
+    static create(state, name = null) {
+        const preset = {
+            format: SessionPreset.format,
+            version: SessionPreset.version,
+            name: name,
+            savedAt: new Date().toISOString()
+        };
+        
+        Object.entries(SessionPreset.fields).forEach(([path, key]) => {
+            if (state[key] !== undefined) {
+                SessionPreset.setPath(preset, path, SessionPreset.clone(state[key]));
+            }
+        });
+        
+        return preset;
+    }
+    
+    /**
+     * Turn a preset document (any supported version) back into application state
+     * @param {Object} preset - Preset document
+     * @returns {Object} Partial state for applyState()
+     */
+    static toState(preset) {
+        const current = SessionPreset.migrate(preset);
+        const state = {};
+        
+        Object.entries(SessionPreset.fields).forEach(([path, key]) => {
+            const value = SessionPreset.getPath(current, path);
+            if (value !== undefined) {
+                state[key] = SessionPreset.clone(value);
+            }
+        });
+        
+        return state;
+    }
+    
+    /**
+     * Upgrade a preset document to the current version
+     * A plain getState() snapshot (no format field) is treated as version 0.
+     * @param {Object} data - Parsed preset document
+     * @returns {Object} Preset document at the current version
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Session preset must be a JSON object');
+        }
+        
+        let preset = data;
+        if (preset.format === undefined) {
+            preset = { format: SessionPreset.format, version: 0, state: data };
+        } else if (preset.format !== SessionPreset.format) {
+            throw new Error(`Unknown preset format '${preset.format}'`);
+        }
+        
+        let version = parseInt(preset.version, 10);
+        if (isNaN(version) || version < 0) {
+            throw new Error('Session preset has no valid version');
+        }
+        if (version > SessionPreset.version) {
+            throw new Error(`Session preset version ${version} is newer than this app supports (${SessionPreset.version})`);
+        }
+        
+        while (version < SessionPreset.version) {
+            preset = SessionPreset.migrations[version](preset);
+            version = preset.version;
+        }
+        
+        return preset;
+    }
+    
+    /**
+     * Parse a preset file
+     * @param {string} text - JSON text
+     * @returns {Object} Preset document at the current version
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid preset file: ${error.message}`);
+        }
+        
+        return SessionPreset.migrate(data);
+    }
+    
+    /**
+     * Serialize a preset document for a file
+     * @param {Object} preset - Preset document
+     * @returns {string} Indented JSON
+     */
+    static stringify(preset) {
+        return JSON.stringify(preset, null, 2);
+    }
+    
+    /**
+     * Load the preset saved in localStorage
+     * @param {Storage} storage - Storage to read (defaults to localStorage)
+     * @returns {Object|null} Preset document at the current version, or null if none or unreadable
+     */
+    static load(storage = SessionPreset.getStorage()) {
+        if (!storage) return null;
+        
+        try {
+            const text = storage.getItem(SessionPreset.storageKey);
+            return text ? SessionPreset.parse(text) : null;
+        } catch (error) {
+            console.warn('Ignoring saved session:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Save a preset to localStorage
+     * @param {Object} preset - Preset document
+     * @param {Storage} storage - Storage to write (defaults to localStorage)
+     * @returns {boolean} True if saved
+     */
+    static save(preset, storage = SessionPreset.getStorage()) {
+        if (!storage) return false;
+        
+        try {
+            storage.setItem(SessionPreset.storageKey, JSON.stringify(preset));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage disabled
+            console.warn('Failed to save session:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove the saved preset from localStorage
+     * @param {Storage} storage - Storage to clear (defaults to localStorage)
+     */
+    static clear(storage = SessionPreset.getStorage()) {
+        if (storage) {
+            storage.removeItem(SessionPreset.storageKey);
+        }
+    }
+    
+    /**
+     * Get localStorage if the browser allows it (it throws in some privacy modes)
+     * @returns {Storage|null} Storage or null
+     */
+    static getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Read a dotted path from an object
+     * @param {Object} object - Source object
+     * @param {string} path - Dotted path, e.g. 'audio.masterVolume'
+     * @returns {*} Value, or undefined if any part is missing
+     */
+    static getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+    }
+    
+    /**
+     * Write a dotted path into an object, creating groups as needed
+     * @param {Object} object - Target object
+     * @param {string} path - Dotted path
+     * @param {*} value - Value
+     */
+    static setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const group = keys.reduce((parent, key) => {
+            if (!parent[key] || typeof parent[key] !== 'object') {
+                parent[key] = {};
+            }
+            return parent[key];
+        }, object);
+        group[last] = value;
+    }
+    
+    /**
+     * Deep-copy a JSON value
+     * @param {*} value - Value
+     * @returns {*} Copy
+     */
+    static clone(value) {
+        return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+}
+
+SessionPreset.format = 'image-sound-synesthesia-session';
+SessionPreset.version = 1;
+SessionPreset.storageKey = 'image-sound-synesthesia:session';
+
+// Preset path → getState() key, for the current version.
+// MIDI device ids are left out on purpose: they only mean something on the machine that saved them.
+SessionPreset.fields = {
+    'mode': 'currentMode',
+    'grid.pixelSize': 'currentPixelSize',
+    'grid.processingSize': 'processingSize',
+    'grid.samplingStrategy': 'samplingStrategy',
+    'grid.mode': 'gridMode',
+    'grid.columns': 'gridColumns',
+    'grid.rows': 'gridRows',
+    'grid.lockAspect': 'gridLockAspect',
+    'grid.threshold': 'gridThreshold',
+    'mapping.colorSpace': 'colorSpace',
+    'mapping.scale': 'currentScale',
+    'mapping.rootNote': 'rootNote',
+    'mapping.baseFrequency': 'baseFrequency',
+    'mapping.octaveRange': 'octaveRange',
+    'mapping.referencePitch': 'referencePitch',
+    'mapping.customScales': 'customScales',
+    'mapping.ranges': 'mapperRanges',
+    'mapping.matrix.preset': 'mappingPreset',
+    'mapping.matrix.routes': 'mappingRoutes',
+    'mapping.matrix.presets': 'mappingPresets',
+    'audio.masterVolume': 'masterVolume',
+    'audio.reverbWet': 'reverbWet',
+    'audio.reverbDecay': 'reverbDecay',
+    'audio.panMode': 'panMode',
+    'audio.polyphony': 'polyphony',
+    'audio.stealPolicy': 'stealPolicy',
+    'timing.tempo': 'tempo',
+    'timing.sweepPlayMode': 'sweepPlayMode',
+    'timing.swing': 'gridSwing',
+    'timing.stepLength': 'gridStepLength',
+    'export.sampleRate': 'exportSampleRate',
+    'export.bitDepth': 'exportBitDepth',
+    'export.midiTrackMode': 'midiTrackMode',
+    'export.recordFormat': 'recordFormat',
+    'midi.channel': 'midiChannel',
+    'midi.pitchMode': 'midiPitchMode',
+    'bridge.url': 'bridgeUrl',
+    'bridge.format': 'bridgeFormat',
+    'video.frameRate': 'videoFrameRate',
+    'playlist.sweeps': 'playlistSweeps',
+    'playlist.crossfade': 'playlistCrossfade'
+};
+
+// migrations[n] upgrades a version n document to a later version (usually n + 1).
+// When the schema changes: bump SessionPreset.version, update fields and add a step here.
+SessionPreset.migrations = {
+    // Version 0: a plain getState() snapshot, which maps straight onto the current fields
+    0: (preset) => SessionPreset.create(preset.state, preset.state.name || null)
+};
+
+// Export for use in other modules
+window.SessionPreset = SessionPreset;
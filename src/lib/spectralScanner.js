@@ -0,0 +1,179 @@
+/**
+ * Spectral Scanner - Additive synthesis voice for scan mode
+ * Plays a whole pixel column as one spectrum and crossfades between columns
+ */
+
+class SpectralScanner {
+    /**
+     * @param {Tone.ToneAudioNode} output - Node the scanner connects to
+     * @param {Object} options - {crossfadeTime}
+     */
+    constructor(output, options = {}) {
+        this.output = output;
+        this.crossfadeTime = options.crossfadeTime || 0.15; // seconds
+        this.isRunning = false;
+        
+        this.panner = new Tone.Panner(0).connect(this.output);
+        
+        // Two slots so the next column can fade in while the last fades out.
+        // Each slot keeps one sine oscillator per row for as long as the scanner
+        // runs; a column change only retunes and re-levels the silent slot, so
+        // nothing is created per column however tall the image or fast the updates.
+        this.slots = [0, 1].map(() => ({
+            gain: new Tone.Gain(0).connect(this.panner),
+            oscillators: []
+        }));
+        this.activeSlot = 0;
+    }
+    
+    /**
+     * Work out the gain that scales a spectrum's summed waveform to its loudness
+     * Closed form, so it is cheap enough for every column change: the peak of the
+     * sum is estimated as the RMS times a crest factor, and never more than the
+     * sum of the amplitudes (all partials in phase).
+     * @param {Array} partials - Array of {frequency, amplitude (0-1)}
+     * @returns {number} Gain applied to every partial; the peak then roughly equals the mean amplitude
+     */
+    static getNormalizeGain(partials) {
+        let sum = 0;
+        let sumOfSquares = 0;
+        partials.forEach(partial => {
+            const amplitude = Math.max(0, partial.amplitude || 0);
+            sum += amplitude;
+            sumOfSquares += amplitude * amplitude;
+        });
+        if (sum === 0) return 0;
+        
+        const peak = Math.min(sum, SpectralScanner.crestFactor * Math.sqrt(sumOfSquares / 2));
+        
+        // Loudness follows the column's mean brightness
+        return (sum / partials.length) / peak;
+    }
+    
+    /**
+     * Starting phase of a partial
+     * Golden-angle offsets keep the summed waveform from peaking when a bank starts.
+     * @param {number} index - Partial index
+     * @returns {number} Phase in degrees
+     */
+    static getPhase(index) {
+        return (index * 137.50776) % 360;
+    }
+    
+    /**
+     * Crossfade to a new spectrum
+     * @param {Array} partials - Array of {frequency, amplitude (0-1)}
+     * @param {number} pan - Stereo position (-1 to 1)
+     * @param {number} time - Audio context time to start the crossfade (optional)
+     */
+    setSpectrum(partials, pan = 0, time = null) {
+        // Use the scanner's own context so this also works inside Tone.Offline
+        const context = this.panner.context;
+        const gain = SpectralScanner.getNormalizeGain(partials);
+        
+        const now = context.now();
+        const start = Math.max(time || 0, now + 0.01);
+        const current = this.slots[this.activeSlot];
+        const nextIndex = 1 - this.activeSlot;
+        const next = this.slots[nextIndex];
+        
+        // Duck the incoming slot in case it is still fading out from an earlier change
+        next.gain.gain.cancelScheduledValues(start - 0.01);
+        next.gain.gain.rampTo(0, 0.005, start - 0.01);
+        
+        // The slot is silent by the start time, so its oscillators can jump to the new column
+        this.ensureOscillators(next, partials.length, now);
+        next.oscillators.forEach((oscillator, index) => {
+            const partial = partials[index];
+            const amplitude = partial ? Math.max(0, partial.amplitude || 0) : 0;
+            
+            oscillator.volume.cancelScheduledValues(start);
+            oscillator.volume.setValueAtTime(Tone.gainToDb(amplitude * gain), start);
+            if (amplitude > 0) {
+                oscillator.frequency.cancelScheduledValues(start);
+                oscillator.frequency.setValueAtTime(partial.frequency, start);
+            }
+        });
+        next.gain.gain.linearRampTo(1, this.crossfadeTime, start);
+        
+        current.gain.gain.cancelScheduledValues(start);
+        current.gain.gain.linearRampTo(0, this.crossfadeTime, start);
+        
+        this.panner.pan.rampTo(pan, this.crossfadeTime, start);
+        
+        this.activeSlot = nextIndex;
+        this.isRunning = true;
+    }
+    
+    /**
+     * Grow a slot's oscillator bank to at least one oscillator per partial
+     * Spare oscillators (after the image gets shorter) stay silent until reused.
+     * @param {Object} slot - Slot
+     * @param {number} count - Number of partials
+     * @param {number} time - Audio context time to start new oscillators
+     */
+    ensureOscillators(slot, count, time) {
+        const context = this.panner.context;
+        
+        for (let index = slot.oscillators.length; index < count; index++) {
+            const oscillator = new Tone.Oscillator({
+                context: context,
+                type: 'sine',
+                phase: SpectralScanner.getPhase(index),
+                volume: -Infinity
+            }).connect(slot.gain);
+            oscillator.start(time);
+            slot.oscillators.push(oscillator);
+        }
+    }
+    
+    /**
+     * Stop a slot's oscillators and dispose them once stopped
+     * @param {Object} slot - Slot
+     * @param {number} time - Audio context time to stop
+     */
+    stopOscillators(slot, time) {
+        slot.oscillators.forEach(oscillator => {
+            oscillator.onstop = () => oscillator.dispose();
+            oscillator.stop(time);
+        });
+        slot.oscillators = [];
+    }
+    
+    /**
+     * Fade out and stop
+     * The oscillator banks are released; the next spectrum builds new ones.
+     * @param {number} time - Audio context time to start fading (optional, defaults to now)
+     */
+    stop(time = null) {
+        if (!this.isRunning) return;
+        
+        const now = Math.max(time || 0, this.panner.context.now());
+        this.slots.forEach(slot => {
+            slot.gain.gain.cancelScheduledValues(now);
+            slot.gain.gain.linearRampTo(0, this.crossfadeTime, now);
+            this.stopOscillators(slot, now + this.crossfadeTime);
+        });
+        
+        this.isRunning = false;
+    }
+    
+    /**
+     * Dispose audio nodes
+     */
+    dispose() {
+        this.slots.forEach(slot => {
+            slot.oscillators.forEach(oscillator => oscillator.dispose());
+            slot.gain.dispose();
+        });
+        this.panner.dispose();
+    }
+}
+
+// Assumed peak-to-RMS ratio of a column's summed partials (see getNormalizeGain).
+// Retuned oscillators drift out of their starting phases, so this is set for
+// unrelated phases: the peak stays near the mean amplitude even for tall columns.
+SpectralScanner.crestFactor = 4;
+
+// Export for use in other modules
+window.SpectralScanner = SpectralScanner;
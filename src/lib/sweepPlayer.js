@@ -0,0 +1,249 @@
+/**
+ * Sweep Player - Tone.Transport driven playhead for sweep and grid modes
+ * Steps through image columns at a set tempo (loop, ping-pong or one-shot)
+ */
+
+class SweepPlayer {
+    /**
+     * @param {Object} options - {getColumnCount, onStep, onEnd, onPass, bpm, playMode, stepLength, swing}
+     *   getColumnCount() returns the current number of columns;
+     *   onStep(column, time) is called for every step at audio time;
+     *   onEnd() is called on the draw thread when a one-shot pass finishes;
+     *   onPass() is called on the draw thread each time a loop or ping-pong pass completes.
+     */
+    constructor(options = {}) {
+        this.getColumnCount = options.getColumnCount || (() => 0);
+        this.onStep = options.onStep || null;
+        this.onEnd = options.onEnd || null;
+        this.onPass = options.onPass || null;
+        
+        this.playModes = ['loop', 'pingpong', 'oneshot'];
+        this.playMode = this.playModes.includes(options.playMode) ? options.playMode : 'loop';
+        this.bpm = options.bpm || 90;
+        this.minBpm = 20;
+        this.maxBpm = 300;
+        
+        // One column per step; step length is a Transport subdivision
+        this.stepLengths = { '4n': 1, '8n': 0.5, '16n': 0.25, '32n': 0.125 }; // in beats
+        this.stepLength = this.stepLengths[options.stepLength] ? options.stepLength : '8n';
+        this.swing = options.swing || 0; // 0-1, delays the off-beat steps (see getSwingOffset)
+        
+        this.isRunning = false;
+        this.isFinishing = false;
+        this.eventId = null;
+        
+        // Playhead state (updated on the draw thread for rendering)
+        this.column = -1;
+        this.direction = 1;
+        this.passCompleted = false;
+        this.stepStartedAt = 0;
+        this.displayColumn = -1;
+        this.displayDirection = 1;
+    }
+    
+    /**
+     * Start sweeping from the first column
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.column = -1;
+        this.direction = 1;
+        this.isFinishing = false;
+        
+        Tone.Transport.bpm.value = this.bpm;
+        Tone.Transport.swing = this.swing;
+        Tone.Transport.swingSubdivision = this.stepLength;
+        this.eventId = Tone.Transport.scheduleRepeat((time) => this.step(time), this.stepLength);
+        
+        if (Tone.Transport.state !== 'started') {
+            Tone.Transport.start();
+        }
+        
+        this.isRunning = true;
+        console.log(`Sweep started at ${this.bpm} BPM (${this.playMode})`);
+    }
+    
+    /**
+     * Stop sweeping and clear the playhead
+     */
+    stop() {
+        if (this.eventId !== null) {
+            Tone.Transport.clear(this.eventId);
+            this.eventId = null;
+        }
+        
+        Tone.Transport.stop();
+        
+        this.isRunning = false;
+        this.column = -1;
+        this.displayColumn = -1;
+    }
+    
+    /**
+     * Advance the playhead by one step (Transport callback)
+     * @param {number} time - Audio context time of the step
+     */
+    step(time) {
+        if (this.isFinishing) return;
+        
+        const column = this.nextColumn();
+        
+        if (column < 0) {
+            this.isFinishing = true;
+            Tone.Draw.schedule(() => {
+                this.stop();
+                if (this.onEnd) this.onEnd();
+            }, time);
+            return;
+        }
+        
+        if (this.onStep) {
+            this.onStep(column, time);
+        }
+        
+        if (this.passCompleted) {
+            this.passCompleted = false;
+            if (this.onPass) {
+                Tone.Draw.schedule(() => this.onPass(), time);
+            }
+        }
+        
+        // Sync the visual playhead with the audio
+        const direction = this.direction;
+        Tone.Draw.schedule(() => {
+            this.displayColumn = column;
+            this.displayDirection = direction;
+            this.stepStartedAt = performance.now();
+        }, time);
+    }
+    
+    /**
+     * Compute the next column for the current play mode
+     * @returns {number} Column index, or -1 when a one-shot pass has finished
+     */
+    nextColumn() {
+        const columnCount = this.getColumnCount();
+        if (columnCount <= 0) return -1;
+        
+        let next = this.column + this.direction;
+        
+        if (this.playMode === 'pingpong') {
+            if (columnCount === 1) {
+                next = 0;
+            } else if (next >= columnCount || next < 0) {
+                this.direction = -this.direction;
+                next = this.column + this.direction;
+                this.passCompleted = true;
+            }
+        } else if (next >= columnCount) {
+            if (this.playMode === 'oneshot') return -1;
+            next = 0;
+            this.passCompleted = true;
+        }
+        
+        this.column = Math.max(0, Math.min(columnCount - 1, next));
+        return this.column;
+    }
+    
+    /**
+     * Get the playhead position for drawing
+     * @returns {number} Fractional column position, or -1 when stopped
+     */
+    getPlayheadPosition() {
+        if (!this.isRunning || this.displayColumn < 0) return -1;
+        
+        const elapsed = (performance.now() - this.stepStartedAt) / 1000;
+        const fraction = Math.min(1, elapsed / this.getStepDuration());
+        
+        // Moving left, the playhead travels from the right edge of the column
+        return this.displayDirection > 0
+            ? this.displayColumn + fraction
+            : this.displayColumn + 1 - fraction;
+    }
+    
+    /**
+     * Get the duration of one step in seconds
+     * @returns {number} Step duration
+     */
+    getStepDuration() {
+        return 60 / this.bpm * this.stepLengths[this.stepLength];
+    }
+    
+    /**
+     * Get how far swing delays a step, following Tone.Transport's rule
+     * With swingSubdivision set to the step length, the Transport pushes every odd
+     * step back by up to two thirds of a step, but never a step that lands on a
+     * quarter note. So '4n' steps are never swung. Offline rendering and MIDI
+     * export use this to place steps where live playback plays them.
+     * @param {number} stepIndex - Step number counted from the start
+     * @returns {number} Delay in seconds
+     */
+    getSwingOffset(stepIndex) {
+        const beat = stepIndex * this.stepLengths[this.stepLength];
+        if (stepIndex % 2 === 0 || Number.isInteger(beat)) return 0;
+        return this.swing * this.getStepDuration() * 2 / 3;
+    }
+    
+    /**
+     * Set the step length
+     * @param {string} stepLength - Transport subdivision: '4n', '8n', '16n' or '32n'
+     */
+    setStepLength(stepLength) {
+        if (!this.stepLengths[stepLength]) return;
+        
+        this.stepLength = stepLength;
+        
+        // Reschedule on the next step boundary so the playhead keeps running
+        if (this.isRunning) {
+            Tone.Transport.clear(this.eventId);
+            Tone.Transport.swingSubdivision = stepLength;
+            this.eventId = Tone.Transport.scheduleRepeat(
+                (time) => this.step(time),
+                stepLength,
+                Tone.Transport.nextSubdivision(stepLength)
+            );
+        }
+    }
+    
+    /**
+     * Set the swing amount
+     * @param {number} amount - Swing (0-1), delays the off-beat steps (no effect on '4n' steps)
+     */
+    setSwing(amount) {
+        const value = parseFloat(amount);
+        if (isNaN(value)) return;
+        
+        this.swing = Math.max(0, Math.min(1, value));
+        if (this.isRunning) {
+            Tone.Transport.swing = this.swing;
+        }
+    }
+    
+    /**
+     * Set the tempo
+     * @param {number} bpm - Beats per minute (a quarter note is one beat)
+     */
+    setTempo(bpm) {
+        const value = parseFloat(bpm);
+        if (isNaN(value)) return;
+        
+        this.bpm = Math.max(this.minBpm, Math.min(this.maxBpm, value));
+        if (this.isRunning) {
+            Tone.Transport.bpm.rampTo(this.bpm, 0.1);
+        }
+    }
+    
+    /**
+     * Set the play mode
+     * @param {string} mode - 'loop', 'pingpong' or 'oneshot'
+     */
+    setPlayMode(mode) {
+        if (this.playModes.includes(mode)) {
+            this.playMode = mode;
+        }
+    }
+}
+
+// Export for use in other modules
+window.SweepPlayer = SweepPlayer;
@@ -0,0 +1,254 @@
+/**
+ * Video Source - Feeds live video frames into the ImageProcessor
+ * Samples a camera (getUserMedia), an existing <video> element or a video file
+ * at a fixed frame rate, so playback follows the changing scene
+ */
+
+class VideoSource {
+    /**
+     * @param {ImageProcessor} imageProcessor - Processor that receives each frame
+     * @param {Object} options - {frameRate} frames sampled per second
+     */
+    constructor(imageProcessor, options = {}) {
+        this.imageProcessor = imageProcessor;
+        this.video = null;
+        this.stream = null;
+        this.objectUrl = null;
+        this.ownsVideo = false; // True if the <video> element was created here
+        this.kind = null; // 'camera', 'element' or 'file'
+        this.timer = null;
+        this.lastFrameTime = -1;
+        
+        this.minFrameRate = 1;
+        this.maxFrameRate = 30;
+        this.frameRate = 10;
+        this.setFrameRate(options.frameRate || this.frameRate);
+        
+        // Callbacks
+        this.onFrame = null; // () => {} after each processed frame
+        this.onEnd = null; // () => {} when the source stops by itself (e.g. camera unplugged)
+    }
+    
+    /**
+     * Check whether camera capture is available
+     * @returns {boolean} True if getUserMedia exists
+     */
+    static isCameraSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+    
+    /**
+     * Sample frames from the camera
+     * @param {Object} constraints - getUserMedia video constraints (optional)
+     * @returns {Promise<void>} Resolves once the first frame has been processed
+     */
+    async startCamera(constraints = { width: { ideal: 640 }, height: { ideal: 480 } }) {
+        if (!VideoSource.isCameraSupported()) {
+            throw new Error('Camera capture is not supported in this browser');
+        }
+        
+        this.stop();
+        
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: constraints, audio: false });
+        } catch (error) {
+            const reason = error.name === 'NotAllowedError' ? 'permission denied' : error.message;
+            throw new Error(`Could not open the camera (${reason})`);
+        }
+        
+        const video = this.createVideoElement();
+        video.srcObject = stream;
+        this.stream = stream;
+        
+        // Camera unplugged or permission revoked
+        stream.getVideoTracks().forEach(track => {
+            track.onended = () => this.handleEnded();
+        });
+        
+        await this.attach(video, 'camera');
+    }
+    
+    /**
+     * Sample frames from an existing <video> element (playback is left to the page)
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {Promise<void>} Resolves once the first frame has been processed
+     */
+    async startElement(video) {
+        if (!video || video.tagName !== 'VIDEO') {
+            throw new Error('Not a video element');
+        }
+        
+        this.stop();
+        await this.attach(video, 'element');
+    }
+    
+    /**
+     * Sample frames from a video file (loops muted; useful for testing without a camera)
+     * @param {File} file - Video file
+     * @returns {Promise<void>} Resolves once the first frame has been processed
+     */
+    async startFile(file) {
+        if (!file || !file.type.startsWith('video/')) {
+            throw new Error('Invalid file type');
+        }
+        
+        this.stop();
+        
+        const video = this.createVideoElement();
+        video.loop = true;
+        this.objectUrl = URL.createObjectURL(file);
+        video.src = this.objectUrl;
+        
+        await this.attach(video, 'file');
+    }
+    
+    /**
+     * Create a hidden, muted video element for camera/file playback
+     * @returns {HTMLVideoElement} Video element
+     */
+    createVideoElement() {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.autoplay = true;
+        this.ownsVideo = true;
+        return video;
+    }
+    
+    /**
+     * Wait for the first frame, then start sampling
+     * @param {HTMLVideoElement} video - Video element
+     * @param {string} kind - 'camera', 'element' or 'file'
+     */
+    async attach(video, kind) {
+        this.video = video;
+        this.kind = kind;
+        this.lastFrameTime = -1;
+        
+        if (video.readyState < 2) {
+            try {
+                await new Promise((resolve, reject) => {
+                    video.addEventListener('loadeddata', resolve, { once: true });
+                    video.addEventListener('error', () => reject(new Error('Failed to decode video')), { once: true });
+                });
+            } catch (error) {
+                // Release the element, stream and object URL so the source reads as stopped
+                this.stop();
+                throw error;
+            }
+        }
+        
+        if (this.ownsVideo) {
+            try {
+                await video.play();
+            } catch (error) {
+                this.stop();
+                throw new Error(`Could not play video (${error.message})`);
+            }
+        }
+        
+        await this.captureFrame();
+        this.startTimer();
+        console.log(`Video source started (${kind}, ${video.videoWidth}x${video.videoHeight} at ${this.frameRate} fps)`);
+    }
+    
+    /**
+     * Process the current video frame
+     * Paused files and elements are skipped until the picture changes; frames
+     * that arrive while the previous one is still processing are dropped.
+     * @returns {Promise<boolean>} True if a new frame was processed
+     */
+    async captureFrame() {
+        if (!this.video) return false;
+        if (!this.stream && this.video.currentTime === this.lastFrameTime) return false;
+        
+        const frameTime = this.video.currentTime;
+        if (!(await this.imageProcessor.loadFrame(this.video))) return false;
+        this.lastFrameTime = frameTime;
+        
+        if (this.onFrame) {
+            this.onFrame();
+        }
+        return true;
+    }
+    
+    /**
+     * Set the sampling rate
+     * @param {number} frameRate - Frames per second (1-30)
+     */
+    setFrameRate(frameRate) {
+        const value = parseFloat(frameRate);
+        if (isNaN(value)) return;
+        
+        this.frameRate = Math.max(this.minFrameRate, Math.min(this.maxFrameRate, value));
+        if (this.timer !== null) {
+            this.startTimer();
+        }
+    }
+    
+    /**
+     * (Re)start the sampling timer
+     */
+    startTimer() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => {
+            this.captureFrame().catch(error => console.error('Failed to process video frame:', error));
+        }, 1000 / this.frameRate);
+    }
+    
+    /**
+     * Check whether frames are being sampled
+     * @returns {boolean} True if a source is running
+     */
+    isActive() {
+        return this.video !== null;
+    }
+    
+    /**
+     * Handle a source that stopped by itself
+     */
+    handleEnded() {
+        console.log('Video source ended');
+        this.stop();
+        if (this.onEnd) {
+            this.onEnd();
+        }
+    }
+    
+    /**
+     * Stop sampling and release the camera or file
+     * The last processed frame stays in the ImageProcessor as a still image.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        if (this.video) {
+            this.imageProcessor.freezeFrame(this.video);
+        }
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        
+        if (this.video && this.ownsVideo) {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.srcObject = null;
+        }
+        
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        
+        this.video = null;
+        this.kind = null;
+        this.ownsVideo = false;
+    }
+}
+
+// Export for use in other modules
+window.VideoSource = VideoSource;
@@ -0,0 +1,287 @@
+/**
+ * Voice Pool - Preallocated Tone.js voices with a polyphony limit
+ * Reuses synths instead of creating one per note, and steals voices when full
+ */
+
+class VoicePool {
+    /**
+     * @param {Tone.ToneAudioNode} output - Node every voice connects to
+     * @param {Object} options - {size, stealPolicy, send (reverb send node, optional)}
+     */
+    constructor(output, options = {}) {
+        this.output = output;
+        this.send = options.send || null;
+        this.voices = [];
+        this.stealPolicies = ['oldest', 'quietest', 'lowest-priority'];
+        this.stealPolicy = this.stealPolicies.includes(options.stealPolicy) ? options.stealPolicy : 'oldest';
+        this.minSize = 1;
+        this.maxSize = 32;
+        
+        this.setSize(options.size || 8);
+    }
+    
+    /**
+     * Create one voice: synth → low-pass filter → stereo panner → output
+     * The filter also feeds a send gain into the send node (silent until a note sets it).
+     * The 3D panner is created lazily the first time HRTF placement is used.
+     * @param {number} index - Voice index
+     * @returns {Object} Voice
+     */
+    createVoice(index) {
+        const synth = new Tone.Synth();
+        const filter = new Tone.Filter(VoicePool.openCutoff, 'lowpass');
+        const panner = new Tone.Panner(0).connect(this.output);
+        synth.connect(filter);
+        filter.connect(panner);
+        
+        let sendGain = null;
+        if (this.send) {
+            sendGain = new Tone.Gain(0).connect(this.send);
+            filter.connect(sendGain);
+        }
+        
+        return {
+            index: index,
+            synth: synth,
+            filter: filter,
+            sendGain: sendGain,
+            panner: panner,
+            panner3d: null,
+            route: 'stereo',
+            id: null,
+            startTime: 0,
+            endTime: 0,
+            velocity: 0,
+            priority: 0
+        };
+    }
+    
+    /**
+     * Set the polyphony limit, allocating or retiring voices as needed
+     * Voices removed while sounding are released first (see retireVoice).
+     * @param {number} size - Number of voices (1-32)
+     */
+    setSize(size) {
+        const target = Math.max(this.minSize, Math.min(this.maxSize, Math.round(size) || this.minSize));
+        
+        while (this.voices.length < target) {
+            this.voices.push(this.createVoice(this.voices.length));
+        }
+        
+        while (this.voices.length > target) {
+            this.retireVoice(this.voices.pop());
+        }
+        
+        this.size = target;
+    }
+    
+    /**
+     * Set the policy used when every voice is busy
+     * @param {string} policy - 'oldest', 'quietest' or 'lowest-priority'
+     */
+    setStealPolicy(policy) {
+        if (this.stealPolicies.includes(policy)) {
+            this.stealPolicy = policy;
+        }
+    }
+    
+    /**
+     * Check whether a voice is still sounding
+     * @param {Object} voice - Voice
+     * @param {number} time - Audio context time
+     * @returns {boolean} True if busy
+     */
+    isActive(voice, time = Tone.now()) {
+        return voice.id !== null && voice.endTime > time;
+    }
+    
+    /**
+     * Acquire a voice for a new note, stealing one if the pool is full
+     * A note id that is already sounding reuses its own voice.
+     * @param {string} id - Note identifier
+     * @param {Object} options - {velocity, priority, time}
+     *   time is the note's start time (defaults to now); pass it when scheduling ahead
+     * @returns {Object} Voice
+     */
+    acquire(id, options = {}) {
+        const now = options.time !== undefined ? options.time : Tone.now();
+        
+        const voice = this.get(id)
+            || this.voices.find(candidate => !this.isActive(candidate, now))
+            || this.selectVictim(now);
+        
+        if (voice.id !== null && voice.id !== id && this.isActive(voice, now)) {
+            console.log(`Voice ${voice.index} stolen (${this.stealPolicy}) from ${voice.id}`);
+        }
+        
+        voice.id = id;
+        voice.startTime = now;
+        voice.endTime = Infinity; // Until the caller schedules the end
+        voice.velocity = options.velocity !== undefined ? options.velocity : 1;
+        voice.priority = options.priority || 0;
+        
+        return voice;
+    }
+    
+    /**
+     * Pick the busy voice to steal according to the steal policy
+     * @param {number} now - Audio context time
+     * @returns {Object} Voice to steal
+     */
+    selectVictim(now) {
+        const compareAge = (a, b) => a.startTime - b.startTime;
+        const comparators = {
+            'oldest': compareAge,
+            'quietest': (a, b) => (a.velocity - b.velocity) || compareAge(a, b),
+            'lowest-priority': (a, b) => (a.priority - b.priority) || compareAge(a, b)
+        };
+        
+        return this.voices.slice().sort(comparators[this.stealPolicy])[0];
+    }
+    
+    /**
+     * Route a voice through the stereo or 3D panner
+     * @param {Object} voice - Voice
+     * @param {Object} placement - {type: 'stereo', pan} or {type: 'hrtf', x, y, z}
+     */
+    place(voice, placement) {
+        if (placement.type === 'hrtf') {
+            if (!voice.panner3d) {
+                voice.panner3d = new Tone.Panner3D({
+                    context: this.output.context,
+                    panningModel: 'HRTF'
+                }).connect(this.output);
+            }
+            voice.panner3d.positionX.value = placement.x;
+            voice.panner3d.positionY.value = placement.y;
+            voice.panner3d.positionZ.value = placement.z;
+        } else {
+            voice.panner.pan.value = placement.pan;
+        }
+        
+        const route = placement.type === 'hrtf' ? 'hrtf' : 'stereo';
+        if (route !== voice.route) {
+            voice.filter.disconnect();
+            voice.filter.connect(route === 'hrtf' ? voice.panner3d : voice.panner);
+            if (voice.sendGain) {
+                voice.filter.connect(voice.sendGain);
+            }
+            voice.route = route;
+        }
+    }
+    
+    /**
+     * Set a voice's filter cutoff and reverb send for its next note
+     * @param {Object} voice - Voice
+     * @param {Object} tone - {filterCutoff (Hz, null = open), reverbSend (0-1)}
+     */
+    setTone(voice, tone) {
+        voice.filter.frequency.value = tone.filterCutoff || VoicePool.openCutoff;
+        if (voice.sendGain) {
+            voice.sendGain.gain.value = Math.max(0, Math.min(1, tone.reverbSend || 0));
+        }
+    }
+    
+    /**
+     * Schedule when a voice becomes free again
+     * @param {Object} voice - Voice
+     * @param {number} endTime - Audio context time when the note has fully decayed
+     */
+    scheduleEnd(voice, endTime) {
+        voice.endTime = endTime;
+    }
+    
+    /**
+     * Find the voice currently playing a note id
+     * @param {string} id - Note identifier
+     * @returns {Object|undefined} Voice
+     */
+    get(id) {
+        return this.voices.find(voice => voice.id === id);
+    }
+    
+    /**
+     * Release a held note
+     * @param {string} id - Note identifier
+     * @param {number} time - Audio context time to release at (optional, defaults to now)
+     */
+    release(id, time = null) {
+        const voice = this.get(id);
+        if (!voice) return;
+        
+        const now = time === null ? Tone.now() : time;
+        voice.synth.triggerRelease(now);
+        voice.endTime = Math.min(voice.endTime, now + voice.synth.envelope.release);
+    }
+    
+    /**
+     * Release every sounding voice
+     */
+    releaseAll() {
+        this.voices.forEach(voice => {
+            if (this.isActive(voice)) {
+                this.release(voice.id);
+            }
+        });
+    }
+    
+    /**
+     * Get the number of voices currently sounding
+     * @returns {number} Active voice count
+     */
+    getActiveCount() {
+        const now = Tone.now();
+        return this.voices.filter(voice => this.isActive(voice, now)).length;
+    }
+    
+    /**
+     * Dispose a voice removed from the pool once it has gone quiet
+     * A sounding voice is released and disposed after its release tail, so
+     * shrinking the pool mid-note does not click.
+     * @param {Object} voice - Voice no longer in the pool
+     */
+    retireVoice(voice) {
+        const now = Tone.now();
+        if (!this.isActive(voice, now)) {
+            this.disposeVoice(voice);
+            return;
+        }
+        
+        voice.synth.triggerRelease(now);
+        const end = Math.min(voice.endTime, now + voice.synth.envelope.release);
+        setTimeout(() => this.disposeVoice(voice), (end - now) * 1000 + VoicePool.retireMargin);
+    }
+    
+    /**
+     * Dispose a voice's audio nodes
+     * @param {Object} voice - Voice
+     */
+    disposeVoice(voice) {
+        voice.synth.dispose();
+        voice.filter.dispose();
+        voice.panner.dispose();
+        if (voice.sendGain) {
+            voice.sendGain.dispose();
+        }
+        if (voice.panner3d) {
+            voice.panner3d.dispose();
+        }
+    }
+    
+    /**
+     * Dispose every voice
+     */
+    dispose() {
+        this.voices.forEach(voice => this.disposeVoice(voice));
+        this.voices = [];
+    }
+}
+
+// Cutoff that leaves the voice filter effectively open
+VoicePool.openCutoff = 20000;
+
+// Extra wait (ms) after a retired voice's release before it is disposed
+VoicePool.retireMargin = 50;
+
+// Export for use in other modules
+window.VoicePool = VoicePool;
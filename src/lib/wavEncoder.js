@@ -0,0 +1,87 @@
+/**
+ * WAV Encoder - Encodes rendered audio buffers as PCM WAV files
+ * Supports 16-bit and 24-bit integer samples
+ */
+
+class WavEncoder {
+    /**
+     * Encode an audio buffer as a WAV file
+     * @param {AudioBuffer|Tone.ToneAudioBuffer} buffer - Audio to encode
+     * @param {Object} options - {bitDepth: 16 or 24}
+     * @returns {ArrayBuffer} WAV file contents
+     */
+    static encode(buffer, options = {}) {
+        const audioBuffer = typeof buffer.get === 'function' ? buffer.get() : buffer;
+        const bitDepth = options.bitDepth === 24 ? 24 : 16;
+        const bytesPerSample = bitDepth / 8;
+        
+        const channelCount = audioBuffer.numberOfChannels;
+        const length = audioBuffer.length;
+        const sampleRate = audioBuffer.sampleRate;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = length * blockAlign;
+        
+        const output = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(output);
+        
+        // RIFF header
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+        
+        // fmt chunk (PCM)
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        
+        // data chunk, channels interleaved
+        WavEncoder.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+        
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.round(sample * maxValue);
+                
+                if (bitDepth === 24) {
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                } else {
+                    view.setInt16(offset, value, true);
+                }
+                offset += bytesPerSample;
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Write an ASCII string into a DataView
+     * @param {DataView} view - Target view
+     * @param {number} offset - Byte offset
+     * @param {string} text - ASCII text
+     */
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
+
+// Export for use in other modules
+window.WavEncoder = WavEncoder;
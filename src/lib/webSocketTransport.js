@@ -0,0 +1,117 @@
+/**
+ * WebSocket Transport - Sends event bus events to a WebSocket server
+ * Events go out as JSON text frames or as binary OSC messages (OSC over WebSocket)
+ */
+
+class WebSocketTransport {
+    /**
+     * @param {string} url - Server URL (e.g. 'ws://localhost:8080')
+     * @param {Object} options - {format: 'json' or 'osc', reconnectDelay (ms)}
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.formats = ['json', 'osc'];
+        this.format = this.formats.includes(options.format) ? options.format : 'json';
+        this.reconnectDelay = options.reconnectDelay || 2000;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.shouldReconnect = false;
+        this.onStatusChange = null; // (status) => {} with 'connecting', 'open' or 'closed'
+    }
+    
+    /**
+     * Open the connection (reconnects automatically until close() is called)
+     */
+    connect() {
+        this.shouldReconnect = true;
+        clearTimeout(this.reconnectTimer);
+        
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Invalid WebSocket URL:', error);
+            this.shouldReconnect = false;
+            this.setStatus('closed');
+            return;
+        }
+        
+        this.socket.binaryType = 'arraybuffer';
+        this.setStatus('connecting');
+        
+        this.socket.onopen = () => {
+            console.log(`Event bridge connected to ${this.url}`);
+            this.setStatus('open');
+        };
+        
+        this.socket.onclose = () => {
+            this.setStatus('closed');
+            if (this.shouldReconnect) {
+                this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            }
+        };
+        
+        this.socket.onerror = () => {
+            console.warn(`Event bridge connection to ${this.url} failed`);
+        };
+    }
+    
+    /**
+     * Check whether events can be sent
+     * @returns {boolean} True if the socket is open
+     */
+    isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+    
+    /**
+     * Send an event (dropped while disconnected, so stale events never pile up)
+     * @param {Object} event - Event bus event
+     */
+    send(event) {
+        if (!this.isOpen()) return;
+        
+        if (this.format === 'osc') {
+            this.socket.send(OscEncoder.encodeEvent(event));
+        } else {
+            this.socket.send(JSON.stringify(event));
+        }
+    }
+    
+    /**
+     * Set the wire format
+     * @param {string} format - 'json' or 'osc'
+     */
+    setFormat(format) {
+        if (this.formats.includes(format)) {
+            this.format = format;
+        }
+    }
+    
+    /**
+     * Report a status change
+     * @param {string} status - 'connecting', 'open' or 'closed'
+     */
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+    
+    /**
+     * Close the connection and stop reconnecting
+     */
+    close() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setStatus('closed');
+    }
+}
+
+// Export for use in other modules
+window.WebSocketTransport = WebSocketTransport;
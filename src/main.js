@@ -10,6 +10,19 @@ class ImageSoundSynesthesia {
         this.audioEngine = null;
         this.hsvMapper = null;
         this.interactiveCanvas = null;
+        this.offlineRenderer = null;
+        this.performanceRecorder = null;
+        this.midiExporter = null;
+        this.midiOutput = null;
+        this.midiInput = null;
+        this.eventBus = null;
+        this.bridgeTransport = null;
+        this.videoSource = null;
+        this.currentSource = null; // Blob or URL of the loaded still image (for the playlist)
+        this.playlist = null;
+        this.playlistPanel = null;
+        this.mappingMatrix = null;
+        this.mappingEditor = null;
         
         // UI elements
         this.elements = {};
@@ -19,6 +32,47 @@ class ImageSoundSynesthesia {
         this.isPlaying = false;
         this.currentMode = 'single';
         this.currentPixelSize = 50;
+        this.processingSize = 600;
+        this.samplingStrategy = 'center';
+        this.colorSpace = 'hsv';
+        this.mappingPreset = 'Classic'; // Last loaded or saved mapping preset (null once deleted)
+        this.gridMode = 'size';
+        this.gridColumns = 32;
+        this.gridRows = 12;
+        this.gridLockAspect = false;
+        this.currentScale = 'pentatonic';
+        this.rootNote = 'A3';
+        this.octaveRange = 3;
+        this.referencePitch = 440;
+        this.panMode = 'position';
+        this.polyphony = 8;
+        this.stealPolicy = 'oldest';
+        this.masterVolume = 0.3;
+        this.reverbWet = 0.3;
+        this.reverbDecay = 2;
+        this.sessionSaveDisabled = false; // Set while resetting, so the page does not save on its way out
+        this.voiceCountTimer = null;
+        this.tempo = 90;
+        this.sweepPlayMode = 'loop';
+        this.gridSwing = 0;
+        this.gridStepLength = '16n';
+        this.gridThreshold = 50;
+        this.exportSampleRate = 44100;
+        this.exportBitDepth = 16;
+        this.recordFormat = 'webm';
+        this.midiTrackMode = 'single';
+        this.midiOutputId = 'off';
+        this.midiChannel = 1;
+        this.midiPitchMode = 'quantized';
+        this.midiInputId = 'off';
+        this.heldMidiNotes = new Set(); // Notes sounding from the MIDI input, released if their note-offs can no longer arrive
+        this.bridgeUrl = 'ws://localhost:8080';
+        this.bridgeFormat = 'json';
+        this.videoFrameRate = 10;
+        this.playlistSweeps = 0;
+        this.playlistCrossfade = 2;
+        this.playlistLoadToken = 0; // Increases with every playlist advance, so stale loads can be dropped
+        this.recordTimer = null;
         
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -47,6 +101,12 @@ class ImageSoundSynesthesia {
             // Setup UI
             this.setupUI();
             
+            // Settings from the last visit
+            this.restoreSession();
+            
+            // A shared link overrides them
+            await this.restoreFromLink(window.location.hash);
+            
             this.isInitialized = true;
             console.log('Application initialized successfully');
             
@@ -62,9 +122,77 @@ class ImageSoundSynesthesia {
     getUIElements() {
         this.elements = {
             imageUpload: document.getElementById('image-upload'),
+            imageUrlInput: document.getElementById('image-url'),
+            imageUrlButton: document.getElementById('image-url-button'),
+            canvasContainer: document.getElementById('p5-canvas'),
+            videoUpload: document.getElementById('video-upload'),
+            cameraButton: document.getElementById('camera-button'),
+            videoFrameRateInput: document.getElementById('video-frame-rate'),
+            playlistUpload: document.getElementById('playlist-upload'),
+            playlistAddButton: document.getElementById('playlist-add-button'),
+            playlistNextButton: document.getElementById('playlist-next-button'),
+            playlistSweepsInput: document.getElementById('playlist-sweeps'),
+            playlistCrossfadeInput: document.getElementById('playlist-crossfade'),
             pixelSizeSlider: document.getElementById('pixel-size'),
             pixelSizeValue: document.getElementById('pixel-size-value'),
+            processingSizeSelect: document.getElementById('processing-size'),
+            samplingStrategySelect: document.getElementById('sampling-strategy'),
+            colorSpaceSelect: document.getElementById('color-space'),
+            mappingPresetSelect: document.getElementById('mapping-preset'),
+            mappingPresetDeleteButton: document.getElementById('mapping-preset-delete'),
+            mappingAddButton: document.getElementById('mapping-add-button'),
+            mappingPresetNameInput: document.getElementById('mapping-preset-name'),
+            mappingPresetSaveButton: document.getElementById('mapping-preset-save'),
+            gridModeSelect: document.getElementById('grid-mode'),
+            gridColumnsInput: document.getElementById('grid-columns'),
+            gridRowsInput: document.getElementById('grid-rows'),
+            gridLockAspectSelect: document.getElementById('grid-lock-aspect'),
             modeSelect: document.getElementById('mode-select'),
+            tempoSlider: document.getElementById('tempo'),
+            tempoValue: document.getElementById('tempo-value'),
+            sweepPlayModeSelect: document.getElementById('sweep-play-mode'),
+            gridSwingSlider: document.getElementById('grid-swing'),
+            gridSwingValue: document.getElementById('grid-swing-value'),
+            gridStepLengthSelect: document.getElementById('grid-step-length'),
+            gridThresholdSlider: document.getElementById('grid-threshold'),
+            gridThresholdValue: document.getElementById('grid-threshold-value'),
+            scaleSelect: document.getElementById('scale-select'),
+            scaleImport: document.getElementById('scale-import'),
+            referencePitchInput: document.getElementById('reference-pitch'),
+            rootNoteSelect: document.getElementById('root-note'),
+            octaveRangeSlider: document.getElementById('octave-range'),
+            octaveRangeValue: document.getElementById('octave-range-value'),
+            panModeSelect: document.getElementById('pan-mode'),
+            polyphonySlider: document.getElementById('polyphony'),
+            polyphonyValue: document.getElementById('polyphony-value'),
+            stealPolicySelect: document.getElementById('steal-policy'),
+            masterVolumeSlider: document.getElementById('master-volume'),
+            masterVolumeValue: document.getElementById('master-volume-value'),
+            reverbWetSlider: document.getElementById('reverb-wet'),
+            reverbWetValue: document.getElementById('reverb-wet-value'),
+            reverbDecayInput: document.getElementById('reverb-decay'),
+            sessionExportButton: document.getElementById('session-export-button'),
+            sessionImport: document.getElementById('session-import'),
+            sessionResetButton: document.getElementById('session-reset-button'),
+            sessionLinkButton: document.getElementById('session-link-button'),
+            voiceCount: document.getElementById('voice-count'),
+            exportDurationInput: document.getElementById('export-duration'),
+            exportSampleRateSelect: document.getElementById('export-sample-rate'),
+            exportBitDepthSelect: document.getElementById('export-bit-depth'),
+            exportButton: document.getElementById('export-button'),
+            midiTrackModeSelect: document.getElementById('midi-track-mode'),
+            midiExportButton: document.getElementById('midi-export-button'),
+            midiOutputSelect: document.getElementById('midi-output'),
+            midiChannelInput: document.getElementById('midi-channel'),
+            midiPitchModeSelect: document.getElementById('midi-pitch-mode'),
+            midiInputSelect: document.getElementById('midi-input'),
+            recordFormatSelect: document.getElementById('record-format'),
+            recordButton: document.getElementById('record-button'),
+            recordTime: document.getElementById('record-time'),
+            bridgeUrlInput: document.getElementById('bridge-url'),
+            bridgeFormatSelect: document.getElementById('bridge-format'),
+            bridgeButton: document.getElementById('bridge-button'),
+            bridgeStatus: document.getElementById('bridge-status'),
             playButton: document.getElementById('play-button'),
             canvasOverlay: document.getElementById('canvas-overlay')
         };
@@ -88,8 +216,18 @@ class ImageSoundSynesthesia {
         this.hsvMapper = new HsvMapper();
         console.log('HSV Mapper initialized');
         
+        // Mapping matrix (user routes on top of the built-in colour mapping)
+        this.mappingMatrix = new MappingMatrix();
+        this.hsvMapper.setMappingMatrix(this.mappingMatrix);
+        this.mappingEditor = new MappingEditor('mapping-routes', this.mappingMatrix);
+        this.mappingMatrix.onChange = () => {
+            this.mappingEditor.render();
+            this.updateMappingPresetControls();
+        };
+        console.log('Mapping Matrix initialized');
+        
         // Initialize audio engine (but don't start it yet)
-        this.audioEngine = new AudioEngine();
+        this.audioEngine = new AudioEngine(this.hsvMapper);
         console.log('Audio Engine created, will initialize on first user interaction');
         
         // Initialize image processor
@@ -112,6 +250,68 @@ class ImageSoundSynesthesia {
             this.hsvMapper
         );
         console.log('Interactive Canvas initialized');
+        
+        // Offline rendering for audio export
+        this.offlineRenderer = new OfflineRenderer(this.audioEngine, this.imageProcessor);
+        console.log('Offline Renderer initialized');
+        
+        // MIDI file export
+        this.midiExporter = new MidiExporter(this.hsvMapper, this.imageProcessor);
+        console.log('MIDI Exporter initialized');
+        
+        // Web MIDI output (mirrors notes to external synths)
+        this.midiOutput = new MidiOutput(this.hsvMapper);
+        this.midiOutput.onDevicesChange = () => this.setupMidiControls();
+        this.audioEngine.setMidiOutput(this.midiOutput);
+        console.log('MIDI Output created');
+        
+        // Web MIDI input (play the image from a controller)
+        this.midiInput = new MidiInput();
+        this.midiInput.onDevicesChange = () => this.setupMidiControls();
+        this.midiInput.onNoteOn = (note, velocity) => this.handleMidiNoteOn(note, velocity);
+        this.midiInput.onNoteOff = (note) => this.handleMidiNoteOff(note);
+        console.log('MIDI Input created');
+        
+        // Event bus for external tools (pixel hover, notes, scan columns)
+        this.eventBus = new EventBus();
+        this.audioEngine.setEventBus(this.eventBus);
+        this.interactiveCanvas.setEventBus(this.eventBus);
+        console.log('Event Bus initialized');
+        
+        // Live video source (camera or video file frames)
+        this.videoSource = new VideoSource(this.imageProcessor, { frameRate: this.videoFrameRate });
+        this.videoSource.onFrame = () => this.interactiveCanvas.handleFrameUpdate();
+        this.videoSource.onEnd = () => this.updateCameraButton();
+        console.log('Video Source initialized');
+        
+        // Image playlist (advances after N sweeps or on Ctrl/Cmd + →)
+        this.playlist = new Playlist();
+        this.playlistPanel = new PlaylistPanel('playlist-items', this.playlist, {
+            getScales: () => this.hsvMapper.getAvailableScales(),
+            modes: Array.from(this.elements.modeSelect.options).map(option => ({
+                value: option.value,
+                label: option.textContent
+            }))
+        });
+        this.playlist.onChange = () => this.playlistPanel.render();
+        this.playlistPanel.onSelect = (index) => this.playPlaylistItem(index);
+        this.interactiveCanvas.onPass = () => {
+            if (this.playlist.countPass()) {
+                this.advancePlaylist();
+            }
+        };
+        console.log('Playlist initialized');
+        
+        // Live recording of the master output
+        this.performanceRecorder = new PerformanceRecorder(this.audioEngine);
+        console.log('Performance Recorder initialized');
+        
+        // Stop playback when a one-shot sweep reaches the last column
+        this.interactiveCanvas.onSweepEnd = () => {
+            if (this.isPlaying) {
+                this.togglePlayback();
+            }
+        };
     }
     
     /**
@@ -123,16 +323,401 @@ class ImageSoundSynesthesia {
             this.handleImageUpload(e);
         });
         
+        // Image URL (optional elements)
+        if (this.elements.imageUrlButton) {
+            this.elements.imageUrlButton.addEventListener('click', () => {
+                this.handleImageUrlLoad();
+            });
+        }
+        
+        if (this.elements.imageUrlInput) {
+            this.elements.imageUrlInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.handleImageUrlLoad();
+            });
+        }
+        
+        // Drag-and-drop onto the canvas (the overlay covers it until an image is loaded)
+        [this.elements.canvasContainer, this.elements.canvasOverlay].forEach(target => {
+            if (!target) return;
+            
+            target.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                target.classList.add('drag-over');
+            });
+            target.addEventListener('dragleave', () => {
+                target.classList.remove('drag-over');
+            });
+            target.addEventListener('drop', (e) => {
+                target.classList.remove('drag-over');
+                this.handleImageDrop(e);
+            });
+        });
+        
+        // Paste from the clipboard
+        document.addEventListener('paste', (e) => {
+            this.handleImagePaste(e);
+        });
+        
+        // Playlist controls (optional elements)
+        if (this.elements.playlistUpload) {
+            this.elements.playlistUpload.addEventListener('change', (e) => {
+                this.handlePlaylistUpload(e);
+            });
+        }
+        
+        if (this.elements.playlistAddButton) {
+            this.elements.playlistAddButton.addEventListener('click', () => {
+                this.addCurrentToPlaylist();
+            });
+        }
+        
+        if (this.elements.playlistNextButton) {
+            this.elements.playlistNextButton.addEventListener('click', () => {
+                this.advancePlaylist();
+            });
+        }
+        
+        if (this.elements.playlistSweepsInput) {
+            this.elements.playlistSweepsInput.addEventListener('change', (e) => {
+                this.handlePlaylistSweepsChange(e);
+            });
+        }
+        
+        if (this.elements.playlistCrossfadeInput) {
+            this.elements.playlistCrossfadeInput.addEventListener('change', (e) => {
+                this.handlePlaylistCrossfadeChange(e);
+            });
+        }
+        
+        // Live video source (optional elements)
+        if (this.elements.videoUpload) {
+            this.elements.videoUpload.addEventListener('change', (e) => {
+                this.handleVideoUpload(e);
+            });
+        }
+        
+        if (this.elements.cameraButton) {
+            this.elements.cameraButton.addEventListener('click', () => {
+                this.toggleCamera();
+            });
+        }
+        
+        if (this.elements.videoFrameRateInput) {
+            this.elements.videoFrameRateInput.addEventListener('change', (e) => {
+                this.handleVideoFrameRateChange(e);
+            });
+        }
+        
         // Pixel size slider
         this.elements.pixelSizeSlider.addEventListener('input', (e) => {
             this.handlePixelSizeChange(e);
         });
         
+        // Processing resolution (optional element)
+        if (this.elements.processingSizeSelect) {
+            this.elements.processingSizeSelect.addEventListener('change', (e) => {
+                this.handleProcessingSizeChange(e);
+            });
+        }
+        
+        // Cell colour sampling (optional element)
+        if (this.elements.samplingStrategySelect) {
+            this.elements.samplingStrategySelect.addEventListener('change', (e) => {
+                this.handleSamplingStrategyChange(e);
+            });
+        }
+        
+        if (this.elements.colorSpaceSelect) {
+            this.elements.colorSpaceSelect.addEventListener('change', (e) => {
+                this.handleColorSpaceChange(e);
+            });
+        }
+        
+        // Mapping matrix controls (optional elements)
+        if (this.elements.mappingPresetSelect) {
+            this.elements.mappingPresetSelect.addEventListener('change', (e) => {
+                this.handleMappingPresetChange(e);
+            });
+        }
+        
+        if (this.elements.mappingPresetDeleteButton) {
+            this.elements.mappingPresetDeleteButton.addEventListener('click', () => {
+                this.deleteMappingPreset();
+            });
+        }
+        
+        if (this.elements.mappingAddButton) {
+            this.elements.mappingAddButton.addEventListener('click', () => {
+                this.mappingMatrix.addRoute({ source: 'h', target: 'pitch' });
+            });
+        }
+        
+        if (this.elements.mappingPresetSaveButton) {
+            this.elements.mappingPresetSaveButton.addEventListener('click', () => {
+                this.saveMappingPreset();
+            });
+        }
+        
+        // Grid spec: pixel size or columns × rows (optional elements)
+        if (this.elements.gridModeSelect) {
+            this.elements.gridModeSelect.addEventListener('change', (e) => {
+                this.handleGridModeChange(e);
+            });
+        }
+        
+        if (this.elements.gridColumnsInput) {
+            this.elements.gridColumnsInput.addEventListener('change', (e) => {
+                this.handleGridColumnsChange(e);
+            });
+        }
+        
+        if (this.elements.gridRowsInput) {
+            this.elements.gridRowsInput.addEventListener('change', (e) => {
+                this.handleGridRowsChange(e);
+            });
+        }
+        
+        if (this.elements.gridLockAspectSelect) {
+            this.elements.gridLockAspectSelect.addEventListener('change', (e) => {
+                this.handleGridLockAspectChange(e);
+            });
+        }
+        
         // Mode selection
         this.elements.modeSelect.addEventListener('change', (e) => {
             this.handleModeChange(e);
         });
         
+        // Sweep controls (optional elements)
+        if (this.elements.tempoSlider) {
+            this.elements.tempoSlider.addEventListener('input', (e) => {
+                this.handleTempoChange(e);
+            });
+        }
+        
+        if (this.elements.sweepPlayModeSelect) {
+            this.elements.sweepPlayModeSelect.addEventListener('change', (e) => {
+                this.handleSweepPlayModeChange(e);
+            });
+        }
+        
+        // Grid sequencer controls (optional elements)
+        if (this.elements.gridSwingSlider) {
+            this.elements.gridSwingSlider.addEventListener('input', (e) => {
+                this.handleGridSwingChange(e);
+            });
+        }
+        
+        if (this.elements.gridStepLengthSelect) {
+            this.elements.gridStepLengthSelect.addEventListener('change', (e) => {
+                this.handleGridStepLengthChange(e);
+            });
+        }
+        
+        if (this.elements.gridThresholdSlider) {
+            this.elements.gridThresholdSlider.addEventListener('input', (e) => {
+                this.handleGridThresholdChange(e);
+            });
+        }
+        
+        // Musical controls (optional elements)
+        if (this.elements.scaleSelect) {
+            this.elements.scaleSelect.addEventListener('change', (e) => {
+                this.handleScaleChange(e);
+            });
+        }
+        
+        if (this.elements.rootNoteSelect) {
+            this.elements.rootNoteSelect.addEventListener('change', (e) => {
+                this.handleRootNoteChange(e);
+            });
+        }
+        
+        if (this.elements.octaveRangeSlider) {
+            this.elements.octaveRangeSlider.addEventListener('input', (e) => {
+                this.handleOctaveRangeChange(e);
+            });
+        }
+        
+        if (this.elements.scaleImport) {
+            this.elements.scaleImport.addEventListener('change', (e) => {
+                this.handleScaleImport(e);
+            });
+        }
+        
+        if (this.elements.referencePitchInput) {
+            this.elements.referencePitchInput.addEventListener('change', (e) => {
+                this.handleReferencePitchChange(e);
+            });
+        }
+        
+        if (this.elements.panModeSelect) {
+            this.elements.panModeSelect.addEventListener('change', (e) => {
+                this.handlePanModeChange(e);
+            });
+        }
+        
+        if (this.elements.polyphonySlider) {
+            this.elements.polyphonySlider.addEventListener('input', (e) => {
+                this.handlePolyphonyChange(e);
+            });
+        }
+        
+        if (this.elements.stealPolicySelect) {
+            this.elements.stealPolicySelect.addEventListener('change', (e) => {
+                this.handleStealPolicyChange(e);
+            });
+        }
+        
+        // Effects controls (optional elements)
+        if (this.elements.masterVolumeSlider) {
+            this.elements.masterVolumeSlider.addEventListener('input', (e) => {
+                this.handleMasterVolumeChange(e);
+            });
+        }
+        
+        if (this.elements.reverbWetSlider) {
+            this.elements.reverbWetSlider.addEventListener('input', (e) => {
+                this.handleReverbWetChange(e);
+            });
+        }
+        
+        if (this.elements.reverbDecayInput) {
+            this.elements.reverbDecayInput.addEventListener('change', (e) => {
+                this.handleReverbDecayChange(e);
+            });
+        }
+        
+        // Session settings controls (optional elements)
+        if (this.elements.sessionExportButton) {
+            this.elements.sessionExportButton.addEventListener('click', () => {
+                this.exportSession();
+            });
+        }
+        
+        if (this.elements.sessionImport) {
+            this.elements.sessionImport.addEventListener('change', (e) => {
+                this.handleSessionImport(e);
+            });
+        }
+        
+        if (this.elements.sessionResetButton) {
+            this.elements.sessionResetButton.addEventListener('click', () => {
+                this.resetSession();
+            });
+        }
+        
+        if (this.elements.sessionLinkButton) {
+            this.elements.sessionLinkButton.addEventListener('click', () => {
+                this.copyLink();
+            });
+        }
+        
+        // A link pasted into the address bar of an open page only changes the hash
+        window.addEventListener('hashchange', () => {
+            this.restoreFromLink(window.location.hash);
+        });
+        
+        // Audio export controls (optional elements)
+        if (this.elements.exportSampleRateSelect) {
+            this.elements.exportSampleRateSelect.addEventListener('change', (e) => {
+                this.handleExportSampleRateChange(e);
+            });
+        }
+        
+        if (this.elements.exportBitDepthSelect) {
+            this.elements.exportBitDepthSelect.addEventListener('change', (e) => {
+                this.handleExportBitDepthChange(e);
+            });
+        }
+        
+        if (this.elements.exportButton) {
+            this.elements.exportButton.addEventListener('click', () => {
+                this.handleExportAudio();
+            });
+        }
+        
+        if (this.elements.midiTrackModeSelect) {
+            this.elements.midiTrackModeSelect.addEventListener('change', (e) => {
+                this.handleMidiTrackModeChange(e);
+            });
+        }
+        
+        if (this.elements.midiExportButton) {
+            this.elements.midiExportButton.addEventListener('click', () => {
+                this.handleExportMidi();
+            });
+        }
+        
+        // MIDI output controls (optional elements)
+        if (this.elements.midiOutputSelect) {
+            // Web MIDI may prompt for permission, so only ask once the user reaches for a device
+            ['pointerdown', 'focus'].forEach(type => {
+                this.elements.midiOutputSelect.addEventListener(type, () => {
+                    this.midiOutput.init();
+                });
+            });
+            this.elements.midiOutputSelect.addEventListener('change', (e) => {
+                this.handleMidiOutputChange(e);
+            });
+        }
+        
+        if (this.elements.midiChannelInput) {
+            this.elements.midiChannelInput.addEventListener('change', (e) => {
+                this.handleMidiChannelChange(e);
+            });
+        }
+        
+        if (this.elements.midiPitchModeSelect) {
+            this.elements.midiPitchModeSelect.addEventListener('change', (e) => {
+                this.handleMidiPitchModeChange(e);
+            });
+        }
+        
+        if (this.elements.midiInputSelect) {
+            ['pointerdown', 'focus'].forEach(type => {
+                this.elements.midiInputSelect.addEventListener(type, () => {
+                    this.midiInput.init();
+                });
+            });
+            this.elements.midiInputSelect.addEventListener('change', (e) => {
+                this.handleMidiInputChange(e);
+            });
+        }
+        
+        // Event bridge controls (optional elements)
+        if (this.elements.bridgeUrlInput) {
+            this.elements.bridgeUrlInput.addEventListener('change', (e) => {
+                this.handleBridgeUrlChange(e);
+            });
+        }
+        
+        if (this.elements.bridgeFormatSelect) {
+            this.elements.bridgeFormatSelect.addEventListener('change', (e) => {
+                this.handleBridgeFormatChange(e);
+            });
+        }
+        
+        if (this.elements.bridgeButton) {
+            this.elements.bridgeButton.addEventListener('click', () => {
+                this.toggleBridge();
+            });
+        }
+        
+        // Recording controls (optional elements)
+        if (this.elements.recordFormatSelect) {
+            this.elements.recordFormatSelect.addEventListener('change', (e) => {
+                this.handleRecordFormatChange(e);
+            });
+        }
+        
+        if (this.elements.recordButton) {
+            this.elements.recordButton.addEventListener('click', () => {
+                this.toggleRecording();
+            });
+        }
+        
         // Play button
         this.elements.playButton.addEventListener('click', () => {
             this.togglePlayback();
@@ -147,18 +732,119 @@ class ImageSoundSynesthesia {
         document.addEventListener('keydown', (e) => {
             this.handleKeyboard(e);
         });
+        
+        // Remember the settings when the page is closed or hidden (mobile browsers may not fire pagehide)
+        window.addEventListener('pagehide', () => {
+            this.saveSession();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveSession();
+            }
+        });
     }
     
     /**
      * Setup initial UI state
      */
     setupUI() {
-        // Set initial pixel size
+        // Set initial pixel size and grid spec
         this.updatePixelSizeDisplay(this.currentPixelSize);
+        this.updateGridControls();
         
         // Set initial mode
         this.elements.modeSelect.value = this.currentMode;
         
+        // Set initial sweep and grid settings
+        this.handleTempoChange({ target: { value: this.tempo } });
+        
+        if (this.elements.sweepPlayModeSelect) {
+            this.elements.sweepPlayModeSelect.value = this.sweepPlayMode;
+        }
+        
+        this.handleGridSwingChange({ target: { value: this.gridSwing * 100 } });
+        this.handleGridStepLengthChange({ target: { value: this.gridStepLength } });
+        this.handleGridThresholdChange({ target: { value: this.gridThreshold } });
+        
+        // Populate musical controls
+        this.setupMusicalControls();
+        this.updateMappingPresetControls();
+        
+        // Set initial spatialization
+        if (this.elements.panModeSelect) {
+            this.elements.panModeSelect.value = this.panMode;
+        }
+        
+        // Set initial voice settings
+        if (this.elements.polyphonySlider) {
+            this.elements.polyphonySlider.value = this.polyphony;
+        }
+        this.updatePolyphonyDisplay(this.polyphony);
+        
+        if (this.elements.stealPolicySelect) {
+            this.elements.stealPolicySelect.value = this.stealPolicy;
+        }
+        
+        // Set initial effects
+        this.handleMasterVolumeChange({ target: { value: this.masterVolume * 100 } });
+        this.handleReverbWetChange({ target: { value: this.reverbWet * 100 } });
+        this.handleReverbDecayChange({ target: { value: this.reverbDecay } });
+        
+        // Set initial export settings
+        if (this.elements.exportSampleRateSelect) {
+            this.elements.exportSampleRateSelect.value = this.exportSampleRate;
+        }
+        
+        if (this.elements.exportBitDepthSelect) {
+            this.elements.exportBitDepthSelect.value = this.exportBitDepth;
+        }
+        
+        if (this.elements.midiTrackModeSelect) {
+            this.elements.midiTrackModeSelect.value = this.midiTrackMode;
+        }
+        
+        // Populate MIDI output controls
+        this.setupMidiControls();
+        
+        if (this.elements.midiChannelInput) {
+            this.elements.midiChannelInput.value = this.midiChannel;
+        }
+        
+        if (this.elements.midiPitchModeSelect) {
+            this.elements.midiPitchModeSelect.value = this.midiPitchMode;
+        }
+        
+        // Set initial recording settings
+        if (this.elements.recordFormatSelect) {
+            this.elements.recordFormatSelect.value = this.recordFormat;
+        }
+        this.updateRecordButton();
+        
+        // Set initial video source settings
+        if (this.elements.videoFrameRateInput) {
+            this.elements.videoFrameRateInput.value = this.videoFrameRate;
+        }
+        this.updateCameraButton();
+        
+        // Set initial playlist settings
+        if (this.elements.playlistSweepsInput) {
+            this.elements.playlistSweepsInput.value = this.playlistSweeps;
+        }
+        
+        if (this.elements.playlistCrossfadeInput) {
+            this.elements.playlistCrossfadeInput.value = this.playlistCrossfade;
+        }
+        
+        // Set initial event bridge settings
+        if (this.elements.bridgeUrlInput) {
+            this.elements.bridgeUrlInput.value = this.bridgeUrl;
+        }
+        
+        if (this.elements.bridgeFormatSelect) {
+            this.elements.bridgeFormatSelect.value = this.bridgeFormat;
+        }
+        this.updateBridgeStatus('closed');
+        
         // Update play button state
         this.updatePlayButton();
         
@@ -166,6 +852,92 @@ class ImageSoundSynesthesia {
         this.elements.canvasOverlay.classList.add('hidden');
     }
     
+    /**
+     * Populate scale, root note and octave range controls from the mapper
+     */
+    setupMusicalControls() {
+        const { scaleSelect, rootNoteSelect, octaveRangeSlider, referencePitchInput } = this.elements;
+        
+        if (scaleSelect) {
+            scaleSelect.innerHTML = '';
+            this.hsvMapper.getAvailableScales().forEach(scaleName => {
+                const option = document.createElement('option');
+                option.value = scaleName;
+                option.textContent = scaleName.charAt(0).toUpperCase() + scaleName.slice(1);
+                scaleSelect.appendChild(option);
+            });
+            scaleSelect.value = this.currentScale;
+        }
+        
+        if (rootNoteSelect) {
+            rootNoteSelect.innerHTML = '';
+            this.hsvMapper.getNoteNames(2, 5).forEach(noteName => {
+                const option = document.createElement('option');
+                option.value = noteName;
+                option.textContent = noteName;
+                rootNoteSelect.appendChild(option);
+            });
+            rootNoteSelect.value = this.rootNote;
+        }
+        
+        if (octaveRangeSlider) {
+            octaveRangeSlider.min = this.hsvMapper.minOctaveRange;
+            octaveRangeSlider.max = this.hsvMapper.maxOctaveRange;
+            octaveRangeSlider.value = this.octaveRange;
+        }
+        
+        if (referencePitchInput) {
+            referencePitchInput.value = this.referencePitch;
+        }
+        this.updateOctaveRangeDisplay(this.octaveRange);
+    }
+    
+    /**
+     * Populate the MIDI device selects (called again when devices change)
+     */
+    setupMidiControls() {
+        // A disconnected device falls back to off
+        if (this.midiOutput && !this.midiOutput.isEnabled()) {
+            this.midiOutputId = 'off';
+        }
+        if (this.midiInput && !this.midiInput.isEnabled()) {
+            this.midiInputId = 'off';
+            this.releaseMidiNotes();
+        }
+        
+        if (this.midiOutput) {
+            this.populateDeviceSelect(this.elements.midiOutputSelect, this.midiOutput.getOutputs(), this.midiOutputId);
+        }
+        if (this.midiInput) {
+            this.populateDeviceSelect(this.elements.midiInputSelect, this.midiInput.getInputs(), this.midiInputId);
+        }
+    }
+    
+    /**
+     * Fill a device select with an 'Off' option followed by the devices
+     * @param {HTMLSelectElement} select - Select element (optional)
+     * @param {Array} devices - Array of {id, name}
+     * @param {string} selectedId - Id to select
+     */
+    populateDeviceSelect(select, devices, selectedId) {
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const off = document.createElement('option');
+        off.value = 'off';
+        off.textContent = 'Off';
+        select.appendChild(off);
+        
+        devices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = device.name;
+            select.appendChild(option);
+        });
+        
+        select.value = selectedId;
+    }
+    
     /**
      * Handle image upload
      * @param {Event} event - File input change event
@@ -174,12 +946,59 @@ class ImageSoundSynesthesia {
         const file = event.target.files[0];
         if (!file) return;
         
+        await this.loadImageSource(file);
+    }
+    
+    /**
+     * Handle loading an image by URL
+     */
+    async handleImageUrlLoad() {
+        const input = this.elements.imageUrlInput;
+        if (!input || !input.value.trim()) return;
+        
+        await this.loadImageSource(input.value.trim());
+    }
+    
+    /**
+     * Handle an image dropped onto the canvas
+     * @param {DragEvent} event - Drop event
+     */
+    async handleImageDrop(event) {
+        event.preventDefault();
+        await this.loadImageSource(event.dataTransfer);
+    }
+    
+    /**
+     * Handle an image pasted from the clipboard (ignored while typing in a field)
+     * @param {ClipboardEvent} event - Paste event
+     */
+    async handleImagePaste(event) {
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+        if (!event.clipboardData || !this.imageProcessor.hasSource(event.clipboardData)) return;
+        
+        event.preventDefault();
+        await this.loadImageSource(event.clipboardData);
+    }
+    
+    /**
+     * Load an image from a file, URL or drop/paste data and show it
+     * @param {File|Blob|string|DataTransfer} source - Image source (see ImageProcessor.loadSource)
+     */
+    async loadImageSource(source) {
+        // Read drop/paste data right away; it is cleared once the event has been handled
+        const resolved = this.imageProcessor.resolveSource(source);
+        
         try {
-            console.log('Starting image upload:', file.name);
+            console.log('Starting image load:', resolved && (resolved.name || (typeof resolved === 'string' ? resolved : resolved.type)));
             this.showLoading('Processing image...');
             
-            // Load and process image
-            await this.imageProcessor.loadImage(file);
+            // A still image replaces any running video source
+            this.stopVideoSource();
+            
+            // Load and process image (a newer image dropped or pasted meanwhile wins)
+            if (!(await this.imageProcessor.loadSource(resolved))) return;
+            this.currentSource = resolved;
             
             console.log('Image processing completed');
             console.log('Has image:', this.imageProcessor.hasImage());
@@ -199,76 +1018,1362 @@ class ImageSoundSynesthesia {
                 }, 100);
             }
             
-            // Hide overlay
-            this.elements.canvasOverlay.classList.add('hidden');
-            
-            // Enable play button
-            this.elements.playButton.disabled = false;
+            this.handleSourceReady();
             
             console.log('Image loaded and displayed successfully');
             
         } catch (error) {
             console.error('Failed to load image:', error);
-            this.showError('Failed to load image. Please try a different file.');
+            this.showError(error.message);
         }
     }
     
     /**
-     * Handle pixel size change
-     * @param {Event} event - Slider input event
+     * Hide the overlay and enable controls that need an image
      */
-    handlePixelSizeChange(event) {
-        const newSize = parseInt(event.target.value);
-        this.currentPixelSize = newSize;
+    handleSourceReady() {
+        // Hide overlay
+        this.elements.canvasOverlay.classList.add('hidden');
         
-        console.log('Pixel size changed to:', newSize);
+        // Enable play button
+        this.elements.playButton.disabled = false;
         
-        // Update display first
-        this.updatePixelSizeDisplay(newSize);
+        if (this.elements.exportButton) {
+            this.elements.exportButton.disabled = false;
+        }
         
-        // Update image processor if image is loaded
-        if (this.imageProcessor && this.imageProcessor.hasImage()) {
-            this.imageProcessor.setPixelSize(newSize);
-            
-            // Update canvas
-            this.interactiveCanvas.updateImage();
-            
-            console.log('Image reprocessed with new pixel size');
+        if (this.elements.midiExportButton) {
+            this.elements.midiExportButton.disabled = false;
+        }
+        
+        // Rows derived from the aspect ratio depend on the image
+        if (this.gridLockAspect) {
+            this.updateGridControls();
         }
     }
     
     /**
-     * Handle mode change
-     * @param {Event} event - Select change event
+     * Get the settings a new playlist item starts with
+     * @returns {Object} {pixelSize, scale, mode}
      */
-    handleModeChange(event) {
-        const newMode = event.target.value;
-        this.currentMode = newMode;
-        
-        // Update interactive canvas
-        this.interactiveCanvas.setMode(newMode);
-        
-        // Update audio engine
-        this.audioEngine.setMode(newMode);
-        
-        console.log(`Mode changed to: ${newMode}`);
+    getPlaylistItemSettings() {
+        return {
+            pixelSize: this.currentPixelSize,
+            scale: this.currentScale,
+            mode: this.currentMode
+        };
     }
     
     /**
-     * Toggle playback state
+     * Queue image files (the first one starts playing if nothing is loaded yet)
+     * @param {Event} event - File input change event
+     */
+    handlePlaylistUpload(event) {
+        const files = Array.from(event.target.files).filter(file => file.type.startsWith('image/'));
+        const wasEmpty = this.playlist.getItems().length === 0;
+        
+        files.forEach(file => this.playlist.add(file, this.getPlaylistItemSettings()));
+        
+        if (files.length < event.target.files.length) {
+            this.showError('Some files were skipped because they are not images.');
+        }
+        
+        // Allow the same files to be chosen again
+        event.target.value = '';
+        
+        if (wasEmpty && files.length && !this.imageProcessor.hasImage()) {
+            this.playPlaylistItem(0);
+        }
+    }
+    
+    /**
+     * Queue the image that is currently loaded, with the current settings
+     */
+    addCurrentToPlaylist() {
+        if (!this.currentSource) {
+            this.showError('Load an image first (video sources cannot be queued).');
+            return;
+        }
+        
+        const item = this.playlist.add(this.currentSource, this.getPlaylistItemSettings());
+        
+        // The image on screen is this item, so the next advance moves past it
+        if (this.playlist.currentIndex < 0) {
+            this.playlist.select(this.playlist.getItems().indexOf(item));
+        }
+    }
+    
+    /**
+     * Switch to a playlist item, crossfading from the current image
+     * @param {number} index - Item index
+     */
+    async playPlaylistItem(index) {
+        const item = this.playlist.select(index);
+        if (!item) return;
+        
+        // A quicker advance replaces this one while it is still loading
+        const token = ++this.playlistLoadToken;
+        const previous = this.imageProcessor.hasImage() ? this.imageProcessor.getSnapshot() : null;
+        
+        try {
+            this.stopVideoSource();
+            const loaded = await this.imageProcessor.loadSource(item.source);
+            if (!loaded || token !== this.playlistLoadToken) return;
+            this.currentSource = item.source;
+        } catch (error) {
+            if (token !== this.playlistLoadToken) return;
+            console.error('Failed to load playlist item:', error);
+            this.showError(`${item.name}: ${error.message}`);
+            return;
+        }
+        
+        // Apply the item's settings
+        if (item.settings.pixelSize !== this.currentPixelSize) {
+            this.elements.pixelSizeSlider.value = item.settings.pixelSize;
+            this.handlePixelSizeChange({ target: { value: item.settings.pixelSize } });
+        }
+        
+        this.handleScaleChange({ target: { value: item.settings.scale } });
+        if (this.elements.scaleSelect) {
+            this.elements.scaleSelect.value = this.currentScale;
+        }
+        
+        if (item.settings.mode !== this.currentMode) {
+            this.elements.modeSelect.value = item.settings.mode;
+            this.handleModeChange({ target: { value: item.settings.mode } });
+        }
+        
+        this.interactiveCanvas.startCrossfade(previous, this.playlist.crossfadeTime);
+        this.handleSourceReady();
+        console.log(`Playlist: ${index + 1}/${this.playlist.getItems().length} ${item.name}`);
+    }
+    
+    /**
+     * Move on to the next playlist item (wraps to the first)
+     */
+    advancePlaylist() {
+        const next = this.playlist.getNextIndex();
+        if (next >= 0) {
+            this.playPlaylistItem(next);
+        }
+    }
+    
+    /**
+     * Handle sweeps-per-item change
+     * @param {Event} event - Input change event
+     */
+    handlePlaylistSweepsChange(event) {
+        this.playlist.setSweepsPerItem(event.target.value);
+        this.playlistSweeps = this.playlist.sweepsPerItem;
+        
+        if (this.elements.playlistSweepsInput) {
+            this.elements.playlistSweepsInput.value = this.playlistSweeps;
+        }
+    }
+    
+    /**
+     * Handle playlist crossfade time change
+     * @param {Event} event - Input change event
+     */
+    handlePlaylistCrossfadeChange(event) {
+        this.playlist.setCrossfadeTime(event.target.value);
+        this.playlistCrossfade = this.playlist.crossfadeTime;
+        
+        if (this.elements.playlistCrossfadeInput) {
+            this.elements.playlistCrossfadeInput.value = this.playlistCrossfade;
+        }
+    }
+    
+    /**
+     * Handle video file upload (frames are sampled while the file loops)
+     * @param {Event} event - File input change event
+     */
+    async handleVideoUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            this.showLoading('Loading video...');
+            await this.videoSource.startFile(file);
+            this.currentSource = null;
+            this.handleSourceReady();
+            console.log('Video source started:', file.name);
+        } catch (error) {
+            console.error('Failed to load video:', error);
+            this.showError(`Failed to load video: ${error.message}`);
+        }
+        
+        // Allow the same file to be chosen again
+        event.target.value = '';
+        this.updateCameraButton();
+    }
+    
+    /**
+     * Start the camera, or stop the running video source
+     */
+    async toggleCamera() {
+        if (this.videoSource.isActive()) {
+            this.stopVideoSource();
+            return;
+        }
+        
+        try {
+            this.showLoading('Starting camera...');
+            await this.videoSource.startCamera();
+            this.currentSource = null;
+            this.handleSourceReady();
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            this.showError(error.message);
+        }
+        this.updateCameraButton();
+    }
+    
+    /**
+     * Stop sampling video (the last frame stays as a still image)
+     */
+    stopVideoSource() {
+        if (!this.videoSource || !this.videoSource.isActive()) return;
+        
+        this.videoSource.stop();
+        this.updateCameraButton();
+    }
+    
+    /**
+     * Handle video frame rate change
+     * @param {Event} event - Input change event
+     */
+    handleVideoFrameRateChange(event) {
+        this.videoSource.setFrameRate(event.target.value);
+        this.videoFrameRate = this.videoSource.frameRate;
+        
+        if (this.elements.videoFrameRateInput) {
+            this.elements.videoFrameRateInput.value = this.videoFrameRate;
+        }
+    }
+    
+    /**
+     * Update the camera button label
+     */
+    updateCameraButton() {
+        const button = this.elements.cameraButton;
+        if (!button) return;
+        
+        const isActive = this.videoSource && this.videoSource.isActive();
+        button.textContent = isActive ? 'Stop Video' : 'Use Camera';
+        button.classList.toggle('recording', !!isActive);
+        button.disabled = !isActive && !VideoSource.isCameraSupported();
+    }
+    
+    /**
+     * Handle pixel size change
+     * @param {Event} event - Slider input event
+     */
+    handlePixelSizeChange(event) {
+        const newSize = parseInt(event.target.value);
+        this.currentPixelSize = newSize;
+        
+        console.log('Pixel size changed to:', newSize);
+        
+        // Update display first
+        this.updatePixelSizeDisplay(newSize);
+        
+        // Update image processor (also before an image is loaded, e.g. restored settings)
+        this.redrawWhenProcessed(this.imageProcessor.setPixelSize(newSize));
+    }
+    
+    /**
+     * Handle processing resolution change
+     * Pixel size is measured in processing pixels, so a higher resolution gives a finer grid.
+     * @param {Event} event - Select change event
+     */
+    handleProcessingSizeChange(event) {
+        const processing = this.imageProcessor.setProcessingSize(event.target.value);
+        this.processingSize = this.imageProcessor.processingSize;
+        
+        if (this.elements.processingSizeSelect) {
+            this.elements.processingSizeSelect.value = this.processingSize;
+        }
+        
+        this.redrawWhenProcessed(processing);
+    }
+    
+    /**
+     * Handle cell colour sampling strategy change
+     * @param {Event} event - Select change event
+     */
+    handleSamplingStrategyChange(event) {
+        const processing = this.imageProcessor.setSamplingStrategy(event.target.value);
+        this.samplingStrategy = this.imageProcessor.samplingStrategy;
+        
+        if (this.elements.samplingStrategySelect) {
+            this.elements.samplingStrategySelect.value = this.samplingStrategy;
+        }
+        
+        this.redrawWhenProcessed(processing);
+    }
+    
+    /**
+     * Redraw the canvas once a settings change has reprocessed the image
+     * @param {Promise<boolean>} processing - Promise from an ImageProcessor setter
+     */
+    redrawWhenProcessed(processing) {
+        processing
+            .then(processed => {
+                if (processed) this.interactiveCanvas.updateImage();
+            })
+            .catch(error => this.showError(error.message));
+    }
+    
+    /**
+     * Handle colour space change (which hue/chroma/lightness the mapping reads)
+     * @param {Event} event - Select change event
+     */
+    handleColorSpaceChange(event) {
+        this.hsvMapper.setColorSpace(event.target.value);
+        this.colorSpace = this.hsvMapper.getColorSpace();
+        
+        if (this.elements.colorSpaceSelect) {
+            this.elements.colorSpaceSelect.value = this.colorSpace;
+        }
+        
+        console.log(`Colour space changed to: ${this.colorSpace}`);
+    }
+    
+    /**
+     * Handle mapping preset selection (replaces the current routes)
+     * @param {Event} event - Select change event
+     */
+    handleMappingPresetChange(event) {
+        if (this.mappingMatrix.loadPreset(event.target.value)) {
+            this.mappingPreset = event.target.value;
+        }
+        
+        this.updateMappingPresetControls();
+    }
+    
+    /**
+     * Save the current routes under the name in the preset name field
+     */
+    saveMappingPreset() {
+        const input = this.elements.mappingPresetNameInput;
+        const name = input ? input.value.trim() : '';
+        
+        if (!name) {
+            this.showError('Enter a name for the mapping preset.');
+            return;
+        }
+        
+        if (!this.mappingMatrix.savePreset(name)) {
+            this.showError(`'${name}' is a built-in preset. Please choose another name.`);
+            return;
+        }
+        
+        this.mappingPreset = name;
+        input.value = '';
+        this.updateMappingPresetControls();
+        console.log(`Mapping preset saved: ${name}`);
+    }
+    
+    /**
+     * Delete the selected user preset (the current routes stay as they are)
+     */
+    deleteMappingPreset() {
+        const name = this.mappingPreset;
+        if (!name || this.mappingMatrix.isBuiltInPreset(name)) return;
+        
+        this.mappingPreset = null;
+        this.mappingMatrix.deletePreset(name);
+        console.log(`Mapping preset deleted: ${name}`);
+    }
+    
+    /**
+     * Rebuild the mapping preset select
+     */
+    updateMappingPresetControls() {
+        const { mappingPresetSelect, mappingPresetDeleteButton } = this.elements;
+        const names = this.mappingMatrix.getPresetNames();
+        
+        if (this.mappingPreset && !names.includes(this.mappingPreset)) {
+            this.mappingPreset = null;
+        }
+        
+        if (mappingPresetSelect) {
+            mappingPresetSelect.innerHTML = '';
+            
+            if (!this.mappingPreset) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'Unsaved routes';
+                option.disabled = true;
+                mappingPresetSelect.appendChild(option);
+            }
+            
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                mappingPresetSelect.appendChild(option);
+            });
+            mappingPresetSelect.value = this.mappingPreset || '';
+        }
+        
+        if (mappingPresetDeleteButton) {
+            mappingPresetDeleteButton.disabled = !this.mappingPreset || this.mappingMatrix.isBuiltInPreset(this.mappingPreset);
+        }
+    }
+    
+    /**
+     * Handle grid spec change
+     * @param {Event} event - Select change event ('size' or 'count')
+     */
+    handleGridModeChange(event) {
+        const processing = this.imageProcessor.setGridMode(event.target.value);
+        this.gridMode = this.imageProcessor.gridMode;
+        this.updateGridControls(processing);
+    }
+    
+    /**
+     * Handle grid column count change
+     * @param {Event} event - Input change event
+     */
+    handleGridColumnsChange(event) {
+        const processing = this.imageProcessor.setGridDimensions(event.target.value, null);
+        this.gridColumns = this.imageProcessor.gridColumns;
+        this.updateGridControls(processing);
+    }
+    
+    /**
+     * Handle grid row count change
+     * @param {Event} event - Input change event
+     */
+    handleGridRowsChange(event) {
+        const processing = this.imageProcessor.setGridDimensions(null, event.target.value);
+        this.gridRows = this.imageProcessor.gridRows;
+        this.updateGridControls(processing);
+    }
+    
+    /**
+     * Handle lock aspect change
+     * @param {Event} event - Select change event ('on' or 'off')
+     */
+    handleGridLockAspectChange(event) {
+        const value = event.target.value;
+        const processing = this.imageProcessor.setLockAspect(value === true || value === 'on');
+        this.gridLockAspect = this.imageProcessor.lockAspect;
+        this.updateGridControls(processing);
+    }
+    
+    /**
+     * Sync the grid controls with the image processor and redraw
+     * In columns × rows mode the pixel size slider is disabled; with the aspect
+     * locked, the rows field shows the rows derived from the image.
+     * @param {Promise<boolean>} processing - Reprocessing in progress (optional); controls sync again when it finishes
+     */
+    updateGridControls(processing = null) {
+        const isCount = this.gridMode === 'count';
+        const { gridModeSelect, gridColumnsInput, gridRowsInput, gridLockAspectSelect, pixelSizeSlider } = this.elements;
+        
+        if (gridModeSelect) {
+            gridModeSelect.value = this.gridMode;
+        }
+        
+        if (gridColumnsInput) {
+            gridColumnsInput.value = this.gridColumns;
+            gridColumnsInput.disabled = !isCount;
+        }
+        
+        if (gridRowsInput) {
+            const derivedRows = this.gridLockAspect && this.imageProcessor.hasImage();
+            gridRowsInput.value = derivedRows ? this.imageProcessor.getGridSize().rows : this.gridRows;
+            gridRowsInput.disabled = !isCount || this.gridLockAspect;
+        }
+        
+        if (gridLockAspectSelect) {
+            gridLockAspectSelect.value = this.gridLockAspect ? 'on' : 'off';
+            gridLockAspectSelect.disabled = !isCount;
+        }
+        
+        if (pixelSizeSlider) {
+            pixelSizeSlider.disabled = isCount;
+        }
+        
+        // Without a reprocess in flight the grid is current; otherwise this runs again once it finishes
+        if (!processing && this.imageProcessor.hasImage()) {
+            this.interactiveCanvas.updateImage();
+        }
+        
+        // Derived rows are only known once the image has been reprocessed
+        if (processing) {
+            processing
+                .then(processed => {
+                    if (processed) this.updateGridControls();
+                })
+                .catch(error => this.showError(error.message));
+        }
+    }
+    
+    /**
+     * Handle mode change
+     * @param {Event} event - Select change event
+     */
+    handleModeChange(event) {
+        const newMode = event.target.value;
+        this.currentMode = newMode;
+        
+        // Update interactive canvas
+        this.interactiveCanvas.setMode(newMode);
+        
+        // Update audio engine
+        this.audioEngine.setMode(newMode);
+        
+        console.log(`Mode changed to: ${newMode}`);
+    }
+    
+    /**
+     * Handle tempo change (shared by sweep and grid modes)
+     * @param {Event} event - Slider input event
+     */
+    handleTempoChange(event) {
+        const { sweepPlayer, gridSequencer } = this.interactiveCanvas;
+        sweepPlayer.setTempo(parseFloat(event.target.value));
+        gridSequencer.setTempo(sweepPlayer.bpm);
+        this.tempo = sweepPlayer.bpm;
+        
+        if (this.elements.tempoSlider) {
+            this.elements.tempoSlider.value = this.tempo;
+        }
+        this.updateTempoDisplay(this.tempo);
+    }
+    
+    /**
+     * Handle sweep play mode change
+     * @param {Event} event - Select change event
+     */
+    handleSweepPlayModeChange(event) {
+        const sweepPlayer = this.interactiveCanvas.sweepPlayer;
+        sweepPlayer.setPlayMode(event.target.value);
+        this.sweepPlayMode = sweepPlayer.playMode;
+        
+        if (this.elements.sweepPlayModeSelect) {
+            this.elements.sweepPlayModeSelect.value = this.sweepPlayMode;
+        }
+        console.log(`Sweep playback changed to: ${this.sweepPlayMode}`);
+    }
+    
+    /**
+     * Handle grid swing change
+     * @param {Event} event - Slider input event (0-100%)
+     */
+    handleGridSwingChange(event) {
+        const gridSequencer = this.interactiveCanvas.gridSequencer;
+        gridSequencer.setSwing(parseFloat(event.target.value) / 100);
+        this.gridSwing = gridSequencer.swing;
+        
+        const percent = Math.round(this.gridSwing * 100);
+        if (this.elements.gridSwingSlider) {
+            this.elements.gridSwingSlider.value = percent;
+        }
+        if (this.elements.gridSwingValue) {
+            this.elements.gridSwingValue.textContent = `${percent}%`;
+        }
+    }
+    
+    /**
+     * Handle grid step length change
+     * @param {Event} event - Select change event
+     */
+    handleGridStepLengthChange(event) {
+        const gridSequencer = this.interactiveCanvas.gridSequencer;
+        gridSequencer.setStepLength(event.target.value);
+        this.gridStepLength = gridSequencer.stepLength;
+        
+        if (this.elements.gridStepLengthSelect) {
+            this.elements.gridStepLengthSelect.value = this.gridStepLength;
+        }
+    }
+    
+    /**
+     * Handle grid brightness threshold change
+     * @param {Event} event - Slider input event (0-100)
+     */
+    handleGridThresholdChange(event) {
+        this.interactiveCanvas.setGridThreshold(parseFloat(event.target.value));
+        this.gridThreshold = this.interactiveCanvas.gridThreshold;
+        
+        if (this.elements.gridThresholdSlider) {
+            this.elements.gridThresholdSlider.value = this.gridThreshold;
+        }
+        if (this.elements.gridThresholdValue) {
+            this.elements.gridThresholdValue.textContent = this.gridThreshold;
+        }
+    }
+    
+    /**
+     * Handle scale change
+     * @param {Event} event - Select change event
+     */
+    handleScaleChange(event) {
+        this.hsvMapper.setScale(event.target.value);
+        this.currentScale = this.hsvMapper.getCurrentScale();
+        
+        this.updateOctaveRangeDisplay(this.octaveRange);
+        console.log(`Scale changed to: ${this.currentScale}`);
+    }
+    
+    /**
+     * Handle root note change
+     * @param {Event} event - Select change event
+     */
+    handleRootNoteChange(event) {
+        if (this.hsvMapper.setRootNote(event.target.value)) {
+            this.rootNote = event.target.value;
+            this.updateOctaveRangeDisplay(this.octaveRange);
+            console.log(`Root note changed to: ${this.rootNote} (${this.hsvMapper.baseFrequency.toFixed(2)} Hz)`);
+        }
+    }
+    
+    /**
+     * Handle Scala (.scl) scale import
+     * @param {Event} event - File input change event
+     */
+    async handleScaleImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            const text = await file.text();
+            const scaleName = this.hsvMapper.importScalaFile(text);
+            
+            // Select the imported scale
+            this.handleScaleChange({ target: { value: scaleName } });
+            this.setupMusicalControls();
+            
+            console.log(`Imported Scala scale: ${scaleName}`);
+        } catch (error) {
+            console.error('Failed to import scale:', error);
+            this.showError(`Failed to import scale: ${error.message}`);
+        } finally {
+            // Allow re-importing the same file
+            event.target.value = '';
+        }
+    }
+    
+    /**
+     * Handle A4 reference pitch change
+     * @param {Event} event - Input change event
+     */
+    handleReferencePitchChange(event) {
+        this.hsvMapper.setReferencePitch(parseFloat(event.target.value));
+        this.referencePitch = this.hsvMapper.getReferencePitch();
+        
+        if (this.elements.referencePitchInput) {
+            this.elements.referencePitchInput.value = this.referencePitch;
+        }
+        this.updateOctaveRangeDisplay(this.octaveRange);
+        console.log(`Reference pitch changed to: A4 = ${this.referencePitch} Hz`);
+    }
+    
+    /**
+     * Handle octave range change
+     * @param {Event} event - Slider input event
+     */
+    handleOctaveRangeChange(event) {
+        this.hsvMapper.setOctaveRange(parseInt(event.target.value));
+        this.octaveRange = this.hsvMapper.getOctaveRange();
+        
+        this.updateOctaveRangeDisplay(this.octaveRange);
+        console.log(`Octave range changed to: ${this.octaveRange}`);
+    }
+    
+    /**
+     * Handle spatialization mode change
+     * @param {Event} event - Select change event
+     */
+    handlePanModeChange(event) {
+        this.audioEngine.setPanMode(event.target.value);
+        this.panMode = this.audioEngine.panMode;
+        
+        if (this.elements.panModeSelect) {
+            this.elements.panModeSelect.value = this.panMode;
+        }
+        console.log(`Spatialization changed to: ${this.panMode}`);
+    }
+    
+    /**
+     * Handle polyphony change
+     * @param {Event} event - Slider input event
+     */
+    handlePolyphonyChange(event) {
+        this.audioEngine.setPolyphony(parseInt(event.target.value));
+        this.polyphony = this.audioEngine.maxSynths;
+        
+        if (this.elements.polyphonySlider) {
+            this.elements.polyphonySlider.value = this.polyphony;
+        }
+        this.updatePolyphonyDisplay(this.polyphony);
+        console.log(`Polyphony changed to: ${this.polyphony}`);
+    }
+    
+    /**
+     * Handle voice stealing policy change
+     * @param {Event} event - Select change event
+     */
+    handleStealPolicyChange(event) {
+        this.audioEngine.setStealPolicy(event.target.value);
+        this.stealPolicy = this.audioEngine.stealPolicy;
+        
+        if (this.elements.stealPolicySelect) {
+            this.elements.stealPolicySelect.value = this.stealPolicy;
+        }
+        console.log(`Voice stealing policy changed to: ${this.stealPolicy}`);
+    }
+    
+    /**
+     * Handle master volume change
+     * @param {Event} event - Slider input event (0-100)
+     */
+    handleMasterVolumeChange(event) {
+        this.audioEngine.setMasterVolume(parseFloat(event.target.value) / 100);
+        this.masterVolume = this.audioEngine.masterVolume;
+        
+        if (this.elements.masterVolumeSlider) {
+            this.elements.masterVolumeSlider.value = Math.round(this.masterVolume * 100);
+        }
+        if (this.elements.masterVolumeValue) {
+            this.elements.masterVolumeValue.textContent = `${Math.round(this.masterVolume * 100)}%`;
+        }
+    }
+    
+    /**
+     * Handle reverb mix change
+     * @param {Event} event - Slider input event (0-100)
+     */
+    handleReverbWetChange(event) {
+        this.audioEngine.setReverbWet(parseFloat(event.target.value) / 100);
+        this.reverbWet = this.audioEngine.reverbWet;
+        
+        if (this.elements.reverbWetSlider) {
+            this.elements.reverbWetSlider.value = Math.round(this.reverbWet * 100);
+        }
+        if (this.elements.reverbWetValue) {
+            this.elements.reverbWetValue.textContent = `${Math.round(this.reverbWet * 100)}%`;
+        }
+    }
+    
+    /**
+     * Handle reverb decay change
+     * @param {Event} event - Input change event (seconds)
+     */
+    handleReverbDecayChange(event) {
+        this.audioEngine.setReverbDecay(event.target.value);
+        this.reverbDecay = this.audioEngine.reverbDecay;
+        
+        if (this.elements.reverbDecayInput) {
+            this.elements.reverbDecayInput.value = this.reverbDecay;
+        }
+    }
+    
+    /**
+     * Restore the settings saved in localStorage on the last visit
+     */
+    restoreSession() {
+        const preset = SessionPreset.load();
+        if (!preset) return;
+        
+        try {
+            this.applyState(SessionPreset.toState(preset));
+            console.log('Restored saved session settings');
+        } catch (error) {
+            // A broken save must not keep the app from starting
+            console.warn('Failed to restore saved session, discarding it:', error);
+            SessionPreset.clear();
+        }
+    }
+    
+    /**
+     * Save the current settings to localStorage
+     */
+    saveSession() {
+        if (!this.isInitialized || this.sessionSaveDisabled) return;
+        
+        SessionPreset.save(SessionPreset.create(this.getState()));
+    }
+    
+    /**
+     * Download the current settings as a session preset file
+     */
+    exportSession() {
+        const preset = SessionPreset.create(this.getState());
+        const blob = new Blob([SessionPreset.stringify(preset)], { type: 'application/json' });
+        this.downloadFile(blob, 'synesthesia-session.json');
+    }
+    
+    /**
+     * Handle session preset file import
+     * @param {Event} event - File input change event
+     */
+    async handleSessionImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            const preset = SessionPreset.parse(await file.text());
+            this.applyState(SessionPreset.toState(preset));
+            this.saveSession();
+            console.log(`Imported session preset from ${file.name}`);
+        } catch (error) {
+            console.error('Failed to import session preset:', error);
+            this.showError(`Could not import session: ${error.message}`);
+        } finally {
+            // Allow importing the same file again
+            event.target.value = '';
+        }
+    }
+    
+    /**
+     * Copy a link to the current settings (and the image's cell colours, if the grid is small enough)
+     */
+    async copyLink() {
+        const button = this.elements.sessionLinkButton;
+        const palette = this.imageProcessor.getPalette();
+        
+        let url;
+        try {
+            const hash = await SessionLink.encode(this.getState(), palette);
+            url = `${window.location.href.split('#')[0]}#${hash}`;
+        } catch (error) {
+            console.error('Failed to create link:', error);
+            this.showError(`Could not create link: ${error.message}`);
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // No clipboard access (e.g. pages not served over https); let the user copy it
+            window.prompt('Copy this link:', url);
+            return;
+        }
+        
+        if (palette && !SessionLink.canEmbed(palette)) {
+            console.log(`Grid is larger than ${SessionLink.maxPaletteCells} cells; the link only holds the settings`);
+        }
+        
+        if (button) {
+            button.textContent = palette && !SessionLink.canEmbed(palette) ? 'Copied (no image)' : 'Link Copied';
+            setTimeout(() => {
+                button.textContent = 'Copy Link';
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Apply a shared link: its settings, and its image colours if it has them
+     * @param {string} hash - URL hash
+     */
+    async restoreFromLink(hash) {
+        if (!SessionLink.isLink(hash)) return;
+        
+        try {
+            const link = await SessionLink.decode(hash);
+            this.applyState(link.state);
+            
+            if (link.palette) {
+                this.showLoading('Processing image...');
+                this.stopVideoSource();
+                
+                await this.imageProcessor.loadPalette(link.palette);
+                this.currentSource = null; // Rebuilt from the link, not a file the playlist can reload
+                
+                if (this.interactiveCanvas && this.interactiveCanvas.p5Instance) {
+                    this.interactiveCanvas.p5Instance.redraw();
+                }
+                this.handleSourceReady();
+            }
+            
+            console.log('Restored session from link');
+        } catch (error) {
+            console.error('Failed to open link:', error);
+            this.showError(`Could not open this link: ${error.message}`);
+        }
+        
+        // The link has been applied; from here on changes are saved as usual
+        window.history.replaceState(null, '', window.location.href.split('#')[0]);
+    }
+    
+    /**
+     * Forget the saved settings and reload with the defaults
+     */
+    resetSession() {
+        SessionPreset.clear();
+        this.sessionSaveDisabled = true;
+        window.location.reload();
+    }
+    
+    /**
+     * Handle export sample rate change
+     * @param {Event} event - Select change event
+     */
+    handleExportSampleRateChange(event) {
+        const sampleRate = parseInt(event.target.value, 10);
+        if (this.offlineRenderer.sampleRates.includes(sampleRate)) {
+            this.exportSampleRate = sampleRate;
+        }
+        
+        if (this.elements.exportSampleRateSelect) {
+            this.elements.exportSampleRateSelect.value = this.exportSampleRate;
+        }
+    }
+    
+    /**
+     * Handle export bit depth change
+     * @param {Event} event - Select change event
+     */
+    handleExportBitDepthChange(event) {
+        this.exportBitDepth = parseInt(event.target.value, 10) === 24 ? 24 : 16;
+        
+        if (this.elements.exportBitDepthSelect) {
+            this.elements.exportBitDepthSelect.value = this.exportBitDepth;
+        }
+    }
+    
+    /**
+     * Render the image offline and download it as a WAV file
+     * Grid mode renders the step sequencer; every other mode renders a sweep.
+     */
+    async handleExportAudio() {
+        if (!this.imageProcessor.hasImage() || this.offlineRenderer.isRendering) return;
+        
+        const button = this.elements.exportButton;
+        const mode = this.currentMode === 'grid' ? 'grid' : 'sweep';
+        const player = mode === 'grid' ? this.interactiveCanvas.gridSequencer : this.interactiveCanvas.sweepPlayer;
+        const duration = this.elements.exportDurationInput
+            ? parseFloat(this.elements.exportDurationInput.value) || 0
+            : 0;
+        
+        try {
+            if (button) {
+                button.disabled = true;
+                button.textContent = 'Rendering...';
+            }
+            
+            const buffer = await this.offlineRenderer.render({
+                mode: mode,
+                duration: duration,
+                sampleRate: this.exportSampleRate,
+                tempo: this.tempo,
+                stepLength: player.stepLength,
+                swing: this.gridSwing,
+                threshold: this.gridThreshold,
+                playMode: this.sweepPlayMode
+            });
+            
+            const wav = WavEncoder.encode(buffer, { bitDepth: this.exportBitDepth });
+            this.downloadFile(new Blob([wav], { type: 'audio/wav' }), `synesthesia-${mode}.wav`);
+            
+            console.log(`Exported ${buffer.duration.toFixed(2)}s WAV (${this.exportSampleRate} Hz, ${this.exportBitDepth}-bit)`);
+        } catch (error) {
+            console.error('Failed to export audio:', error);
+            this.showError(`Failed to export audio: ${error.message}`);
+        } finally {
+            if (button) {
+                button.textContent = 'Export WAV';
+                button.disabled = !this.imageProcessor.hasImage();
+            }
+        }
+    }
+    
+    /**
+     * Handle MIDI output device change
+     * @param {Event} event - Select change event
+     */
+    async handleMidiOutputChange(event) {
+        const id = event.target.value;
+        
+        // Hardware outputs are only listed once MIDI access has been granted (e.g. restored settings)
+        if (id !== 'off') {
+            await this.midiOutput.init();
+        }
+        
+        this.midiOutputId = id !== 'off' && this.midiOutput.selectOutput(id) ? id : 'off';
+        
+        if (this.midiOutputId === 'off') {
+            this.midiOutput.selectOutput(null);
+        }
+        
+        if (this.elements.midiOutputSelect) {
+            this.elements.midiOutputSelect.value = this.midiOutputId;
+        }
+    }
+    
+    /**
+     * Handle MIDI input device change
+     * @param {Event} event - Select change event
+     */
+    async handleMidiInputChange(event) {
+        const id = event.target.value;
+        
+        // The old input stops listening, so its note-offs would never arrive
+        this.releaseMidiNotes();
+        
+        // Hardware inputs are only listed once MIDI access has been granted (e.g. restored settings)
+        if (id !== 'off') {
+            await this.midiInput.init();
+        }
+        
+        this.midiInputId = id !== 'off' && this.midiInput.selectInput(id) ? id : 'off';
+        
+        if (this.midiInputId === 'off') {
+            this.midiInput.selectInput(null);
+        }
+        
+        if (this.elements.midiInputSelect) {
+            this.elements.midiInputSelect.value = this.midiInputId;
+        }
+    }
+    
+    /**
+     * Play the pixel whose mapped pitch is closest to an incoming MIDI note
+     * The pixel sounds with its own timbre at the controller's velocity and stays
+     * highlighted until the note is released.
+     * @param {number} note - MIDI note number
+     * @param {number} velocity - Velocity (1-127)
+     */
+    handleMidiNoteOn(note, velocity) {
+        if (!this.isPlaying || !this.audioEngine.isInitialized || !this.imageProcessor.hasImage()) return;
+        
+        const pixels = this.imageProcessor.getPixelData().flat();
+        const pixel = this.hsvMapper.findClosestPixel(pixels, this.hsvMapper.midiToFrequency(note));
+        if (!pixel) return;
+        
+        const params = this.hsvMapper.mapHsvToAudio(pixel.hsv, pixel);
+        params.volume = velocity / 127;
+        
+        const position = this.imageProcessor.getNormalizedPosition(pixel);
+        this.audioEngine.startNote(params, `midi_${note}`, position, 2, pixel);
+        this.interactiveCanvas.highlightPixel(note, pixel);
+        this.heldMidiNotes.add(note);
+        
+        console.log(`MIDI note ${note} → pixel (${pixel.gridX}, ${pixel.gridY}) at ${params.frequency.toFixed(1)}Hz`);
+    }
+    
+    /**
+     * Release the pixel played by a MIDI note
+     * @param {number} note - MIDI note number
+     */
+    handleMidiNoteOff(note) {
+        this.audioEngine.stopNote(`midi_${note}`);
+        this.interactiveCanvas.clearHighlight(note);
+        this.heldMidiNotes.delete(note);
+    }
+    
+    /**
+     * Release every note held from the MIDI input and clear their highlights
+     */
+    releaseMidiNotes() {
+        Array.from(this.heldMidiNotes).forEach(note => this.handleMidiNoteOff(note));
+    }
+    
+    /**
+     * Handle MIDI channel change
+     * @param {Event} event - Input change event
+     */
+    handleMidiChannelChange(event) {
+        this.midiOutput.setChannel(event.target.value);
+        this.midiChannel = this.midiOutput.channel;
+        
+        if (this.elements.midiChannelInput) {
+            this.elements.midiChannelInput.value = this.midiChannel;
+        }
+    }
+    
+    /**
+     * Handle MIDI pitch mode change
+     * @param {Event} event - Select change event
+     */
+    handleMidiPitchModeChange(event) {
+        this.midiOutput.setPitchMode(event.target.value);
+        this.midiPitchMode = this.midiOutput.pitchMode;
+        
+        if (this.elements.midiPitchModeSelect) {
+            this.elements.midiPitchModeSelect.value = this.midiPitchMode;
+        }
+    }
+    
+    /**
+     * Handle MIDI track layout change
+     * @param {Event} event - Select change event
+     */
+    handleMidiTrackModeChange(event) {
+        if (['single', 'saturation'].includes(event.target.value)) {
+            this.midiTrackMode = event.target.value;
+        }
+        
+        if (this.elements.midiTrackModeSelect) {
+            this.elements.midiTrackModeSelect.value = this.midiTrackMode;
+        }
+    }
+    
+    /**
+     * Export the image as a MIDI file (one pass, same steps as the current mode)
+     */
+    handleExportMidi() {
+        if (!this.imageProcessor.hasImage()) return;
+        
+        const isGrid = this.currentMode === 'grid';
+        const player = isGrid ? this.interactiveCanvas.gridSequencer : this.interactiveCanvas.sweepPlayer;
+        
+        try {
+            const midi = this.midiExporter.export({
+                tempo: this.tempo,
+                stepLength: player.stepLength,
+                swing: isGrid ? this.gridSwing : 0,
+                // Sweep plays every lit cell; the sequencer only cells above its threshold
+                threshold: isGrid ? this.gridThreshold : 1,
+                splitBySaturation: this.midiTrackMode === 'saturation'
+            });
+            
+            this.downloadFile(new Blob([midi], { type: 'audio/midi' }), `synesthesia-${isGrid ? 'grid' : 'sweep'}.mid`);
+        } catch (error) {
+            console.error('Failed to export MIDI:', error);
+            this.showError(`Failed to export MIDI: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Trigger a browser download for a blob
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Handle recording format change
+     * @param {Event} event - Select change event
+     */
+    handleRecordFormatChange(event) {
+        this.performanceRecorder.setFormat(event.target.value);
+        this.recordFormat = this.performanceRecorder.format;
+        
+        if (this.elements.recordFormatSelect) {
+            this.elements.recordFormatSelect.value = this.recordFormat;
+        }
+    }
+    
+    /**
+     * Start or stop recording the performance
+     */
+    async toggleRecording() {
+        if (this.performanceRecorder.isRecording) {
+            await this.stopRecording(false);
+            return;
+        }
+        
+        if (!(await this.ensureAudioInitialized())) return;
+        
+        try {
+            await this.performanceRecorder.start();
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.showError(`Failed to start recording: ${error.message}`);
+        }
+        
+        this.updateRecordButton();
+        this.setRecordTimer(this.performanceRecorder.isRecording);
+    }
+    
+    /**
+     * Stop recording and download the take
+     * @param {boolean} withTail - Keep recording briefly so releases and reverb are captured
+     */
+    async stopRecording(withTail) {
+        if (!this.performanceRecorder.isRecording) return;
+        
+        this.setRecordTimer(false);
+        if (this.elements.recordButton) {
+            this.elements.recordButton.disabled = true;
+            this.elements.recordButton.textContent = 'Saving...';
+        }
+        
+        try {
+            const take = await this.performanceRecorder.stop(withTail);
+            if (take) {
+                this.downloadFile(take.blob, take.filename);
+            }
+        } catch (error) {
+            console.error('Failed to save recording:', error);
+            this.showError(`Failed to save recording: ${error.message}`);
+        } finally {
+            this.updateRecordButton();
+        }
+    }
+    
+    /**
+     * Start or stop the elapsed recording time display
+     * @param {boolean} enabled - Whether to update the display
+     */
+    setRecordTimer(enabled) {
+        if (this.recordTimer) {
+            clearInterval(this.recordTimer);
+            this.recordTimer = null;
+        }
+        
+        if (!this.elements.recordTime) return;
+        
+        const update = () => {
+            const elapsed = Math.floor(this.performanceRecorder.getElapsedTime());
+            const minutes = Math.floor(elapsed / 60);
+            const seconds = String(elapsed % 60).padStart(2, '0');
+            this.elements.recordTime.textContent = `${minutes}:${seconds}`;
+        };
+        
+        update();
+        if (enabled) {
+            this.recordTimer = setInterval(update, 250);
+        }
+    }
+    
+    /**
+     * Update record button state
+     */
+    updateRecordButton() {
+        const button = this.elements.recordButton;
+        if (!button) return;
+        
+        const isRecording = this.performanceRecorder.isRecording;
+        button.textContent = isRecording ? 'Stop Recording' : 'Record';
+        button.classList.toggle('recording', isRecording);
+        button.disabled = !PerformanceRecorder.isSupported();
+    }
+    
+    /**
+     * Handle event bridge URL change (reconnects if the bridge is running)
+     * @param {Event} event - Input change event
+     */
+    handleBridgeUrlChange(event) {
+        const url = String(event.target.value).trim();
+        if (/^wss?:\/\//.test(url)) {
+            this.bridgeUrl = url;
+            if (this.bridgeTransport) {
+                this.disconnectBridge();
+                this.connectBridge();
+            }
+        } else {
+            this.showError('Bridge URL must start with ws:// or wss://');
+        }
+        
+        if (this.elements.bridgeUrlInput) {
+            this.elements.bridgeUrlInput.value = this.bridgeUrl;
+        }
+    }
+    
+    /**
+     * Handle event bridge format change
+     * @param {Event} event - Select change event
+     */
+    handleBridgeFormatChange(event) {
+        if (['json', 'osc'].includes(event.target.value)) {
+            this.bridgeFormat = event.target.value;
+        }
+        
+        if (this.bridgeTransport) {
+            this.bridgeTransport.setFormat(this.bridgeFormat);
+        }
+        
+        if (this.elements.bridgeFormatSelect) {
+            this.elements.bridgeFormatSelect.value = this.bridgeFormat;
+        }
+    }
+    
+    /**
+     * Connect or disconnect the event bridge
+     */
+    toggleBridge() {
+        if (this.bridgeTransport) {
+            this.disconnectBridge();
+        } else {
+            this.connectBridge();
+        }
+    }
+    
+    /**
+     * Start forwarding events to the bridge server
+     */
+    connectBridge() {
+        this.bridgeTransport = new WebSocketTransport(this.bridgeUrl, { format: this.bridgeFormat });
+        this.bridgeTransport.onStatusChange = (status) => this.updateBridgeStatus(status);
+        this.eventBus.addTransport(this.bridgeTransport);
+        this.bridgeTransport.connect();
+    }
+    
+    /**
+     * Stop forwarding events and close the connection
+     */
+    disconnectBridge() {
+        if (!this.bridgeTransport) return;
+        
+        this.eventBus.removeTransport(this.bridgeTransport);
+        this.bridgeTransport.close();
+        this.bridgeTransport = null;
+        this.updateBridgeStatus('closed');
+    }
+    
+    /**
+     * Update the bridge button and status text
+     * @param {string} status - 'connecting', 'open' or 'closed'
+     */
+    updateBridgeStatus(status) {
+        if (this.elements.bridgeButton) {
+            this.elements.bridgeButton.textContent = this.bridgeTransport ? 'Disconnect' : 'Connect';
+        }
+        
+        if (this.elements.bridgeStatus) {
+            const labels = { connecting: 'Connecting...', open: 'Connected', closed: 'Disconnected' };
+            // A closed socket that is still wanted is waiting to reconnect
+            this.elements.bridgeStatus.textContent = status === 'closed' && this.bridgeTransport
+                ? 'Reconnecting...'
+                : labels[status];
+        }
+    }
+    
+    /**
+     * Start the audio engine on first use (must run from a user gesture)
+     * @returns {Promise<boolean>} True if the engine is ready
+     */
+    async ensureAudioInitialized() {
+        if (this.audioEngine.isInitialized) return true;
+        
+        console.log('First playback - initializing audio engine...');
+        try {
+            await this.audioEngine.init();
+            console.log('Audio engine initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize audio engine:', error);
+            this.showError('Failed to initialize audio. Please try again.');
+            return false;
+        }
+    }
+    
+    /**
+     * Toggle playback state
      */
     async togglePlayback() {
         // 如果是第一次開始播放，先初始化音頻引擎
-        if (!this.isPlaying && !this.audioEngine.isInitialized) {
-            console.log('First playback - initializing audio engine...');
-            try {
-                await this.audioEngine.init();
-                console.log('Audio engine initialized successfully');
-            } catch (error) {
-                console.error('Failed to initialize audio engine:', error);
-                this.showError('Failed to initialize audio. Please try again.');
-                return;
-            }
+        if (!this.isPlaying && !(await this.ensureAudioInitialized())) {
+            return;
         }
         
         this.isPlaying = !this.isPlaying;
@@ -277,6 +2382,10 @@ class ImageSoundSynesthesia {
         if (!this.isPlaying) {
             console.log('Stopping all audio...');
             this.audioEngine.stopAllScanSounds();
+            this.releaseMidiNotes();
+            
+            // Finish an active recording once the sound has faded out
+            this.stopRecording(true);
         }
         
         // Update interactive canvas
@@ -284,6 +2393,7 @@ class ImageSoundSynesthesia {
         
         // Update UI
         this.updatePlayButton();
+        this.setVoiceCountMonitor(this.isPlaying);
         
         console.log(`Playback ${this.isPlaying ? 'started' : 'stopped'}`);
     }
@@ -312,15 +2422,22 @@ class ImageSoundSynesthesia {
                     event.preventDefault();
                     this.toggleMode();
                     break;
+                case 'ArrowRight':
+                    // Leave word-jumping in text fields alone
+                    if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA')) break;
+                    event.preventDefault();
+                    this.advancePlaylist();
+                    break;
             }
         }
     }
     
     /**
-     * Toggle between single and scan mode
+     * Cycle through the available modes (single → scan → sweep → grid)
      */
     toggleMode() {
-        const newMode = this.currentMode === 'single' ? 'scan' : 'single';
+        const modes = Array.from(this.elements.modeSelect.options).map(option => option.value);
+        const newMode = modes[(modes.indexOf(this.currentMode) + 1) % modes.length];
         this.elements.modeSelect.value = newMode;
         this.handleModeChange({ target: { value: newMode } });
     }
@@ -335,6 +2452,57 @@ class ImageSoundSynesthesia {
         }
     }
     
+    /**
+     * Update tempo display
+     * @param {number} bpm - Tempo
+     */
+    updateTempoDisplay(bpm) {
+        if (this.elements.tempoValue) {
+            this.elements.tempoValue.textContent = bpm;
+        }
+    }
+    
+    /**
+     * Update octave range display
+     * Shows how many octaves fit when a high root cuts the span short.
+     * @param {number} octaves - Octave span
+     */
+    updateOctaveRangeDisplay(octaves) {
+        if (this.elements.octaveRangeValue) {
+            const usable = this.hsvMapper.getUsableOctaveRange();
+            this.elements.octaveRangeValue.textContent = usable < octaves ? `${octaves} (${usable} fit)` : octaves;
+        }
+    }
+    
+    /**
+     * Update polyphony display
+     * @param {number} voices - Polyphony limit
+     */
+    updatePolyphonyDisplay(voices) {
+        if (this.elements.polyphonyValue) {
+            this.elements.polyphonyValue.textContent = voices;
+        }
+    }
+    
+    /**
+     * Start or stop polling the active voice count for display
+     * @param {boolean} enabled - Whether to monitor
+     */
+    setVoiceCountMonitor(enabled) {
+        if (this.voiceCountTimer) {
+            clearInterval(this.voiceCountTimer);
+            this.voiceCountTimer = null;
+        }
+        
+        if (enabled && this.elements.voiceCount) {
+            this.voiceCountTimer = setInterval(() => {
+                this.elements.voiceCount.textContent = `${this.audioEngine.getActiveVoiceCount()}/${this.polyphony}`;
+            }, 250);
+        } else if (this.elements.voiceCount) {
+            this.elements.voiceCount.textContent = '0';
+        }
+    }
+    
     /**
      * Update play button state
      */
@@ -351,6 +2519,14 @@ class ImageSoundSynesthesia {
         
         // Disable if no image loaded
         button.disabled = !this.imageProcessor.hasImage();
+        
+        if (this.elements.exportButton && !this.offlineRenderer.isRendering) {
+            this.elements.exportButton.disabled = !this.imageProcessor.hasImage();
+        }
+        
+        if (this.elements.midiExportButton) {
+            this.elements.midiExportButton.disabled = !this.imageProcessor.hasImage();
+        }
     }
     
     /**
@@ -359,6 +2535,7 @@ class ImageSoundSynesthesia {
      */
     showLoading(message) {
         this.elements.canvasOverlay.textContent = message;
+        this.elements.canvasOverlay.style.color = '';
         this.elements.canvasOverlay.classList.remove('hidden');
     }
     
@@ -382,14 +2559,246 @@ class ImageSoundSynesthesia {
             isPlaying: this.isPlaying,
             currentMode: this.currentMode,
             currentPixelSize: this.currentPixelSize,
+            processingSize: this.processingSize,
+            samplingStrategy: this.samplingStrategy,
+            colorSpace: this.colorSpace,
+            mappingPreset: this.mappingPreset,
+            mappingRoutes: this.mappingMatrix ? this.mappingMatrix.getRoutes() : [],
+            mappingPresets: this.mappingMatrix ? this.mappingMatrix.getPresets() : {},
+            gridMode: this.gridMode,
+            gridColumns: this.gridColumns,
+            gridRows: this.gridRows,
+            gridLockAspect: this.gridLockAspect,
+            currentScale: this.currentScale,
+            rootNote: this.rootNote,
+            octaveRange: this.octaveRange,
+            referencePitch: this.referencePitch,
+            baseFrequency: this.hsvMapper ? this.hsvMapper.baseFrequency : null,
+            mapperRanges: this.hsvMapper ? this.hsvMapper.getRanges() : null,
+            customScales: this.hsvMapper ? this.hsvMapper.getCustomScales() : {},
+            tempo: this.tempo,
+            sweepPlayMode: this.sweepPlayMode,
+            gridSwing: this.gridSwing,
+            gridStepLength: this.gridStepLength,
+            gridThreshold: this.gridThreshold,
+            panMode: this.panMode,
+            polyphony: this.polyphony,
+            stealPolicy: this.stealPolicy,
+            masterVolume: this.masterVolume,
+            reverbWet: this.reverbWet,
+            reverbDecay: this.reverbDecay,
+            exportSampleRate: this.exportSampleRate,
+            exportBitDepth: this.exportBitDepth,
+            midiTrackMode: this.midiTrackMode,
+            midiOutputId: this.midiOutputId,
+            midiChannel: this.midiChannel,
+            midiPitchMode: this.midiPitchMode,
+            midiInputId: this.midiInputId,
+            recordFormat: this.recordFormat,
+            bridgeUrl: this.bridgeUrl,
+            bridgeFormat: this.bridgeFormat,
+            videoFrameRate: this.videoFrameRate,
+            playlistSweeps: this.playlistSweeps,
+            playlistCrossfade: this.playlistCrossfade,
             hasImage: this.imageProcessor ? this.imageProcessor.hasImage() : false
         };
     }
     
+    /**
+     * Restore application settings from a state object (as returned by getState)
+     * @param {Object} state - Partial application state
+     */
+    applyState(state) {
+        if (!state) return;
+        
+        // Custom scales must exist before they can be selected
+        if (state.customScales) {
+            Object.entries(state.customScales).forEach(([name, definition]) => {
+                this.hsvMapper.registerScale(name, definition);
+            });
+        }
+        
+        if (state.currentMode) {
+            this.elements.modeSelect.value = state.currentMode;
+            this.handleModeChange({ target: { value: state.currentMode } });
+        }
+        
+        if (state.currentPixelSize) {
+            this.elements.pixelSizeSlider.value = state.currentPixelSize;
+            this.handlePixelSizeChange({ target: { value: state.currentPixelSize } });
+        }
+        
+        if (state.processingSize) {
+            this.handleProcessingSizeChange({ target: { value: state.processingSize } });
+        }
+        
+        if (state.samplingStrategy) {
+            this.handleSamplingStrategyChange({ target: { value: state.samplingStrategy } });
+        }
+        
+        if (state.colorSpace) {
+            this.handleColorSpaceChange({ target: { value: state.colorSpace } });
+        }
+        
+        // Presets first, so the restored preset name can be selected
+        if (state.mappingPresets) {
+            this.mappingMatrix.setPresets(state.mappingPresets);
+        }
+        
+        if (state.mappingPreset !== undefined) {
+            this.mappingPreset = state.mappingPreset;
+        }
+        
+        if (state.mappingRoutes) {
+            this.mappingMatrix.setRoutes(state.mappingRoutes);
+        }
+        
+        if (state.gridColumns) {
+            this.handleGridColumnsChange({ target: { value: state.gridColumns } });
+        }
+        
+        if (state.gridRows) {
+            this.handleGridRowsChange({ target: { value: state.gridRows } });
+        }
+        
+        if (state.gridLockAspect !== undefined) {
+            this.handleGridLockAspectChange({ target: { value: state.gridLockAspect } });
+        }
+        
+        if (state.gridMode) {
+            this.handleGridModeChange({ target: { value: state.gridMode } });
+        }
+        
+        if (state.referencePitch) {
+            this.handleReferencePitchChange({ target: { value: state.referencePitch } });
+        }
+        
+        if (state.currentScale) {
+            this.handleScaleChange({ target: { value: state.currentScale } });
+        }
+        
+        if (state.rootNote) {
+            this.handleRootNoteChange({ target: { value: state.rootNote } });
+        } else if (state.baseFrequency) {
+            this.hsvMapper.setBaseFrequency(state.baseFrequency);
+        }
+        
+        if (state.mapperRanges) {
+            this.hsvMapper.setRanges(state.mapperRanges);
+            this.updateOctaveRangeDisplay(this.octaveRange);
+        }
+        
+        if (state.octaveRange) {
+            this.handleOctaveRangeChange({ target: { value: state.octaveRange } });
+        }
+        
+        if (state.tempo) {
+            this.handleTempoChange({ target: { value: state.tempo } });
+        }
+        
+        if (state.sweepPlayMode) {
+            this.handleSweepPlayModeChange({ target: { value: state.sweepPlayMode } });
+        }
+        
+        if (state.gridSwing !== undefined) {
+            this.handleGridSwingChange({ target: { value: state.gridSwing * 100 } });
+        }
+        
+        if (state.gridStepLength) {
+            this.handleGridStepLengthChange({ target: { value: state.gridStepLength } });
+        }
+        
+        if (state.gridThreshold !== undefined) {
+            this.handleGridThresholdChange({ target: { value: state.gridThreshold } });
+        }
+        
+        if (state.panMode) {
+            this.handlePanModeChange({ target: { value: state.panMode } });
+        }
+        
+        if (state.polyphony) {
+            this.handlePolyphonyChange({ target: { value: state.polyphony } });
+        }
+        
+        if (state.stealPolicy) {
+            this.handleStealPolicyChange({ target: { value: state.stealPolicy } });
+        }
+        
+        if (state.masterVolume !== undefined) {
+            this.handleMasterVolumeChange({ target: { value: state.masterVolume * 100 } });
+        }
+        
+        if (state.reverbWet !== undefined) {
+            this.handleReverbWetChange({ target: { value: state.reverbWet * 100 } });
+        }
+        
+        if (state.reverbDecay) {
+            this.handleReverbDecayChange({ target: { value: state.reverbDecay } });
+        }
+        
+        if (state.exportSampleRate) {
+            this.handleExportSampleRateChange({ target: { value: state.exportSampleRate } });
+        }
+        
+        if (state.exportBitDepth) {
+            this.handleExportBitDepthChange({ target: { value: state.exportBitDepth } });
+        }
+        
+        if (state.midiTrackMode) {
+            this.handleMidiTrackModeChange({ target: { value: state.midiTrackMode } });
+        }
+        
+        if (state.midiOutputId) {
+            this.handleMidiOutputChange({ target: { value: state.midiOutputId } });
+        }
+        
+        if (state.midiChannel) {
+            this.handleMidiChannelChange({ target: { value: state.midiChannel } });
+        }
+        
+        if (state.midiPitchMode) {
+            this.handleMidiPitchModeChange({ target: { value: state.midiPitchMode } });
+        }
+        
+        if (state.midiInputId) {
+            this.handleMidiInputChange({ target: { value: state.midiInputId } });
+        }
+        
+        if (state.recordFormat) {
+            this.handleRecordFormatChange({ target: { value: state.recordFormat } });
+        }
+        
+        if (state.bridgeUrl) {
+            this.handleBridgeUrlChange({ target: { value: state.bridgeUrl } });
+        }
+        
+        if (state.bridgeFormat) {
+            this.handleBridgeFormatChange({ target: { value: state.bridgeFormat } });
+        }
+        
+        if (state.playlistSweeps !== undefined) {
+            this.handlePlaylistSweepsChange({ target: { value: state.playlistSweeps } });
+        }
+        
+        if (state.playlistCrossfade !== undefined) {
+            this.handlePlaylistCrossfadeChange({ target: { value: state.playlistCrossfade } });
+        }
+        
+        if (state.videoFrameRate) {
+            this.handleVideoFrameRateChange({ target: { value: state.videoFrameRate } });
+        }
+        
+        // Keep controls in sync with the restored values
+        this.setupMusicalControls();
+        this.updateMappingPresetControls();
+    }
+    
     /**
      * Clean up resources
      */
     dispose() {
+        this.setVoiceCountMonitor(false);
+        
         if (this.interactiveCanvas) {
             this.interactiveCanvas.dispose();
         }
@@ -398,6 +2807,21 @@ class ImageSoundSynesthesia {
             this.audioEngine.dispose();
         }
         
+        if (this.imageProcessor) {
+            this.imageProcessor.dispose();
+        }
+        
+        if (this.midiOutput) {
+            this.midiOutput.dispose();
+        }
+        
+        if (this.midiInput) {
+            this.midiInput.dispose();
+        }
+        
+        this.disconnectBridge();
+        this.stopVideoSource();
+        
         console.log('Application disposed');
     }
 }
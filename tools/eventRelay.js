@@ -0,0 +1,273 @@
+/**
+ * Event Relay - Minimal local WebSocket relay for testing the event bridge (Node.js only)
+ * Every message a client sends is broadcast to all other clients, so an
+ * external tool can connect alongside the browser and receive its events.
+ * Binary (OSC) frames can also be forwarded over UDP to OSC software.
+ *
+ * Usage:
+ *   node tools/eventRelay.js [--port 8080] [--udp 127.0.0.1:57120] [--log]
+ *
+ * No dependencies: implements just enough of RFC 6455 (text/binary frames,
+ * ping/pong, close) for this purpose.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+class EventRelay {
+    /**
+     * @param {Object} options - {port, udpHost, udpPort, log}
+     */
+    constructor(options = {}) {
+        this.port = options.port || 8080;
+        this.udpHost = options.udpHost || null;
+        this.udpPort = options.udpPort || null;
+        this.log = options.log || false;
+        this.clients = new Set();
+        this.server = null;
+        this.udpSocket = null;
+    }
+    
+    /**
+     * Start listening
+     * @returns {Promise<void>} Resolves once the server is listening
+     */
+    start() {
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('WebSocket connections only\n');
+        });
+        
+        this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+        
+        if (this.udpHost && this.udpPort) {
+            this.udpSocket = dgram.createSocket('udp4');
+        }
+        
+        return new Promise(resolve => this.server.listen(this.port, () => {
+            console.log(`Event relay listening on ws://localhost:${this.port}`);
+            if (this.udpSocket) {
+                console.log(`Forwarding OSC to udp://${this.udpHost}:${this.udpPort}`);
+            }
+            resolve();
+        }));
+    }
+    
+    /**
+     * Complete the WebSocket handshake
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     */
+    handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        
+        const client = { socket: socket, buffer: Buffer.alloc(0), fragments: [], fragmentOpcode: null };
+        this.clients.add(client);
+        console.log(`Client connected (${this.clients.size} total)`);
+        
+        socket.on('data', (chunk) => {
+            client.buffer = Buffer.concat([client.buffer, chunk]);
+            this.readFrames(client);
+        });
+        socket.on('close', () => {
+            this.clients.delete(client);
+            console.log(`Client disconnected (${this.clients.size} total)`);
+        });
+        socket.on('error', () => socket.destroy());
+    }
+    
+    /**
+     * Parse every complete frame in a client's buffer
+     * @param {Object} client - Client state
+     */
+    readFrames(client) {
+        while (client.buffer.length >= 2) {
+            const first = client.buffer[0];
+            const second = client.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0f;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7f;
+            let offset = 2;
+            
+            if (length === 126) {
+                if (client.buffer.length < 4) return;
+                length = client.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (client.buffer.length < 10) return;
+                length = Number(client.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            
+            const maskLength = masked ? 4 : 0;
+            if (client.buffer.length < offset + maskLength + length) return;
+            
+            const mask = masked ? client.buffer.subarray(offset, offset + 4) : null;
+            const payload = Buffer.from(client.buffer.subarray(offset + maskLength, offset + maskLength + length));
+            if (mask) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= mask[i % 4];
+                }
+            }
+            client.buffer = client.buffer.subarray(offset + maskLength + length);
+            
+            this.handleFrame(client, fin, opcode, payload);
+        }
+    }
+    
+    /**
+     * Handle one frame
+     * @param {Object} client - Client state
+     * @param {boolean} fin - Final fragment flag
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Unmasked payload
+     */
+    handleFrame(client, fin, opcode, payload) {
+        if (opcode === OPCODES.close) {
+            client.socket.end(this.createFrame(OPCODES.close, payload.subarray(0, 2)));
+            return;
+        }
+        if (opcode === OPCODES.ping) {
+            client.socket.write(this.createFrame(OPCODES.pong, payload));
+            return;
+        }
+        if (opcode === OPCODES.pong) return;
+        
+        if (opcode !== OPCODES.continuation) {
+            client.fragmentOpcode = opcode;
+            client.fragments = [];
+        }
+        client.fragments.push(payload);
+        if (!fin) return;
+        
+        const message = Buffer.concat(client.fragments);
+        const messageOpcode = client.fragmentOpcode;
+        client.fragments = [];
+        client.fragmentOpcode = null;
+        
+        this.broadcast(client, messageOpcode, message);
+    }
+    
+    /**
+     * Send a message to every other client (and to UDP for binary OSC)
+     * @param {Object} sender - Sending client
+     * @param {number} opcode - Text or binary
+     * @param {Buffer} message - Message payload
+     */
+    broadcast(sender, opcode, message) {
+        if (this.log) {
+            console.log(opcode === OPCODES.text
+                ? message.toString('utf8')
+                : `[binary ${message.length} bytes] ${this.describeOsc(message)}`);
+        }
+        
+        const frame = this.createFrame(opcode, message);
+        this.clients.forEach(client => {
+            if (client !== sender) {
+                client.socket.write(frame);
+            }
+        });
+        
+        if (this.udpSocket && opcode === OPCODES.binary) {
+            this.udpSocket.send(message, this.udpPort, this.udpHost);
+        }
+    }
+    
+    /**
+     * Build an unmasked server frame
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Payload
+     * @returns {Buffer} Frame
+     */
+    createFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+    
+    /**
+     * Read the address of an OSC message for logging
+     * @param {Buffer} message - OSC packet
+     * @returns {string} OSC address
+     */
+    describeOsc(message) {
+        const end = message.indexOf(0);
+        return end > 0 ? message.toString('utf8', 0, end) : '';
+    }
+    
+    /**
+     * Close every connection and stop listening
+     */
+    stop() {
+        this.clients.forEach(client => client.socket.destroy());
+        this.clients.clear();
+        if (this.udpSocket) {
+            this.udpSocket.close();
+        }
+        if (this.server) {
+            this.server.close();
+        }
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - process.argv without node and script
+ * @returns {Object} Relay options
+ */
+function parseArguments(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') {
+            options.port = parseInt(args[++i], 10);
+        } else if (args[i] === '--udp') {
+            const [host, port] = (args[++i] || '').split(':');
+            options.udpHost = host || '127.0.0.1';
+            options.udpPort = parseInt(port, 10) || 57120;
+        } else if (args[i] === '--log') {
+            options.log = true;
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const relay = new EventRelay(parseArguments(process.argv.slice(2)));
+    relay.start();
+    process.on('SIGINT', () => {
+        relay.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = { EventRelay };